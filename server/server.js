@@ -1,12 +1,25 @@
 require('dotenv').config();
 const express = require('express');
 const ExpressWs = require('express-ws');
-const fs = require('fs').promises;
+const twilio = require('twilio');
 const path = require('path');
 const { logOut, logError } = require('./utils/logger');
 const { LlmService } = require('./services/LlmService');
 const { FlexService } = require('./services/FlexService');
-const { ConversationRelayService } = require('./services/ConversationRelayService');
+const { ConversationRelayService, AGENT_MESSAGE_MODES } = require('./services/ConversationRelayService');
+const { CampaignService } = require('./services/CampaignService');
+const { RedialService } = require('./services/RedialService');
+const { SessionStore } = require('./services/SessionStore');
+const { FileSessionStore } = require('./services/FileSessionStore');
+const { CallTracker } = require('./services/CallTracker');
+const { OutcomeService } = require('./services/OutcomeService');
+const { createLlmBackend, LLM_BACKENDS } = require('./services/backends');
+const { ToolRegistry } = require('./services/ToolRegistry');
+const { ScriptLibrary } = require('./services/ScriptLibrary');
+const { IvrPathService } = require('./services/IvrPathService');
+const { TranscriptRecorder } = require('./services/TranscriptRecorder');
+const { TranscriptStore } = require('./services/TranscriptStore');
+const { formatTranscript, TRANSCRIPT_FORMATS } = require('./utils/transcriptFormats');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,19 +27,106 @@ ExpressWs(app);     // Initialize express-ws
 app.use(express.urlencoded({ extended: true }));    // For Twilio url encoded body
 app.use(express.json());    // For JSON payloads
 
-// Global variables for context and manifest
-let baseContext = null;
-let baseManifest = null;
-let customerDataMap = new Map();
+// Global variables for the tools and the call scripts that use them
+let toolRegistry = null;
+let scriptLibrary = null;
 
 // Extract environment variables
 const {
     ACCOUNT_SID,
     AUTH_TOKEN,
-    TWILIO_FUNCTIONS_URL
+    TWILIO_FUNCTIONS_URL,
+    SERVER_BASE_URL,
+    SESSION_STORE = 'memory',
+    SESSION_STORE_FILE = path.join(__dirname, 'data', 'sessions.json'),
+    SESSION_READY_TIMEOUT_SECONDS = 10,
+    AGENT_MESSAGE_MODE = 'instruct'
 } = process.env;
 
+// Prefixes a Flex agent can start a message with to choose how it is used, instead of AGENT_MESSAGE_MODE
+const AGENT_MESSAGE_PREFIXES = {
+    'say:': 'say',
+    'note:': 'instruct'
+};
+// Commands a Flex agent can send as a message to take control of the call from the AI, and hand it back
+const AGENT_COMMANDS = ['/takeover', '/release'];
+if (!AGENT_MESSAGE_MODES.includes(AGENT_MESSAGE_MODE)) {
+    throw new Error(`Unknown AGENT_MESSAGE_MODE: ${AGENT_MESSAGE_MODE}. Must be one of: ${AGENT_MESSAGE_MODES.join(', ')}`);
+}
+
+// Session data for every call, referenced by customerReference. The file store keeps in-flight calls across restarts.
+const sessionStore = SESSION_STORE === 'file'
+    ? new FileSessionStore({ filePath: SESSION_STORE_FILE })
+    : new SessionStore();
+const callTracker = new CallTracker(sessionStore);    // Call timelines are recorded against their session
+const outcomeService = new OutcomeService();    // Order outcomes collected by the AI, for the daily report
+const transcriptStore = new TranscriptStore();    // Call transcripts, kept for TRANSCRIPT_TTL_DAYS after the call
+const ivrPathService = new IvrPathService();    // Phone menu paths learned per dialled number
 const flexService = new FlexService();    // The FlexService is stateless
+const campaignService = new CampaignService(initiateOutboundCall, { isReferenceActive: isSessionActive });    // Campaign orders are dialled through the same path as /outboundCall
+const redialService = new RedialService(placeCall);    // Redials reuse the order's existing Flex interaction
+// Conversation Relay sessions of the calls in progress, referenced by call SID, so call webhooks can act on the live call
+const liveRelays = new Map();
+
+// Keep campaign progress in step with each order's redial attempts
+redialService.on('redial.scheduled', (customerReference, retryState) => {
+    campaignService.orderRetrying(customerReference, retryState);
+});
+
+// The order was answered, reached voicemail or has run out of attempts
+redialService.on('redial.final', (customerReference, retryState) => {
+    if (retryState.status === 'completed') {
+        campaignService.orderCompleted(customerReference);
+        sessionStore.end(customerReference);
+        return;
+    }
+    if (retryState.status === 'voicemail') {
+        logOut('Server', `Order ${customerReference} reached voicemail on attempt ${retryState.attempt} and will not be redialled`);
+        campaignService.orderCompleted(customerReference, { status: 'voicemail' });
+        // Only a machine was reached, so the Flex interaction is no longer needed
+        closeFlexInteraction(sessionStore.get(customerReference), 'voicemail');
+        sessionStore.end(customerReference);
+        return;
+    }
+    logOut('Server', `Order ${customerReference} unreachable after ${retryState.attempt} attempts. Last call status: ${retryState.lastCallStatus}`);
+    campaignService.orderCompleted(customerReference, {
+        status: 'failed',
+        error: `Unreachable after ${retryState.attempt} attempts (last call status: ${retryState.lastCallStatus})`
+    });
+    // Nobody was reached, so the Flex interaction is no longer needed
+    closeFlexInteraction(sessionStore.get(customerReference), 'redial exhausted');
+    sessionStore.end(customerReference);
+});
+
+// Reservations are matched to their session by interaction SID, so they are still handled for sessions loaded after a restart
+flexService.on('reservationAccepted', (reservation, taskAttributes) => {
+    const sessionData = sessionStore.findByInteractionSid(taskAttributes.flexInteractionSid);
+    if (!sessionData) {
+        logError('Server', `Reservation accepted for unknown interaction: ${taskAttributes.flexInteractionSid}`);
+        return;
+    }
+    const { customerReference } = sessionData.customerData;
+    logOut('Server', `reservationAccepted event: for ${customerReference} Reservation accepted.`);
+
+    // Add reservation and taskAttributes data to the session for this customerReference
+    sessionStore.update(customerReference, { reservation, taskAttributes });
+    sessionStore.transition(customerReference, 'reservationAccepted');
+    // Route the messages Flex agents add to the interaction's conversation to the live call
+    if (SERVER_BASE_URL && taskAttributes.conversationSid) {
+        flexService.addMessageWebhook(taskAttributes.conversationSid, `https://${SERVER_BASE_URL}/conversationEvents`).catch(error => {
+            logError('Server', `Error adding message webhook for ${customerReference}: ${error}`);
+        });
+    }
+    logOut('Server', `reservationAccepted event: Reservation accepted complete.`);
+});
+
+// Fail the session straight away so a waiting Conversation Relay connection does not have to time out
+flexService.on('reservationFailed', (taskAttributes, error) => {
+    const sessionData = sessionStore.findByInteractionSid(taskAttributes.flexInteractionSid);
+    if (sessionData) {
+        sessionStore.transition(sessionData.customerData.customerReference, 'failed', `Reservation failed: ${error.message}`);
+    }
+});
 
 /**
  * WebSocket endpoint for the Conversation Relay.
@@ -38,6 +138,11 @@ const flexService = new FlexService();    // The FlexService is stateless
  * Handles real-time communication for the Conversation Relay service. Each new WebSocket connection creates
  * and maintains a new Conversation Relay instance. The WebSocket tracks the session and manages the
  * associated Conversation Relay and LLM Service.
+ *
+ * The setup message waits for the session to reach the 'reservationAccepted' state before the Conversation
+ * Relay is created. Other messages received in the meantime are buffered and replayed once setup completes.
+ * If the reservation does not arrive within SESSION_READY_TIMEOUT_SECONDS, the session is failed and the
+ * call is ended.
  * 
  * @message {Object} setup - Initial setup message
  * @message {Object} setup.type - Must be 'setup'
@@ -51,18 +156,46 @@ const flexService = new FlexService();    // The FlexService is stateless
  * 
  * @emits
  * - conversationRelay.response: Streams or sends messages back through WebSocket
- * - silence: Sends silence breaker messages
+ * - conversationRelay.silence: Sends silence breaker, goodbye and end messages
  * - conversationRelay.agentMessage: Sends agent messages
  * - conversationRelay.prompt: Sends voice prompts to Flex
  * - conversationRelay.end: Signals conversation end
  * - conversationRelay.dtmf: Handles DTMF responses
+ * - conversationRelay.dtmfCollected: Writes the digits the callee pressed to Flex
  * - conversationRelay.handoff: Handles conversation handoffs
+ * - conversationRelay.hold: Records holds on the call timeline and writes them to Flex
+ * - conversationRelay.voicemail: Sends the voicemail message left on an answering machine
+ * - conversationRelay.takeover: Records agent takeovers on the call timeline and writes them to Flex
  */
 app.ws('/conversation-relay', (ws) => {
 
     let sessionConversationRelay = null;
     let sessionCustomerData = null;
     let sessionConversation = null;
+    let sessionFailed = false;
+    let sessionHandedOff = false;
+    // Conversation Relay messages received before the session is ready are held here and replayed in order
+    const pendingMessages = [];
+
+    /**
+     * Fails a session that could not be set up, ending the call rather than leaving the callee in silence.
+     *
+     * @param {string} customerReference - Reference of the session
+     * @param {string} errorMessage - Why the setup failed, recorded with the failed state
+     * @param {string} reason - Reason sent with the end message
+     */
+    const failSetup = (customerReference, errorMessage, reason) => {
+        sessionFailed = true;
+        pendingMessages.length = 0;
+        sessionStore.transition(customerReference, 'failed', errorMessage);
+        ws.send(JSON.stringify({
+            type: 'end',
+            handoffData: JSON.stringify({
+                reasonCode: 'error',
+                reason
+            })
+        }));
+    };
 
     // Handle incoming messages
     ws.on('message', async (data) => {
@@ -73,8 +206,8 @@ app.ws('/conversation-relay', (ws) => {
             // Initialize connection on setup message and strap in the Conversation Relay and associated LLM Service
             if (message.type === 'setup') {
                 logOut('WS', `###################################################################################`);
-                // grab the customerData from the map for this session based on the customerReference
-                sessionCustomerData = customerDataMap.get(message.customParameters.customerReference);
+                // grab the customerData from the session store for this session based on the customerReference
+                sessionCustomerData = sessionStore.get(message.customParameters.customerReference);
                 // logOut('WS', `New WS connection with setup message data: ${JSON.stringify(sessionCustomerData, null, 4)}`);
 
                 if (!sessionCustomerData) {
@@ -88,14 +221,21 @@ app.ws('/conversation-relay', (ws) => {
                 }
 
                 // Add the Conversation Relay "setup" message data to the sessionCustomerData
-                sessionCustomerData.setupData = message;
+                sessionStore.update(message.customParameters.customerReference, { setupData: message });
 
-                // Now check the customerData for the "reservation". TODO: this is an ugly hack to ensure Flex has responded with the reservation data. Will likely have timing issues.
-                // If it is not present, wait for 100ms and try again.
-                if (!sessionCustomerData.reservation) {
-                    logOut('WS', `<<<<<<<< No reservation found for reference: ${message.customParameters.customerReference}. Waiting for 100ms and trying again. >>>>>>>>`);
-                    await new Promise(resolve => setTimeout(resolve, 100));
+                // Flex may not have accepted the reservation yet. Wait for it, buffering any other messages, and fail cleanly if it never arrives.
+                try {
+                    await sessionStore.waitForState(message.customParameters.customerReference, 'reservationAccepted', SESSION_READY_TIMEOUT_SECONDS * 1000);
+                } catch (error) {
+                    logError('WS', `Session not ready for reference: ${message.customParameters.customerReference}. ${error.message}`);
+                    failSetup(message.customParameters.customerReference, error.message, 'The session could not be set up');
+                    return;
+                }
+                // A redial after a voicemail reconnects the session of the earlier attempt, which is already connected
+                if (sessionStore.get(message.customParameters.customerReference).state !== 'relayConnected') {
+                    sessionStore.transition(message.customParameters.customerReference, 'relayConnected');
                 }
+                callTracker.recordEvent(message.customParameters.customerReference, message.callSid, 'relayConnected');
                 // logOut('WS', `New WS with setup message data added: ${JSON.stringify(sessionCustomerData, null, 4)}`);
 
                 /**
@@ -104,22 +244,70 @@ app.ws('/conversation-relay', (ws) => {
                  */
                 // Create new response Service.
                 logOut('WS', `Creating Response Service`);
-                const sessionResponseService = new LlmService(baseContext, baseManifest);
+                // Each order can pick its own script and LLM backend, otherwise the DEFAULT_SCRIPT and LLM_BACKEND defaults are used.
+                // The session keeps the script it starts with, so reloading the scripts does not affect calls in progress.
+                let script = scriptLibrary.get(sessionCustomerData.customerData.script);
+                if (!script) {
+                    logError('WS', `Script ${sessionCustomerData.customerData.script} no longer exists, using the default script`);
+                    script = scriptLibrary.get();
+                }
+                // Render the script's context with this call's details. Missing variables end the call rather than prompt the LLM with gaps.
+                let promptContext;
+                try {
+                    promptContext = scriptLibrary.renderContext(script, { customerData: sessionCustomerData.customerData, setupData: message });
+                } catch (error) {
+                    logError('WS', `${error.message}`);
+                    failSetup(message.customParameters.customerReference, error.message, 'The call script could not be rendered');
+                    return;
+                }
+                // A backend that is not configured, e.g. missing its API key, ends the call the same way
+                let backend;
+                try {
+                    backend = createLlmBackend(sessionCustomerData.customerData.llmBackend);
+                } catch (error) {
+                    logError('WS', `Error creating LLM backend: ${error.message}`);
+                    failSetup(message.customParameters.customerReference, error.message, 'The LLM backend could not be created');
+                    return;
+                }
+                const sessionResponseService = new LlmService(promptContext, toolRegistry, {
+                    backend,
+                    tools: script.tools,
+                    toolContext: {
+                        dtmfSteps: script.dtmfSteps,
+                        // The call control tools act on this call, and the handoff to a live agent links it to this order's Flex interaction
+                        callSid: message.callSid,
+                        customerReference: sessionCustomerData.customerData.customerReference,
+                        conversationSid: sessionCustomerData.taskAttributes.conversationSid
+                    }
+                });
+                // The transcript is appended to its own store as it is recorded, and kept for longer than the session
+                const transcriptRecorder = new TranscriptRecorder(message.callSid, {
+                    onEntry: (entry, index) => transcriptStore.append(message.callSid, index, entry)
+                });
+                transcriptStore.start(transcriptRecorder.transcript);
                 logOut('WS', `Creating ConversationRelayService`);
-                sessionConversationRelay = new ConversationRelayService(sessionResponseService);
+                // Silence messages follow the script's policy, in the order's language if it has one, otherwise the script's
+                sessionConversationRelay = new ConversationRelayService(sessionResponseService, {
+                    ivrPathService,
+                    silencePolicy: script.silence,
+                    language: sessionCustomerData.customerData.language || script.voice.language,
+                    maxHoldSeconds: script.silence?.maxHoldSeconds,
+                    transcriptRecorder
+                });
 
                 // Now handle the setup message
                 sessionConversationRelay.setup(sessionCustomerData);
+                liveRelays.set(message.callSid, { conversationRelay: sessionConversationRelay, script, sessionCustomerData });
 
                 logOut('WS', `Setting up Conversation Relay event listeners`);
                 sessionConversationRelay.on('conversationRelay.response', (response) => {
                     // logOut('WS', `Streaming or Sending message out of WS as response: ${JSON.stringify(response, null, 4)}`);
                     if (response.last) {
-                        // If this is the last message and it is not an empty string, write it to the Flex Interaction. TODO: Hacky way to do this. Need to find a better way.
+                        // If this is the last message and it is not an empty string, write it to the Flex Interaction, as the script's AI author
                         if (response.token !== "") {
                             const conversationSid = sessionCustomerData.taskAttributes.conversationSid;
                             logOut('WS', `Last message in the response. Writing response.token to Flex Interaction. ${JSON.stringify(response.token, null, 4)}`);
-                            flexService.createConversationMessage(conversationSid, "Chemtrails", response.token);
+                            flexService.createConversationMessage(conversationSid, script.flexAuthors.ai, response.token);
                         }
                     } else {
                         // If not last, then streaming, so send the message to the ws
@@ -129,7 +317,7 @@ app.ws('/conversation-relay', (ws) => {
                 });
 
                 // Set up silence event handler from Conversation Relay
-                sessionConversationRelay.on('silence', (silenceMessage) => {
+                sessionConversationRelay.on('conversationRelay.silence', (silenceMessage) => {
                     logOut('WS', `Sending silence breaker message : ${JSON.stringify(silenceMessage)}`);
                     // Bypass the Conversation API and send directly to the ws
                     ws.send(JSON.stringify(silenceMessage));
@@ -147,7 +335,7 @@ app.ws('/conversation-relay', (ws) => {
                     const conversationSid = sessionCustomerData.taskAttributes.conversationSid;
                     logOut('WS', `Writing voicePrompt to Flex Interaction: ${JSON.stringify(voicePrompt, null, 4)}`);
                     try {
-                        await flexService.createConversationMessage(conversationSid, "Pharmacy", voicePrompt);
+                        await flexService.createConversationMessage(conversationSid, script.flexAuthors.callee, voicePrompt);
                     } catch (error) {
                         logError('WS', `Error writing prompt message to Flex Interaction: ${error}`);
                     }
@@ -165,19 +353,135 @@ app.ws('/conversation-relay', (ws) => {
                     // Write what happened to the Flex Interaction
                     const conversationSid = sessionCustomerData.taskAttributes.conversationSid;
                     logOut('WS', `Writing DTMF selection to Flex Interaction. ${JSON.stringify(response.digits, null, 4)}`);
-                    flexService.createConversationMessage(conversationSid, "Chemtrails", `Selected: ${response.digits}`);
+                    flexService.createConversationMessage(conversationSid, script.flexAuthors.ai, `Selected: ${response.digits}`);
                     ws.send(JSON.stringify(response));
                 });
 
+                // Handle "dtmfCollected" event from the Conversation Relay
+                sessionConversationRelay.on('conversationRelay.dtmfCollected', async (entry) => {
+                    const conversationSid = sessionCustomerData.taskAttributes.conversationSid;
+                    logOut('WS', `Writing DTMF entry to Flex Interaction: ${JSON.stringify(entry)}`);
+                    try {
+                        await flexService.createConversationMessage(conversationSid, script.flexAuthors.callee, `Pressed: ${entry.digits}`);
+                    } catch (error) {
+                        logError('WS', `Error writing DTMF entry to Flex Interaction: ${error}`);
+                    }
+                });
+
+                // Send the voicemail straight to the ws, as it is not an LLM response
+                sessionConversationRelay.on('conversationRelay.voicemail', async (voicemailMessage) => {
+                    logOut('WS', `Leaving voicemail: ${voicemailMessage.token}`);
+                    ws.send(JSON.stringify(voicemailMessage));
+                    try {
+                        await flexService.createConversationMessage(sessionCustomerData.taskAttributes.conversationSid, script.flexAuthors.ai, `Voicemail: ${voicemailMessage.token}`);
+                    } catch (error) {
+                        logError('WS', `Error writing voicemail to Flex Interaction: ${error}`);
+                    }
+                });
+
+                // Record holds on the call timeline, and let the Flex agent know the call is waiting on hold
+                sessionConversationRelay.on('conversationRelay.hold', async (hold) => {
+                    const { customerReference } = sessionCustomerData.customerData;
+                    const { callSid } = sessionCustomerData.setupData;
+                    const conversationSid = sessionCustomerData.taskAttributes.conversationSid;
+                    if (hold.state === 'started') {
+                        callTracker.recordEvent(customerReference, callSid, 'holdStarted', { reason: hold.reason });
+                    } else {
+                        callTracker.recordEvent(customerReference, callSid, 'holdEnded', { endedBy: hold.endedBy, heldSeconds: hold.heldSeconds });
+                    }
+                    try {
+                        await flexService.createConversationMessage(conversationSid, script.flexAuthors.ai,
+                            hold.state === 'started' ? `On hold${hold.reason ? `: ${hold.reason}` : ''}` : `Off hold after ${hold.heldSeconds} seconds`);
+                    } catch (error) {
+                        logError('WS', `Error writing hold to Flex Interaction: ${error}`);
+                    }
+                });
+
+                // Record agent takeovers on the call timeline, and let the agents know who is in control of the call
+                sessionConversationRelay.on('conversationRelay.takeover', async (takeover) => {
+                    const { customerReference } = sessionCustomerData.customerData;
+                    const { callSid } = sessionCustomerData.setupData;
+                    if (takeover.state === 'started') {
+                        callTracker.recordEvent(customerReference, callSid, 'takeoverStarted', { agent: takeover.agent });
+                    } else {
+                        callTracker.recordEvent(customerReference, callSid, 'takeoverEnded', { agent: takeover.agent, takeoverSeconds: takeover.takeoverSeconds });
+                    }
+                    try {
+                        await flexService.createConversationMessage(sessionCustomerData.taskAttributes.conversationSid, script.flexAuthors.ai,
+                            takeover.state === 'started'
+                                ? `${takeover.agent} has taken over the call. Messages are spoken to the callee until /release`
+                                : `${takeover.agent} handed the call back to the AI after ${takeover.takeoverSeconds} seconds`);
+                    } catch (error) {
+                        logError('WS', `Error writing takeover to Flex Interaction: ${error}`);
+                    }
+                });
+
+                // Record each tool the LLM runs on the call timeline, and the order outcome from status-update and end-call
+                sessionConversationRelay.on('conversationRelay.toolCall', (toolCall) => {
+                    const { customerReference, phoneNumber } = sessionCustomerData.customerData;
+                    const { callSid } = sessionCustomerData.setupData;
+                    callTracker.recordEvent(customerReference, callSid, 'toolCall', {
+                        name: toolCall.name,
+                        arguments: toolCall.arguments,
+                        resultType: toolCall.result?.type,
+                        durationMs: toolCall.durationMs
+                    });
+
+                    if (toolCall.result?.type === 'error') {
+                        return;
+                    }
+                    try {
+                        const toolArguments = JSON.parse(toolCall.arguments);
+                        if (toolCall.name === 'status-update') {
+                            outcomeService.recordStatus(customerReference, callSid, { status: toolArguments.status, phoneNumber });
+                        } else if (toolCall.name === 'end-call') {
+                            outcomeService.recordSummary(customerReference, callSid, toolArguments.summary);
+                        }
+                    } catch (error) {
+                        logError('WS', `Outcome not recorded for ${customerReference}: ${error.message}`);
+                    }
+                });
+
                 // Handle "handoff" event from the Conversation Relay
                 sessionConversationRelay.on('conversationRelay.handoff', async (response) => {
                     logOut('WS', `Sending handoff response: ${JSON.stringify(response, null, 4)}`);
+                    // Ending the session hands the live call to complete-crelay, which enqueues it to a Flex agent.
+                    // The Flex interaction stays open, so the agent taking the call can read the conversation so far.
+                    sessionHandedOff = true;
+                    const { reason, summary } = JSON.parse(response.handoffData);
+                    callTracker.recordEvent(sessionCustomerData.customerData.customerReference, sessionCustomerData.setupData.callSid, 'handoff', { reason });
                     ws.send(JSON.stringify(response));
+                    try {
+                        await flexService.createConversationMessage(sessionCustomerData.taskAttributes.conversationSid, script.flexAuthors.ai, `Transferring to a live agent: ${summary}`);
+                    } catch (error) {
+                        logError('WS', `Error writing handoff to Flex Interaction: ${error}`);
+                    }
                 });
 
 
                 logOut('WS', `###################################################################################`);
                 logOut('WS', `###########################  SETUP COMPLETE #######################################`);
+
+                // Answering machine detection may have finished while waiting for the session to be ready
+                if (sessionCustomerData.retry?.answeredBy?.startsWith('machine')) {
+                    leaveVoicemail(liveRelays.get(message.callSid));
+                }
+
+                // Replay anything that arrived while waiting for the session to be ready
+                while (pendingMessages.length > 0) {
+                    await sessionConversationRelay.incomingMessage(pendingMessages.shift());
+                }
+                return;
+            }
+
+            if (sessionFailed) {
+                logOut('WS', `Dropping message of type: ${message.type} for failed session`);
+                return;
+            }
+
+            // Hold messages until setup has completed
+            if (!sessionConversationRelay) {
+                pendingMessages.push(message);
                 return;
             }
 
@@ -192,49 +496,55 @@ app.ws('/conversation-relay', (ws) => {
     // Handle client disconnection
     ws.on('close', () => {
         logOut('WS', 'Client ws disconnected');
+        // A call answered by a machine may be redialled, reusing the session and Flex interaction. The redial.final handler finishes the order otherwise
+        const redialPending = redialService.isRedialPending(sessionCustomerData?.retry, sessionCustomerData?.setupData?.callSid);
+        // Free the campaign call slot if this call belonged to a campaign
+        if (sessionCustomerData?.customerData?.customerReference && !redialPending) {
+            campaignService.orderCompleted(sessionCustomerData.customerData.customerReference);
+        }
         // Clean up ConversationRelay and its listeners
         if (sessionConversationRelay) {
             sessionConversationRelay.cleanup();
+            liveRelays.delete(sessionCustomerData.setupData?.callSid);
         }
         // Remove WebSocket listeners
         ws.removeAllListeners();
-        // Remove Flex service event listeners if interaction exists
-        if (sessionCustomerData?.flexInteraction?.sid) {
-            flexService.removeAllListeners(`reservationAccepted.${sessionCustomerData.flexInteraction.sid}`);
+        // Close the Flex interaction if it exists and let the session expire. A handed off call keeps it open for the agent
+        if (!sessionHandedOff && !redialPending) {
+            closeFlexInteraction(sessionCustomerData, 'ws close');
         }
-        // Close the Flex interaction if we have the necessary data
-        if (sessionCustomerData?.flexInteraction?.sid && sessionCustomerData?.taskAttributes?.flexInteractionChannelSid) {
-            flexService.closeInteraction(
-                sessionCustomerData.flexInteraction.sid,
-                sessionCustomerData.taskAttributes.flexInteractionChannelSid,
-                sessionCustomerData.reservation.taskSid
-            ).catch(error => {
-                logError('WS', `Error closing Flex interaction on ws close: ${error}`);
-            });
+        if (sessionCustomerData?.customerData?.customerReference) {
+            callTracker.recordEvent(sessionCustomerData.customerData.customerReference, sessionCustomerData.setupData?.callSid, 'relayDisconnected');
+            if (!redialPending) {
+                sessionStore.end(sessionCustomerData.customerData.customerReference);
+            }
         }
     });
 
     // Handle errors
     ws.on('error', (error) => {
         logError('WS', `WebSocket error: ${error}`);
+        const redialPending = redialService.isRedialPending(sessionCustomerData?.retry, sessionCustomerData?.setupData?.callSid);
+        // Free the campaign call slot if this call belonged to a campaign
+        if (sessionCustomerData?.customerData?.customerReference && !redialPending) {
+            campaignService.orderCompleted(sessionCustomerData.customerData.customerReference, { status: 'failed', error: `WebSocket error: ${error}` });
+        }
         // Clean up ConversationRelay and its listeners
         if (sessionConversationRelay) {
             sessionConversationRelay.cleanup();
+            liveRelays.delete(sessionCustomerData.setupData?.callSid);
         }
         // Remove WebSocket listeners
         ws.removeAllListeners();
-        // Remove Flex service event listeners if interaction exists
-        if (sessionCustomerData?.flexInteraction?.sid) {
-            flexService.removeAllListeners(`reservationAccepted.${sessionCustomerData.flexInteraction.sid}`);
+        // Close the Flex interaction if it exists and let the session expire, unless a redial may still follow
+        if (!redialPending) {
+            closeFlexInteraction(sessionCustomerData, 'ws error');
         }
-        // Close the Flex interaction if we have the necessary data
-        if (sessionCustomerData?.flexInteraction?.sid && sessionCustomerData?.taskAttributes?.flexInteractionChannelSid) {
-            flexService.closeInteraction(
-                sessionCustomerData.flexInteraction.sid,
-                sessionCustomerData.taskAttributes.flexInteractionChannelSid
-            ).catch(error => {
-                logError('WS', `Error closing Flex interaction on ws error: ${error}`);
-            });
+        if (sessionCustomerData?.customerData?.customerReference) {
+            callTracker.recordEvent(sessionCustomerData.customerData.customerReference, sessionCustomerData.setupData?.callSid, 'relayDisconnected', { error: `${error}` });
+            if (!redialPending) {
+                sessionStore.end(sessionCustomerData.customerData.customerReference);
+            }
         }
     });
 });
@@ -251,6 +561,14 @@ app.ws('/conversation-relay', (ws) => {
  * @param {Object} req.body.properties - Customer data properties
  * @param {string} req.body.properties.phoneNumber - Customer's phone number to call
  * @param {string} req.body.properties.customerReference - Unique reference to identify the customer
+ * @param {Object} [req.body.properties.retryPolicy] - Redial policy for busy, no-answer and failed calls
+ * @param {number} [req.body.properties.retryPolicy.maxAttempts] - Maximum call attempts, including the first
+ * @param {number} [req.body.properties.retryPolicy.backoffSeconds] - Delay before the first redial
+ * @param {number} [req.body.properties.retryPolicy.backoffMultiplier] - Multiplier applied to the delay for each further redial
+ * @param {Array<string>} [req.body.properties.retryPolicy.retryOn] - Call statuses to redial on
+ * @param {string} [req.body.properties.llmBackend] - LLM backend for this call ('openai'|'anthropic'|'openai-compatible'|'scripted', default: LLM_BACKEND)
+ * @param {string} [req.body.properties.script] - Call script from assets/scripts for this call (default: DEFAULT_SCRIPT)
+ * @param {string} [req.body.properties.language] - Language of the silence messages, e.g. 'es' (default: the script's voice language)
  * 
  * @returns {Object} response
  * @returns {boolean} response.success - Indicates if the call was successfully initiated
@@ -259,9 +577,9 @@ app.ws('/conversation-relay', (ws) => {
  * 
  * @description
  * This endpoint:
- * 1. Stores customer data in a local map
+ * 1. Stores customer data in the session store
  * 2. Creates a new Flex interaction
- * 3. Sets up event handlers for the Flex service
+ * 3. Links the interaction to the session for the reservationAccepted handler
  * 4. Initiates an outbound call using Twilio Functions
  * 
  * The endpoint integrates with Flex and the Conversation Relay service to manage
@@ -272,66 +590,406 @@ app.post('/outboundCall', async (req, res) => {
     try {
         const customerData = req.body.properties;
         // console.log(`Customer data: ${JSON.stringify(customerData)}`);
-        // This customer data now needs to be stored locally in a map, referenced by the customerData.customerReference and then read when the ws connection is established
-        customerDataMap.set(customerData.customerReference, { customerData });
-
-        /**
-          * Create the Flex Interaction and get the Conversation API SID. This is then used to add t    he participants to the conversation.
-          * 
-          * Participants are: 
-          * 1) Flex Agent (v1 Listen only. v2 can participate)
-          * 2) conversationRelay
-          */
-        logOut('Server', `/outboundCall Setting up Flex Service and Creating new interaction in Flex`);
-        // Create a new Flex Service
-        const flexInteraction = await flexService.createInteraction(customerData);
-        // logOut('Server', `createInteraction result: ${JSON.stringify(flexInteraction.interaction, null, 4)}`);
-
-        // Now add this flexInteraction.interaction data to the customerDataMap for this customerData.customerReference
-        customerDataMap.get(customerData.customerReference).flexInteraction = flexInteraction.interaction;
-
-        // Set up Flex service event handlers for this ws, using the interaction SID as the hook for this ws.
-        // TODO: It is not currently linked to the WS. It is linked to the interaction SID. This is a problem.
-        flexService.on(`reservationAccepted.${flexInteraction.interaction.sid}`, async (reservation, taskAttributes) => {
-            try {
-                logOut('Server', `/outboundCall event: for ${customerData.customerReference} Reservation accepted.`);
+        const callSid = await initiateOutboundCall(customerData);
 
-                // Add reservation and taskAttributes data to the customerDataMap for this customerData.customerReference
-                customerDataMap.get(customerData.customerReference).reservation = reservation;
-                customerDataMap.get(customerData.customerReference).taskAttributes = taskAttributes;
+        res.json({ success: true, callSid });
+    } catch (error) {
+        logError('Server', `Error initiating outbound call: ${error}`);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
 
-                // Add the logic to connect Conversation Relay and llmService to the Conversation SID of the reservation here
-                logOut('Server', `/outboundCall event: Reservation accepted complete.`);
-            } catch (error) {
-                logError('Server', `Error handling reservation accepted event: ${error}`);
+/**
+ * Creates a new outbound calling campaign.
+ *
+ * @endpoint POST /campaigns
+ *
+ * @param {Array<Object>} req.body.orders - Orders to call, each using the same properties shape as /outboundCall
+ * @param {string} req.body.orders[].phoneNumber - Customer's phone number to call
+ * @param {string} req.body.orders[].customerReference - Unique reference to identify the customer
+ * @param {string} [req.body.name] - Friendly name for the campaign
+ * @param {number} [req.body.maxConcurrentCalls] - Maximum calls in progress at any one time
+ * @param {number} [req.body.pacingSeconds] - Minimum seconds between call starts
+ * @param {number} [req.body.orderTimeoutSeconds] - Seconds after which an unfinished order frees its call slot
+ * @param {Object} [req.body.retryPolicy] - Default redial policy for orders that do not set their own
+ * @param {boolean} [req.body.start=true] - Start dialling immediately
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Indicates if the campaign was created
+ * @returns {Object} [response.campaign] - Campaign summary with per-order progress
+ * @returns {string} [response.error] - Error message if the campaign could not be created
+ *
+ * @description
+ * Each order is dialled through the same Flex interaction and call-out path as /outboundCall,
+ * limited by the campaign's concurrency and pacing settings.
+ */
+app.post('/campaigns', async (req, res) => {
+    try {
+        const { orders, name, maxConcurrentCalls, pacingSeconds, orderTimeoutSeconds, retryPolicy, start = true } = req.body;
+        let campaign = campaignService.createCampaign({ orders, name, maxConcurrentCalls, pacingSeconds, orderTimeoutSeconds, retryPolicy });
+        if (start) {
+            campaign = campaignService.startCampaign(campaign.id);
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logError('Server', `Error creating campaign: ${error}`);
+        res.status(error.statusCode || 400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Lists all campaigns.
+ *
+ * @endpoint GET /campaigns
+ *
+ * @returns {Object} response
+ * @returns {Array<Object>} response.campaigns - Campaign summaries with per-order progress
+ */
+app.get('/campaigns', (req, res) => {
+    res.json({ campaigns: campaignService.listCampaigns() });
+});
+
+/**
+ * Returns a campaign with per-order progress.
+ *
+ * @endpoint GET /campaigns/:id
+ *
+ * @returns {Object} response
+ * @returns {Object} [response.campaign] - Campaign summary with per-order progress
+ * @returns {string} [response.error] - Error message if the campaign was not found
+ */
+app.get('/campaigns/:id', (req, res) => {
+    const campaign = campaignService.getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ error: `Campaign not found: ${req.params.id}` });
+    }
+    res.json({ campaign });
+});
+
+/**
+ * Controls a campaign.
+ *
+ * @endpoint POST /campaigns/:id/:action
+ *
+ * @param {string} req.params.action - One of 'start', 'pause', 'resume' or 'cancel'
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Indicates if the action was applied
+ * @returns {Object} [response.campaign] - Updated campaign summary
+ * @returns {string} [response.error] - Error message if the action could not be applied
+ */
+app.post('/campaigns/:id/:action', (req, res) => {
+    const actions = {
+        start: (id) => campaignService.startCampaign(id),
+        pause: (id) => campaignService.pauseCampaign(id),
+        resume: (id) => campaignService.resumeCampaign(id),
+        cancel: (id) => campaignService.cancelCampaign(id),
+    };
+
+    const action = actions[req.params.action];
+    if (!action) {
+        return res.status(404).json({ success: false, error: `Unknown campaign action: ${req.params.action}` });
+    }
+
+    try {
+        const campaign = action(req.params.id);
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logError('Server', `Error applying ${req.params.action} to campaign ${req.params.id}: ${error}`);
+        res.status(error.statusCode || 409).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Receives Twilio call status callbacks for outbound calls.
+ *
+ * @endpoint POST /callStatus
+ *
+ * @param {string} req.query.customerReference - Customer reference the call was placed for
+ * @param {string} req.body.CallSid - The Twilio Call SID
+ * @param {string} req.body.CallStatus - The Twilio call status (initiated, ringing, in-progress, completed, busy, no-answer, failed, canceled)
+ *
+ * @description
+ * The call-out function subscribes every call status event to this webhook. Every event is recorded on the
+ * call's timeline (see GET /calls/:callSid). Final statuses drive the
+ * order's redial policy: busy, no-answer and failed calls are redialled, and the Flex interaction is
+ * reused for the next attempt or closed once the order runs out of attempts.
+ */
+app.post('/callStatus', (req, res) => {
+    const { customerReference } = req.query;
+    const { CallSid, CallStatus } = req.body;
+    logOut('Server', `/callStatus: ${CallStatus} for ${customerReference} with call SID: ${CallSid}`);
+
+    const sessionData = sessionStore.get(customerReference) || sessionStore.findByCallSid(CallSid);
+    if (!sessionData) {
+        logError('Server', `/callStatus: No session found for reference: ${customerReference}`);
+        return res.status(200).end();
+    }
+
+    callTracker.recordCallStatus(sessionData.customerData.customerReference, req.body);
+    if (sessionData.retry) {
+        redialService.handleCallStatus(sessionData.customerData.customerReference, sessionData.retry, CallSid, CallStatus);
+        // The retry state is changed in place
+        sessionStore.save(sessionData.customerData.customerReference);
+    }
+    res.status(200).end();
+});
+
+/**
+ * Receives the asynchronous answering machine detection result for outbound calls.
+ *
+ * @endpoint POST /amdStatus
+ *
+ * @param {string} req.query.customerReference - Customer reference the call was placed for
+ * @param {string} req.body.CallSid - The Twilio Call SID
+ * @param {string} req.body.AnsweredBy - Who answered: human, machine_start, machine_end_beep, machine_end_silence,
+ *   machine_end_other, fax or unknown
+ *
+ * @description
+ * The call-out function enables machine detection when this webhook is passed to it. The result is recorded on the
+ * call's timeline and the order's retry state. When a machine answered, the script's voicemail is left through the
+ * call's Conversation Relay session and the call ended, with the "voicemail" outcome recorded. A completed call
+ * answered by a machine is then redialled according to the "voicemail" entry of the order's retry policy.
+ */
+app.post('/amdStatus', (req, res) => {
+    const { customerReference } = req.query;
+    const { CallSid, AnsweredBy } = req.body;
+    logOut('Server', `/amdStatus: ${AnsweredBy} for ${customerReference} with call SID: ${CallSid}`);
+
+    const sessionData = sessionStore.get(customerReference) || sessionStore.findByCallSid(CallSid);
+    if (!sessionData) {
+        logError('Server', `/amdStatus: No session found for reference: ${customerReference}`);
+        return res.status(200).end();
+    }
+
+    callTracker.recordEvent(sessionData.customerData.customerReference, CallSid, 'answeredBy', { answeredBy: AnsweredBy });
+    if (sessionData.retry) {
+        redialService.recordAnsweredBy(sessionData.customerData.customerReference, sessionData.retry, CallSid, AnsweredBy);
+        // The retry state is changed in place
+        sessionStore.save(sessionData.customerData.customerReference);
+    }
+    // A relay that is not ready yet leaves the voicemail once its setup completes
+    if (AnsweredBy?.startsWith('machine') && liveRelays.has(CallSid)) {
+        leaveVoicemail(liveRelays.get(CallSid));
+    }
+    res.status(200).end();
+});
+
+/**
+ * Receives Conversations webhook events for the Flex interactions of the calls, so Flex agents can take part in a live call.
+ *
+ * @endpoint POST /conversationEvents
+ *
+ * @param {string} req.body.EventType - Conversations event type. Only onMessageAdded is handled
+ * @param {string} req.body.ConversationSid - Conversation the message was added to
+ * @param {string} req.body.Author - Identity of the message author
+ * @param {string} req.body.Body - Message text
+ * @param {string} req.body.Source - Where the message came from: SDK for Flex agents, API for the messages this server writes
+ *
+ * @description
+ * The webhook is added to each interaction's conversation when its reservation is accepted. Requests are validated
+ * against their X-Twilio-Signature with AUTH_TOKEN, as anyone reaching the endpoint could otherwise speak on a call.
+ * Messages written by a Flex agent are routed to the live call with that conversation. A message starting with
+ * "say:" is spoken to the callee word for word, and one starting with "note:" is given to the AI as a private
+ * instruction. Messages without a prefix use AGENT_MESSAGE_MODE ('say' or 'instruct', default 'instruct').
+ *
+ * An agent can also take over the call by sending "/takeover". The AI is paused, the callee's prompts are only
+ * written to the conversation, and messages without a prefix are spoken to the callee. Sending "/release" hands
+ * the call back to the AI, with a summary of what was said while the agent was in control.
+ */
+app.post('/conversationEvents', twilio.webhook(AUTH_TOKEN, { protocol: 'https', host: SERVER_BASE_URL }), async (req, res) => {
+    const { EventType, ConversationSid, Author, Body, Source } = req.body;
+    // The server writes the transcript through the API, so only messages from the Flex UI come from an agent
+    if (EventType !== 'onMessageAdded' || Source !== 'SDK' || !Body) {
+        return res.status(200).end();
+    }
+    logOut('Server', `/conversationEvents: Message from ${Author} in ${ConversationSid}: ${Body}`);
+
+    const liveRelay = Array.from(liveRelays.values())
+        .find(({ sessionCustomerData }) => sessionCustomerData.taskAttributes?.conversationSid === ConversationSid);
+    if (!liveRelay) {
+        logOut('Server', `/conversationEvents: No live call for conversation ${ConversationSid}`);
+        return res.status(200).end();
+    }
+
+    try {
+        const { conversationRelay } = liveRelay;
+        const command = Body.trim().toLowerCase();
+        if (AGENT_COMMANDS.includes(command)) {
+            const changed = command === '/takeover' ? conversationRelay.startTakeover(Author) : conversationRelay.releaseTakeover();
+            if (!changed) {
+                logOut('Server', `/conversationEvents: Ignoring ${command} for conversation ${ConversationSid}`);
             }
-        });
+            return res.status(200).end();
+        }
+        // An agent in control of the call speaks to the callee by default
+        const { mode, message } = parseAgentMessage(Body, conversationRelay.takeover ? 'say' : AGENT_MESSAGE_MODE);
+        await conversationRelay.outgoingMessage(message, mode);
+    } catch (error) {
+        logError('Server', `/conversationEvents: ${error.message}`);
+    }
+    res.status(200).end();
+});
+
+/**
+ * Lists tracked calls.
+ *
+ * @endpoint GET /calls
+ *
+ * @param {string} [req.query.customerReference] - Only calls for this customer reference
+ * @param {string} [req.query.status] - Only calls with this Twilio call status
+ *
+ * @returns {Object} response
+ * @returns {Array<Object>} response.calls - Call summaries (status, attempt, start, answer and end times, duration), newest first
+ */
+app.get('/calls', (req, res) => {
+    const { customerReference, status } = req.query;
+    res.json({ calls: callTracker.listCalls({ customerReference, status }) });
+});
 
+/**
+ * Returns a tracked call with its full timeline.
+ *
+ * @endpoint GET /calls/:callSid
+ *
+ * @returns {Object} response
+ * @returns {Object} [response.call] - Call summary and timeline of dialled, initiated, ringing, answered,
+ *   relayConnected, answeredBy, toolCall, holdStarted, holdEnded, takeoverStarted, takeoverEnded, handoff, relayDisconnected and ended events
+ * @returns {string} [response.error] - Error message if the call was not found
+ */
+app.get('/calls/:callSid', (req, res) => {
+    const call = callTracker.getCall(req.params.callSid);
+    if (!call) {
+        return res.status(404).json({ error: `Call not found: ${req.params.callSid}` });
+    }
+    res.json({ call });
+});
 
-        logOut('Server', `/outboundCall: Initiating outbound call`);
-        // Call the serverless code:
-        const call = await fetch(`${TWILIO_FUNCTIONS_URL}/tools/call-out`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                // 'Authorization': `Basic ${Buffer.from(`${process.env.ACCOUNT_SID}:${process.env.AUTH_TOKEN}`).toString('base64')}`,
-            },
-            body: JSON.stringify({
-                to: customerData.phoneNumber,
-                customerReference: customerData.customerReference,
-                functionsServerUrl: `${TWILIO_FUNCTIONS_URL}`,
-            }),
-        });
+/**
+ * Exports the transcript of a call.
+ *
+ * @endpoint GET /calls/:callSid/transcript
+ *
+ * @param {string} [req.query.format='json'] - 'json', 'text', 'vtt' or 'srt'
+ *
+ * @returns {Object|string} response - The transcript with entry offsets for json, or the text, WebVTT or SubRip file
+ * @returns {string} [response.error] - Error message if the format is unsupported or the call has no transcript
+ *
+ * @description
+ * Times are measured from when the call was answered, so subtitles line up with the call recording, or from when
+ * Conversation Relay connected if the answer time is not known. Texts were redacted as they were recorded.
+ */
+app.get('/calls/:callSid/transcript', async (req, res) => {
+    const { callSid } = req.params;
+    const { format = 'json' } = req.query;
+    if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
 
-        const callSid = await call.text();
+    let transcript;
+    try {
+        transcript = await transcriptStore.get(callSid);
+    } catch (error) {
+        logError('Server', `Error reading transcript ${callSid}: ${error}`);
+        return res.status(500).json({ error: error.message });
+    }
+    if (!transcript) {
+        return res.status(404).json({ error: `Transcript not found: ${callSid}` });
+    }
+    const formatted = formatTranscript(transcript, format, { startTime: callTracker.getCall(callSid)?.answeredAt });
+    if (format === 'json') {
+        return res.json({ transcript: formatted });
+    }
+    res.type(TRANSCRIPT_FORMATS[format]);
+    if (format !== 'text') {
+        res.attachment(`${callSid}.${format}`);
+    }
+    res.send(formatted);
+});
 
-        logOut('Server', `/outboundCall: Call initiated for customer: ${customerData.customerReference} with call SID: ${callSid}`);
+/**
+ * Exports the order outcomes collected by the AI.
+ *
+ * @endpoint GET /outcomes
+ *
+ * @param {string} [req.query.from] - Earliest timestamp or date (inclusive)
+ * @param {string} [req.query.to] - Latest timestamp or date (inclusive). A date without a time includes the whole day
+ * @param {string} [req.query.format='json'] - 'json' or 'csv'
+ *
+ * @returns {Object|string} response - JSON with an outcomes array, or a CSV file with one row per call
+ *   (timestamp, customerReference, phoneNumber, callSid, status, summary)
+ *
+ * @description
+ * Outcomes are recorded when the status-update tool reports a valid order status ("ready", "in progress",
+ * "delayed" or "unable to complete"), with the summary added when the call is ended with end-call. Calls answered
+ * by an answering machine are recorded with the "voicemail" status and the message left as the summary.
+ */
+app.get('/outcomes', (req, res) => {
+    const { from, to, format = 'json' } = req.query;
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
 
-        res.json({ success: true, callSid });
+    try {
+        const outcomes = outcomeService.listOutcomes({ from, to });
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`outcomes${from ? `-${from}` : ''}${to ? `-${to}` : ''}.csv`);
+            return res.send(outcomeService.toCsv(outcomes));
+        }
+        res.json({ outcomes });
     } catch (error) {
-        logError('Server', `Error initiating outbound call: ${error}`);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Lists the phone menu (IVR) paths learned for each dialled number.
+ *
+ * @endpoint GET /ivrPaths
+ *
+ * @returns {Object} response
+ * @returns {Array<Object>} response.ivrPaths - Per number: phoneNumber, steps (prompt and digits), successes and updatedAt
+ */
+app.get('/ivrPaths', (req, res) => {
+    res.json({ ivrPaths: ivrPathService.listPaths() });
+});
+
+/**
+ * Deletes the learned IVR path for a number, so the next call discovers the phone menu again.
+ *
+ * @endpoint DELETE /ivrPaths/:phoneNumber
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Indicates if a path was deleted
+ * @returns {string} [response.error] - Error message if there was no path for the number
+ */
+app.delete('/ivrPaths/:phoneNumber', (req, res) => {
+    if (!ivrPathService.deletePath(req.params.phoneNumber)) {
+        return res.status(404).json({ success: false, error: `No IVR path for ${req.params.phoneNumber}` });
     }
+    res.json({ success: true });
+});
+
+/**
+ * Returns the tool metrics, to find tools the prompts describe poorly.
+ *
+ * @endpoint GET /tools/metrics
+ *
+ * @returns {Object} response
+ * @returns {Object} response.metrics - Per tool: calls, validationFailures, errors, timeouts, retries, shortCircuits
+ *   and the lastValidationFailure (timestamp, arguments and errors). Unknown tools the LLM made up are included.
+ * @returns {Object} response.circuitBreakers - Per remote endpoint: circuit breaker state and consecutive failures
+ *
+ * @description
+ * A validation failure is a tool call whose arguments were not valid JSON or did not match the tool's schema.
+ * Counts are kept in memory since the server started.
+ */
+app.get('/tools/metrics', (req, res) => {
+    res.json({
+        metrics: toolRegistry ? toolRegistry.getMetrics() : {},
+        circuitBreakers: toolRegistry ? toolRegistry.getCircuitStates() : {}
+    });
 });
 
 /**
@@ -396,7 +1054,9 @@ app.post('/assignmentCallback', async (req, res) => {
         // 1. Deliver task to Worker
         // 2. acknowledge the task has been accepted.
         // 3. Emit an event to the FlexService to handle the task acceptance
-        flexService.acceptTask(req.body);
+        flexService.acceptTask(req.body).catch(error => {
+            logError('Server', `Error accepting task ${req.body.TaskSid}: ${error}`);
+        });
 
         res.json({ success: true });
     } catch (error) {
@@ -416,43 +1076,236 @@ app.get('/', (req, res) => {
     res.send('WebSocket Server Running');
 });
 
-// Start the server
-try {
-    // Fetch initial context and manifest before starting the server
-    const server = app.listen(PORT, async () => {
-        try {
-            const result = await fetchContextAndManifest();
-            baseContext = result.promptContext;
-            baseManifest = result.toolManifest;
-            logOut('Server', 'Initial context and manifest loaded');
-            logOut('Server', `Server is running on port ${PORT}`);
-        } catch (error) {
-            logError('Server', `Failed to load initial context and manifest: ${error}`);
-            process.exit(1);
+// Start the server, unless the app was required by the tests
+if (require.main === module) {
+    try {
+        // Load the tools and call scripts before starting the server
+        const server = app.listen(PORT, async () => {
+            try {
+                const result = loadToolsAndScripts();
+                toolRegistry = result.toolRegistry;
+                scriptLibrary = result.scriptLibrary;
+                // Script changes apply to new calls without a restart
+                scriptLibrary.watch();
+                // Transcripts have their own retention, so expired ones are deleted while the server runs
+                transcriptStore.startPruning();
+                logOut('Server', 'Initial tools and scripts loaded');
+                logOut('Server', `Server is running on port ${PORT}`);
+            } catch (error) {
+                logError('Server', `Failed to load initial tools and scripts: ${error}`);
+                process.exit(1);
+            }
+        });
+    } catch (error) {
+        if (error.code === 'EADDRINUSE') {
+            logError('Server', `Port ${PORT} is already in use`);
+        } else {
+            logError('Server', `Failed to start server: ${error}`);
         }
-    });
-} catch (error) {
-    if (error.code === 'EADDRINUSE') {
-        logError('Server', `Port ${PORT} is already in use`);
-    } else {
-        logError('Server', `Failed to start server: ${error}`);
+        process.exit(1);
     }
-    process.exit(1);
 }
 
 //
 // Utility Functions
 //
 
-// Function to load context and manifest from local files
-async function fetchContextAndManifest() {
+// Function to load the tool modules and the call scripts from local files. Each script's tool manifest is generated from the tools.
+function loadToolsAndScripts() {
     try {
-        const promptContext = await fs.readFile(path.join(__dirname, 'assets', 'context.md'), 'utf8');
-        const toolManifest = JSON.parse(await fs.readFile(path.join(__dirname, 'assets', 'toolManifest.json'), 'utf8'));
-        logOut('Server', 'Loaded context and manifest from local files');
-        return { promptContext, toolManifest };
+        const toolRegistry = ToolRegistry.fromDirectory(path.join(__dirname, 'tools'));
+        const scriptLibrary = new ScriptLibrary({ directory: path.join(__dirname, 'assets', 'scripts'), toolRegistry });
+        logOut('Server', 'Loaded tools and scripts from local files');
+        return { toolRegistry, scriptLibrary };
     } catch (error) {
-        logError('Server', `Error loading context or manifest: ${error}`);
+        logError('Server', `Error loading tools or scripts: ${error}`);
         throw error;
     }
 }
+
+/**
+ * Places an outbound call for a single order and connects it to the Conversation Relay service.
+ * Shared by /outboundCall and the campaign dialler so every call goes through the same path.
+ *
+ * This:
+ * 1. Stores customer data in the session store
+ * 2. Creates a new Flex interaction
+ * 3. Links the interaction to the session for the reservationAccepted handler
+ * 4. Initiates an outbound call using Twilio Functions
+ *
+ * @param {Object} customerData - Customer data properties
+ * @param {string} customerData.phoneNumber - Customer's phone number to call
+ * @param {string} customerData.customerReference - Unique reference to identify the customer
+ * @param {string} [customerData.llmBackend] - LLM backend for this call
+ * @param {string} [customerData.script] - Call script for this call
+ * @returns {Promise<string>} The Twilio Call SID
+ * @throws {Error} If the LLM backend or script is unknown, the script's context cannot be rendered for the order, the
+ *   order is already being called (statusCode 409), or the Flex interaction or the call could not be created
+ */
+async function initiateOutboundCall(customerData) {
+    // A second call for the same reference would replace the session of the call in progress
+    if (isSessionActive(customerData.customerReference)) {
+        const error = new Error(`customerReference is already being called: ${customerData.customerReference}`);
+        error.statusCode = 409;
+        throw error;
+    }
+    // Check the backend and script before dialling, as an unknown one would only fail once the call is answered
+    if (customerData.llmBackend && !LLM_BACKENDS.includes(customerData.llmBackend)) {
+        throw new Error(`Unknown LLM backend: ${customerData.llmBackend}. Must be one of: ${LLM_BACKENDS.join(', ')}`);
+    }
+    if (customerData.script && !scriptLibrary.get(customerData.script)) {
+        throw new Error(`Unknown script: ${customerData.script}. Must be one of: ${scriptLibrary.names().join(', ')}`);
+    }
+    scriptLibrary.checkContext(scriptLibrary.get(customerData.script), customerData);
+
+    // This customer data now needs to be stored in the session store, referenced by the customerData.customerReference and then read when the ws connection is established
+    // The retry state lives next to the customer data so the redial progress is visible with the session
+    sessionStore.set(customerData.customerReference, {
+        customerData,
+        retry: redialService.createRetryState(customerData.retryPolicy)
+    });
+
+    /**
+      * Create the Flex Interaction and get the Conversation API SID. This is then used to add the participants to the conversation.
+      * 
+      * Participants are: 
+      * 1) Flex Agent (v1 Listen only. v2 can participate)
+      * 2) conversationRelay
+      */
+    logOut('Server', `initiateOutboundCall: Setting up Flex Service and Creating new interaction in Flex`);
+    // Create a new Flex Service
+    const flexInteraction = await flexService.createInteraction(customerData);
+    // logOut('Server', `createInteraction result: ${JSON.stringify(flexInteraction.interaction, null, 4)}`);
+    if (!flexInteraction.interaction) {
+        sessionStore.transition(customerData.customerReference, 'failed', 'Unable to create Flex interaction');
+        throw new Error(`Unable to create Flex interaction for ${customerData.customerReference}`);
+    }
+
+    // Now add this flexInteraction.interaction data to the session for this customerData.customerReference.
+    // The reservationAccepted handler finds the session by this interaction SID.
+    sessionStore.update(customerData.customerReference, { flexInteraction: flexInteraction.interaction });
+    sessionStore.transition(customerData.customerReference, 'interactionCreated');
+
+    const callSid = await placeCall(customerData.customerReference);
+    sessionStore.get(customerData.customerReference).retry.currentCallSid = callSid;
+    sessionStore.save(customerData.customerReference);
+    return callSid;
+}
+
+/**
+ * Checks whether a customer reference has a session that has neither ended nor failed, i.e. a call in progress or
+ * waiting to be redialled.
+ *
+ * @param {string} customerReference - Unique reference to identify the customer
+ * @returns {boolean} True if the session is active
+ */
+function isSessionActive(customerReference) {
+    const sessionData = sessionStore.get(customerReference);
+    return Boolean(sessionData && !sessionData.endedAt && sessionData.state !== 'failed');
+}
+
+/**
+ * Places a call for an order that already has a session and Flex interaction. Used for the first
+ * attempt and for every redial, so the existing Flex interaction is reused between attempts.
+ *
+ * @param {string} customerReference - Unique reference to identify the customer
+ * @returns {Promise<string>} The Twilio Call SID
+ * @throws {Error} If there is no session for the reference or the call could not be created
+ */
+async function placeCall(customerReference) {
+    const sessionData = sessionStore.get(customerReference);
+    if (!sessionData) {
+        throw new Error(`No customer data found for reference: ${customerReference}`);
+    }
+    const { customerData } = sessionData;
+    // The voice settings are read when the call is placed, so a redial picks up any change to the script
+    const script = scriptLibrary.get(customerData.script) || scriptLibrary.get();
+
+    logOut('Server', `placeCall: Initiating outbound call`);
+    // Call the serverless code:
+    const call = await fetch(`${TWILIO_FUNCTIONS_URL}/tools/call-out`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            // 'Authorization': `Basic ${Buffer.from(`${process.env.ACCOUNT_SID}:${process.env.AUTH_TOKEN}`).toString('base64')}`,
+        },
+        body: JSON.stringify({
+            to: customerData.phoneNumber,
+            customerReference: customerData.customerReference,
+            functionsServerUrl: `${TWILIO_FUNCTIONS_URL}`,
+            // Without a server URL the call-out function falls back to only logging the answered event
+            statusCallbackUrl: SERVER_BASE_URL ? `https://${SERVER_BASE_URL}/callStatus?customerReference=${encodeURIComponent(customerData.customerReference)}` : undefined,
+            // Answering machine detection also needs the server URL, so machines can be sent a voicemail
+            amdStatusCallbackUrl: SERVER_BASE_URL ? `https://${SERVER_BASE_URL}/amdStatus?customerReference=${encodeURIComponent(customerData.customerReference)}` : undefined,
+            // Conversation Relay voice settings for the script
+            voice: script.voice,
+        }),
+    });
+
+    const callSid = await call.text();
+    if (!call.ok) {
+        throw new Error(`Call out failed with status ${call.status}: ${callSid}`);
+    }
+
+    logOut('Server', `placeCall: Call initiated for customer: ${customerData.customerReference} with call SID: ${callSid}`);
+    callTracker.recordEvent(customerReference, callSid, 'dialled', { to: customerData.phoneNumber });
+    return callSid;
+}
+
+/**
+ * Leaves the script's voicemail on a call answered by an answering machine, and records the "voicemail" outcome.
+ * A voicemail that cannot be rendered is skipped, and the call ended without one.
+ *
+ * @param {Object} liveRelay - Live relay of the call, with its conversationRelay, script and sessionCustomerData
+ */
+function leaveVoicemail({ conversationRelay, script, sessionCustomerData }) {
+    if (conversationRelay.leavingVoicemail) {
+        return;
+    }
+    const { customerData, setupData } = sessionCustomerData;
+    let message = null;
+    try {
+        message = scriptLibrary.renderVoicemail(script, { customerData, setupData });
+    } catch (error) {
+        logError('Server', `${error.message}`);
+    }
+    outcomeService.recordVoicemail(customerData.customerReference, setupData.callSid, { message, phoneNumber: customerData.phoneNumber });
+    conversationRelay.leaveVoicemail(message);
+}
+
+/**
+ * Works out how a Flex agent's message is used from its prefix, falling back to the default mode.
+ *
+ * @param {string} body - Message text from the agent
+ * @param {string} [defaultMode=AGENT_MESSAGE_MODE] - Mode for messages without a prefix
+ * @returns {{mode: string, message: string}} The mode ('say' or 'instruct') and the message without its prefix
+ */
+function parseAgentMessage(body, defaultMode = AGENT_MESSAGE_MODE) {
+    const text = body.trim();
+    const prefix = Object.keys(AGENT_MESSAGE_PREFIXES).find(prefix => text.toLowerCase().startsWith(prefix));
+    if (!prefix) {
+        return { mode: defaultMode, message: text };
+    }
+    return { mode: AGENT_MESSAGE_PREFIXES[prefix], message: text.slice(prefix.length).trim() };
+}
+
+/**
+ * Closes the Flex interaction of a session, if one exists.
+ *
+ * @param {Object} sessionData - Session data from the session store
+ * @param {string} reason - Why the interaction is being closed, used for logging
+ */
+function closeFlexInteraction(sessionData, reason) {
+    // Close the Flex interaction if we have the necessary data
+    if (sessionData?.flexInteraction?.sid && sessionData?.taskAttributes?.flexInteractionChannelSid) {
+        flexService.closeInteraction(
+            sessionData.flexInteraction.sid,
+            sessionData.taskAttributes.flexInteractionChannelSid,
+            sessionData.reservation?.taskSid
+        ).catch(error => {
+            logError('Server', `Error closing Flex interaction on ${reason}: ${error}`);
+        });
+    }
+}
+
+module.exports = { app };
@@ -0,0 +1,196 @@
+/**
+ * @class CallTracker
+ * @description Records the lifecycle of every call against its session, so calls can be debugged without reading logs.
+ * This service:
+ *
+ * 1. Records call events per call SID:
+ *    - dialled: The server asked Twilio to place the call
+ *    - initiated, ringing, answered: Twilio call status callbacks
+ *    - relayConnected, relayDisconnected: The Conversation Relay WebSocket
+ *    - toolCall: Each tool the LLM ran during the call
+ *    - ended: The final Twilio call status (completed, busy, no-answer, failed, canceled) and duration
+ *
+ * 2. Keeps a summary per call (status, start, answer and end times, duration). Twilio status callbacks can arrive
+ *    out of order, so the status only moves forward by their sequence number, and the timeline lists them in that order
+ *
+ * 3. Lists and fetches calls for the /calls API
+ *
+ * Calls are stored on the session under session.calls, keyed by call SID, so a session holds one entry per
+ * redial attempt and call records are evicted together with their session.
+ *
+ * @property {SessionStore} sessionStore - Store holding the sessions the calls are recorded against
+ *
+ * @example
+ * const callTracker = new CallTracker(sessionStore);
+ *
+ * // From the Twilio status callback webhook
+ * callTracker.recordCallStatus('abc123', req.body);
+ *
+ * // From the Conversation Relay
+ * callTracker.recordEvent('abc123', callSid, 'toolCall', { name: 'status-update' });
+ *
+ * const call = callTracker.getCall(callSid);
+ */
+
+const { logOut } = require('../utils/logger');
+
+// Maps Twilio call statuses to timeline event names
+const CALL_STATUS_EVENTS = {
+    'queued': 'initiated',
+    'initiated': 'initiated',
+    'ringing': 'ringing',
+    'in-progress': 'answered',
+    'completed': 'ended',
+    'busy': 'ended',
+    'no-answer': 'ended',
+    'failed': 'ended',
+    'canceled': 'ended'
+};
+
+class CallTracker {
+    /**
+     * Creates a new CallTracker instance.
+     *
+     * @param {SessionStore} sessionStore - Store holding the sessions the calls are recorded against
+     */
+    constructor(sessionStore) {
+        this.sessionStore = sessionStore;
+    }
+
+    /**
+     * Records an event on a call's timeline, creating the call record if needed.
+     *
+     * @param {string} customerReference - Customer reference of the session
+     * @param {string} callSid - The Twilio Call SID
+     * @param {string} event - Event name
+     * @param {Object} [details={}] - Additional event details
+     * @returns {Object|null} The call record, or null if there is no session or call SID
+     */
+    recordEvent(customerReference, callSid, event, details = {}) {
+        const session = this.sessionStore.get(customerReference);
+        if (!session || !callSid) {
+            return null;
+        }
+
+        session.calls = session.calls || {};
+        if (!session.calls[callSid]) {
+            session.calls[callSid] = {
+                callSid,
+                customerReference,
+                to: session.customerData?.phoneNumber || null,
+                attempt: session.retry?.attempt || 1,
+                status: 'dialled',
+                startedAt: null,
+                answeredAt: null,
+                endedAt: null,
+                duration: null,
+                sequenceNumber: null,
+                timeline: []
+            };
+        }
+
+        const call = session.calls[callSid];
+        const timestamp = new Date().toISOString();
+        call.timeline.push({ event, timestamp, ...details });
+
+        switch (event) {
+            case 'dialled':
+            case 'initiated':
+                call.startedAt = call.startedAt || timestamp;
+                break;
+            case 'answered':
+                call.answeredAt = call.answeredAt || timestamp;
+                break;
+            case 'ended':
+                call.endedAt = call.endedAt || timestamp;
+                // Fall back to the answered time when Twilio does not report a duration
+                if (call.duration === null && call.answeredAt) {
+                    call.duration = Math.round((Date.parse(call.endedAt) - Date.parse(call.answeredAt)) / 1000);
+                }
+                break;
+        }
+
+        this.sessionStore.save(customerReference);
+        return call;
+    }
+
+    /**
+     * Records a Twilio call status callback. A callback older than the last one applied, by its SequenceNumber, is
+     * added to the timeline in sequence but does not change the call's status or duration.
+     *
+     * @param {string} customerReference - Customer reference of the session
+     * @param {Object} callStatus - Twilio status callback parameters
+     * @param {string} callStatus.CallSid - The Twilio Call SID
+     * @param {string} callStatus.CallStatus - The Twilio call status
+     * @param {string} [callStatus.CallDuration] - Call duration in seconds, sent with the completed status
+     * @param {string} [callStatus.SequenceNumber] - Order of the callback for this call
+     * @returns {Object|null} The call record, or null if there is no session
+     */
+    recordCallStatus(customerReference, { CallSid, CallStatus, CallDuration, SequenceNumber }) {
+        const event = CALL_STATUS_EVENTS[CallStatus] || CallStatus;
+        const recorded = this.recordEvent(customerReference, CallSid, event, {
+            callStatus: CallStatus,
+            ...(SequenceNumber !== undefined && { sequenceNumber: Number(SequenceNumber) }),
+            ...(CallDuration !== undefined && { duration: Number(CallDuration) })
+        });
+
+        if (!recorded) {
+            return recorded;
+        }
+
+        const sequenceNumber = SequenceNumber !== undefined ? Number(SequenceNumber) : null;
+        if (sequenceNumber !== null) {
+            // Move a late callback in front of the status callbacks that were sent after it
+            const entry = recorded.timeline.pop();
+            const next = recorded.timeline.findIndex(item => item.sequenceNumber > sequenceNumber);
+            recorded.timeline.splice(next === -1 ? recorded.timeline.length : next, 0, entry);
+        }
+
+        if (sequenceNumber === null || recorded.sequenceNumber === null || sequenceNumber > recorded.sequenceNumber) {
+            recorded.status = CallStatus;
+            recorded.sequenceNumber = sequenceNumber ?? recorded.sequenceNumber;
+            if (CallDuration !== undefined) {
+                recorded.duration = Number(CallDuration);
+            }
+            logOut('CallTracker', `Call ${CallSid} for ${customerReference} is ${CallStatus}`);
+        } else {
+            logOut('CallTracker', `Call ${CallSid} for ${customerReference} was ${CallStatus} before its status ${recorded.status}. Keeping ${recorded.status}`);
+        }
+        this.sessionStore.save(customerReference);
+        return recorded;
+    }
+
+    /**
+     * Returns the full record of a call, including its timeline.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @returns {Object|undefined} Call record
+     */
+    getCall(callSid) {
+        for (const session of this.sessionStore.values()) {
+            if (session.calls?.[callSid]) {
+                return session.calls[callSid];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Lists call summaries, newest first.
+     *
+     * @param {Object} [filters={}] - Optional filters
+     * @param {string} [filters.customerReference] - Only calls for this customer reference
+     * @param {string} [filters.status] - Only calls with this Twilio call status
+     * @returns {Array<Object>} Call summaries without timelines
+     */
+    listCalls({ customerReference, status } = {}) {
+        return this.sessionStore.values()
+            .flatMap(session => Object.values(session.calls || {}))
+            .filter(call => !customerReference || call.customerReference === customerReference)
+            .filter(call => !status || call.status === status)
+            .map(({ timeline, ...summary }) => ({ ...summary, eventCount: timeline.length }))
+            .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+    }
+}
+
+module.exports = { CallTracker };
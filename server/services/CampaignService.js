@@ -0,0 +1,536 @@
+/**
+ * @class CampaignService
+ * @extends EventEmitter
+ * @description Runs batches of outbound calls ("campaigns") on top of the single call flow used by /outboundCall.
+ * This service manages:
+ *
+ * 1. Campaign Lifecycle:
+ *    - Creates campaigns from a list of orders
+ *    - Starts, pauses, resumes and cancels campaigns
+ *    - Marks campaigns completed once every order has finished
+ *
+ * 2. Call Scheduling:
+ *    - Limits the number of concurrent calls per campaign
+ *    - Paces call starts with a minimum gap between dials
+ *    - Frees a call slot if an order never reports completion
+ *    - Holds the call slot while an order waits to be redialled
+ *
+ * 3. Progress Tracking:
+ *    - Tracks per-order status, call SID, timings and errors
+ *    - Provides a summary of each campaign for reporting
+ *
+ * The actual dialling is delegated to the dialOrder function passed in, so each order goes through
+ * exactly the same Flex interaction and call-out path as a single /outboundCall request.
+ *
+ * @property {Function} dialOrder - Async function that dials a single order and resolves to the call SID
+ * @property {Function|null} isReferenceActive - Function returning true when a customer reference has a call in progress
+ * @property {Map<string, Object>} campaigns - Campaigns referenced by campaign ID
+ *
+ * Environment Configuration (optional):
+ * - CAMPAIGN_MAX_CONCURRENT_CALLS: Default maximum concurrent calls per campaign (default: 1)
+ * - CAMPAIGN_PACING_SECONDS: Default minimum seconds between call starts (default: 0)
+ * - CAMPAIGN_ORDER_TIMEOUT_SECONDS: Seconds after which an unfinished order frees its call slot (default: 600)
+ *
+ * Events Emitted:
+ * - campaign.orderUpdated: An order changed status
+ * - campaign.completed: All orders in a campaign have finished
+ *
+ * @example
+ * const campaignService = new CampaignService(async (customerData) => {
+ *   return await initiateOutboundCall(customerData);
+ * });
+ *
+ * const campaign = campaignService.createCampaign({
+ *   orders: [{ phoneNumber: '+61400000000', customerReference: 'abc123' }],
+ *   maxConcurrentCalls: 2,
+ *   pacingSeconds: 5
+ * });
+ * campaignService.startCampaign(campaign.id);
+ *
+ * // When the call for an order has ended
+ * campaignService.orderCompleted('abc123');
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    CAMPAIGN_MAX_CONCURRENT_CALLS = 1,
+    CAMPAIGN_PACING_SECONDS = 0,
+    CAMPAIGN_ORDER_TIMEOUT_SECONDS = 600
+} = process.env;
+
+// Order statuses that occupy a call slot
+const ACTIVE_ORDER_STATUSES = ['dialling', 'in-progress', 'retrying'];
+// Order statuses that no longer occupy, or will never occupy, a call slot
+const FINISHED_ORDER_STATUSES = ['completed', 'voicemail', 'failed', 'timed-out', 'cancelled'];
+
+/**
+ * Reads a numeric campaign option, falling back to its default and raising it to a minimum.
+ *
+ * @param {string} name - Option name, for the error message
+ * @param {number|string|undefined} value - Option value from the request
+ * @param {number|string} fallback - Default value, e.g. from the environment
+ * @param {number} minimum - Smallest value allowed
+ * @returns {number} The option value
+ * @throws {Error} If the value is not a finite number
+ */
+const readNumberOption = (name, value, fallback, minimum) => {
+    const option = value ?? fallback;
+    const number = typeof option === 'string' && option.trim() !== '' ? Number(option) : option;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${name} must be a number, got: ${JSON.stringify(option)}`);
+    }
+    return Math.max(minimum, number);
+};
+
+class CampaignService extends EventEmitter {
+    /**
+     * Creates a new CampaignService instance.
+     *
+     * @param {Function} dialOrder - Async function taking the order properties and resolving to the call SID
+     * @param {Object} [options={}] - Service options
+     * @param {Function} [options.isReferenceActive] - Function taking a customer reference and returning true when it
+     *   already has a call in progress, so it is not dialled a second time
+     * @throws {Error} If dialOrder is not provided
+     */
+    constructor(dialOrder, { isReferenceActive } = {}) {
+        super();
+        if (typeof dialOrder !== 'function') {
+            throw new Error('A dialOrder function is required');
+        }
+        this.dialOrder = dialOrder;
+        this.isReferenceActive = isReferenceActive || null;
+        this.campaigns = new Map();
+    }
+
+    /**
+     * Creates a new campaign from a list of orders. The campaign is created in the 'created' state and
+     * does not dial until startCampaign is called.
+     *
+     * @param {Object} options - Campaign options
+     * @param {Array<Object>} options.orders - Orders using the same properties shape as /outboundCall
+     * @param {string} [options.name] - Friendly name for the campaign
+     * @param {number} [options.maxConcurrentCalls] - Maximum calls in progress at any one time
+     * @param {number} [options.pacingSeconds] - Minimum seconds between call starts
+     * @param {number} [options.orderTimeoutSeconds] - Seconds after which an unfinished order frees its slot
+     * @param {Object} [options.retryPolicy] - Default redial policy for orders that do not set their own
+     * @returns {Object} Campaign summary
+     * @throws {Error} If the orders or options are invalid, or an order is already being called (statusCode 409)
+     */
+    createCampaign({ orders, name, maxConcurrentCalls, pacingSeconds, orderTimeoutSeconds, retryPolicy } = {}) {
+        if (!Array.isArray(orders) || orders.length === 0) {
+            throw new Error('A campaign requires a non-empty list of orders');
+        }
+
+        const seenReferences = new Set();
+        orders.forEach((order, index) => {
+            if (!order?.phoneNumber || !order?.customerReference) {
+                throw new Error(`Order ${index} requires a phoneNumber and customerReference`);
+            }
+            if (seenReferences.has(order.customerReference)) {
+                throw new Error(`Duplicate customerReference in campaign: ${order.customerReference}`);
+            }
+            seenReferences.add(order.customerReference);
+            // Orders with the same reference would share one session and Flex interaction
+            if (this.findUnfinishedOrder(order.customerReference) || this.isReferenceActive?.(order.customerReference)) {
+                const error = new Error(`customerReference is already being called: ${order.customerReference}`);
+                error.statusCode = 409;
+                throw error;
+            }
+        });
+
+        const options = {
+            maxConcurrentCalls: readNumberOption('maxConcurrentCalls', maxConcurrentCalls, CAMPAIGN_MAX_CONCURRENT_CALLS, 1),
+            pacingSeconds: readNumberOption('pacingSeconds', pacingSeconds, CAMPAIGN_PACING_SECONDS, 0),
+            orderTimeoutSeconds: readNumberOption('orderTimeoutSeconds', orderTimeoutSeconds, CAMPAIGN_ORDER_TIMEOUT_SECONDS, 1)
+        };
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            name: name || null,
+            status: 'created',
+            ...options,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            endedAt: null,
+            lastDialAt: 0,
+            dispatchTimer: null,
+            orders: orders.map(properties => ({
+                customerReference: properties.customerReference,
+                properties: retryPolicy && !properties.retryPolicy ? { ...properties, retryPolicy } : properties,
+                status: 'pending',
+                attempt: 0,
+                lastCallStatus: null,
+                nextAttemptAt: null,
+                callSid: null,
+                startedAt: null,
+                endedAt: null,
+                error: null,
+                timeoutTimer: null
+            }))
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        logOut('Campaign', `Created campaign ${campaign.id} with ${campaign.orders.length} orders`);
+        return this.getCampaign(campaign.id);
+    }
+
+    /**
+     * Starts dialling a campaign.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign summary
+     * @throws {Error} If the campaign does not exist or cannot be started
+     */
+    startCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (campaign.status !== 'created') {
+            throw new Error(`Campaign ${campaignId} cannot be started from status ${campaign.status}`);
+        }
+        campaign.status = 'running';
+        campaign.startedAt = new Date().toISOString();
+        logOut('Campaign', `Started campaign ${campaignId}`);
+        this.dispatch(campaign);
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Pauses a running campaign. Calls already in progress continue, but no new calls are started.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign summary
+     * @throws {Error} If the campaign does not exist or is not running
+     */
+    pauseCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (campaign.status !== 'running') {
+            throw new Error(`Campaign ${campaignId} cannot be paused from status ${campaign.status}`);
+        }
+        campaign.status = 'paused';
+        this.clearDispatchTimer(campaign);
+        logOut('Campaign', `Paused campaign ${campaignId}`);
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Resumes a paused campaign.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign summary
+     * @throws {Error} If the campaign does not exist or is not paused
+     */
+    resumeCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (campaign.status !== 'paused') {
+            throw new Error(`Campaign ${campaignId} cannot be resumed from status ${campaign.status}`);
+        }
+        campaign.status = 'running';
+        logOut('Campaign', `Resumed campaign ${campaignId}`);
+        this.dispatch(campaign);
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Cancels a campaign. Pending orders are cancelled, calls already in progress are left to finish.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign summary
+     * @throws {Error} If the campaign does not exist or has already finished
+     */
+    cancelCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (['cancelled', 'completed'].includes(campaign.status)) {
+            throw new Error(`Campaign ${campaignId} cannot be cancelled from status ${campaign.status}`);
+        }
+        campaign.status = 'cancelled';
+        campaign.endedAt = new Date().toISOString();
+        this.clearDispatchTimer(campaign);
+        campaign.orders
+            .filter(order => order.status === 'pending')
+            .forEach(order => this.updateOrder(campaign, order, { status: 'cancelled' }));
+        logOut('Campaign', `Cancelled campaign ${campaignId}`);
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Records that the call for an order has finished, freeing its call slot.
+     * References that do not belong to an in-progress campaign order are ignored, so this can be
+     * called for every call regardless of how it was started.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} [result={}] - Completion details
+     * @param {string} [result.status='completed'] - Final order status ('completed'|'voicemail'|'failed')
+     * @param {string} [result.error] - Error description when the order failed
+     */
+    orderCompleted(customerReference, { status = 'completed', error = null } = {}) {
+        const found = this.findActiveOrder(customerReference);
+        if (!found) {
+            return;
+        }
+        const { campaign, order } = found;
+        this.updateOrder(campaign, order, { status, error, endedAt: new Date().toISOString() });
+        this.dispatch(campaign);
+    }
+
+    /**
+     * Records a new attempt, or a scheduled redial, for an in-progress order. The order keeps its call slot
+     * and its timeout is restarted so that the backoff between attempts does not time the order out.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} retryState - Retry state of the order
+     * @param {number} retryState.attempt - Current attempt number
+     * @param {string} retryState.status - Retry status ('dialling'|'scheduled'|...)
+     * @param {string|null} retryState.currentCallSid - Call SID of the current attempt
+     * @param {string|null} retryState.lastCallStatus - Last call status received
+     * @param {string|null} retryState.nextAttemptAt - When the next attempt is scheduled
+     */
+    orderRetrying(customerReference, { attempt, status, currentCallSid, lastCallStatus, nextAttemptAt }) {
+        const found = this.findActiveOrder(customerReference);
+        if (!found) {
+            return;
+        }
+        const { campaign, order } = found;
+        this.startOrderTimeout(campaign, order);
+        this.updateOrder(campaign, order, {
+            status: status === 'scheduled' ? 'retrying' : 'in-progress',
+            attempt,
+            lastCallStatus,
+            nextAttemptAt,
+            callSid: currentCallSid || order.callSid
+        });
+    }
+
+    /**
+     * Returns a summary of a campaign with per-order progress.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    getCampaign(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign) {
+            return null;
+        }
+
+        const counts = {};
+        campaign.orders.forEach(order => {
+            counts[order.status] = (counts[order.status] || 0) + 1;
+        });
+
+        return {
+            id: campaign.id,
+            name: campaign.name,
+            status: campaign.status,
+            maxConcurrentCalls: campaign.maxConcurrentCalls,
+            pacingSeconds: campaign.pacingSeconds,
+            orderTimeoutSeconds: campaign.orderTimeoutSeconds,
+            createdAt: campaign.createdAt,
+            startedAt: campaign.startedAt,
+            endedAt: campaign.endedAt,
+            counts,
+            orders: campaign.orders.map(order => ({
+                customerReference: order.customerReference,
+                phoneNumber: order.properties.phoneNumber,
+                status: order.status,
+                attempt: order.attempt,
+                lastCallStatus: order.lastCallStatus,
+                nextAttemptAt: order.nextAttemptAt,
+                callSid: order.callSid,
+                startedAt: order.startedAt,
+                endedAt: order.endedAt,
+                error: order.error
+            }))
+        };
+    }
+
+    /**
+     * Lists summaries of all campaigns.
+     *
+     * @returns {Array<Object>} Campaign summaries
+     */
+    listCampaigns() {
+        return Array.from(this.campaigns.keys()).map(campaignId => this.getCampaign(campaignId));
+    }
+
+    /**
+     * Starts as many pending orders as the concurrency limit and pacing allow. If pacing prevents
+     * the next dial, a timer is set to try again once the pacing gap has passed.
+     *
+     * @param {Object} campaign - Internal campaign object
+     */
+    dispatch(campaign) {
+        this.clearDispatchTimer(campaign);
+        this.checkCompleted(campaign);
+        if (campaign.status !== 'running') {
+            return;
+        }
+
+        const activeCount = campaign.orders.filter(order => ACTIVE_ORDER_STATUSES.includes(order.status)).length;
+        if (activeCount >= campaign.maxConcurrentCalls) {
+            return;
+        }
+
+        const nextOrder = campaign.orders.find(order => order.status === 'pending');
+        if (!nextOrder) {
+            return;
+        }
+
+        const waitMs = campaign.lastDialAt + (campaign.pacingSeconds * 1000) - Date.now();
+        if (waitMs > 0) {
+            campaign.dispatchTimer = setTimeout(() => this.dispatch(campaign), waitMs);
+            return;
+        }
+
+        campaign.lastDialAt = Date.now();
+        this.dialCampaignOrder(campaign, nextOrder);
+        // Try to fill any remaining slots
+        this.dispatch(campaign);
+    }
+
+    /**
+     * Dials a single order and tracks the result.
+     *
+     * @async
+     * @param {Object} campaign - Internal campaign object
+     * @param {Object} order - Internal order object
+     * @returns {Promise<void>} Resolves when the call has been initiated or has failed
+     */
+    async dialCampaignOrder(campaign, order) {
+        this.updateOrder(campaign, order, { status: 'dialling', attempt: 1, startedAt: new Date().toISOString() });
+        this.startOrderTimeout(campaign, order);
+
+        try {
+            const callSid = await this.dialOrder(order.properties);
+            // The call may have already finished or been timed out while dialling
+            if (order.status === 'dialling') {
+                this.updateOrder(campaign, order, { status: 'in-progress', callSid });
+            }
+        } catch (error) {
+            logError('Campaign', `Error dialling order ${order.customerReference} in campaign ${campaign.id}: ${error}`);
+            this.updateOrder(campaign, order, { status: 'failed', error: error.message, endedAt: new Date().toISOString() });
+            this.dispatch(campaign);
+        }
+    }
+
+    /**
+     * Starts, or restarts, the timer that frees an order's call slot if the call never reports back.
+     *
+     * @param {Object} campaign - Internal campaign object
+     * @param {Object} order - Internal order object
+     */
+    startOrderTimeout(campaign, order) {
+        if (order.timeoutTimer) {
+            clearTimeout(order.timeoutTimer);
+        }
+        order.timeoutTimer = setTimeout(() => {
+            if (ACTIVE_ORDER_STATUSES.includes(order.status)) {
+                logError('Campaign', `Order ${order.customerReference} in campaign ${campaign.id} timed out`);
+                this.updateOrder(campaign, order, { status: 'timed-out', endedAt: new Date().toISOString() });
+                this.dispatch(campaign);
+            }
+        }, campaign.orderTimeoutSeconds * 1000);
+    }
+
+    /**
+     * Applies changes to an order and emits an update event.
+     *
+     * @param {Object} campaign - Internal campaign object
+     * @param {Object} order - Internal order object
+     * @param {Object} changes - Order fields to update
+     * @emits campaign.orderUpdated
+     */
+    updateOrder(campaign, order, changes) {
+        Object.assign(order, changes);
+        if (FINISHED_ORDER_STATUSES.includes(order.status) && order.timeoutTimer) {
+            clearTimeout(order.timeoutTimer);
+            order.timeoutTimer = null;
+        }
+        logOut('Campaign', `Campaign ${campaign.id} order ${order.customerReference} is ${order.status}`);
+        this.emit('campaign.orderUpdated', campaign.id, order.customerReference, order.status);
+    }
+
+    /**
+     * Marks a running or paused campaign completed once all orders have finished.
+     *
+     * @param {Object} campaign - Internal campaign object
+     * @emits campaign.completed
+     */
+    checkCompleted(campaign) {
+        if (!['running', 'paused'].includes(campaign.status)) {
+            return;
+        }
+        if (campaign.orders.every(order => FINISHED_ORDER_STATUSES.includes(order.status))) {
+            campaign.status = 'completed';
+            campaign.endedAt = new Date().toISOString();
+            logOut('Campaign', `Campaign ${campaign.id} completed`);
+            this.emit('campaign.completed', this.getCampaign(campaign.id));
+        }
+    }
+
+    /**
+     * Finds the in-progress campaign order for a customer reference.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @returns {{campaign: Object, order: Object}|null} The campaign and order, or null if not found
+     */
+    findActiveOrder(customerReference) {
+        for (const campaign of this.campaigns.values()) {
+            const order = campaign.orders.find(order =>
+                order.customerReference === customerReference && ACTIVE_ORDER_STATUSES.includes(order.status));
+            if (order) {
+                return { campaign, order };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds an order for a customer reference that has not finished yet, in any campaign, including pending orders.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @returns {{campaign: Object, order: Object}|null} The campaign and order, or null if not found
+     */
+    findUnfinishedOrder(customerReference) {
+        for (const campaign of this.campaigns.values()) {
+            const order = campaign.orders.find(order =>
+                order.customerReference === customerReference && !FINISHED_ORDER_STATUSES.includes(order.status));
+            if (order) {
+                return { campaign, order };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the internal campaign object or throws if it does not exist.
+     *
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Internal campaign object
+     * @throws {Error} If the campaign does not exist
+     */
+    requireCampaign(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign) {
+            const error = new Error(`Campaign not found: ${campaignId}`);
+            error.statusCode = 404;
+            throw error;
+        }
+        return campaign;
+    }
+
+    /**
+     * Clears any pending dispatch timer for a campaign.
+     *
+     * @param {Object} campaign - Internal campaign object
+     */
+    clearDispatchTimer(campaign) {
+        if (campaign.dispatchTimer) {
+            clearTimeout(campaign.dispatchTimer);
+            campaign.dispatchTimer = null;
+        }
+    }
+}
+
+module.exports = { CampaignService };
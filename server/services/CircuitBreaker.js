@@ -0,0 +1,115 @@
+/**
+ * @class CircuitBreaker
+ * @description Stops calling an endpoint that keeps failing, so callers fail fast instead of waiting on it.
+ * The breaker moves between three states:
+ *
+ * - closed: Requests go through. Consecutive failures are counted, and reaching the threshold opens the breaker
+ * - open: Requests are rejected straight away until the reset time has passed
+ * - half-open: One trial request goes through. Success closes the breaker, failure opens it again, and a trial
+ *   that gives no outcome (e.g. it was cancelled) lets the next request be the trial
+ *
+ * @property {string} name - Name used in logs, e.g. the endpoint URL
+ * @property {number} failureThreshold - Consecutive failures that open the breaker
+ * @property {number} resetMs - Milliseconds the breaker stays open before a trial request
+ * @property {string} state - 'closed'|'open'|'half-open'
+ * @property {number} failures - Consecutive failures counted while closed
+ * @property {number|null} openedAt - Time the breaker last opened, in milliseconds
+ *
+ * @example
+ * const breaker = new CircuitBreaker('status-update', { failureThreshold: 5, resetMs: 30000 });
+ * if (!breaker.allowRequest()) {
+ *   // Fail fast
+ * }
+ * try {
+ *   await callEndpoint();
+ *   breaker.recordSuccess();
+ * } catch (error) {
+ *   if (cancelled) {
+ *     breaker.releaseTrial();
+ *   } else {
+ *     breaker.recordFailure();
+ *   }
+ * }
+ */
+
+const { logOut, logError } = require('../utils/logger');
+
+class CircuitBreaker {
+    /**
+     * Creates a new CircuitBreaker instance.
+     *
+     * @param {string} name - Name used in logs
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+     * @param {number} options.resetMs - Milliseconds the breaker stays open before a trial request
+     */
+    constructor(name, { failureThreshold, resetMs }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetMs = resetMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Checks whether a request may go through, moving an open breaker to half-open once its reset time has passed.
+     *
+     * @returns {boolean} True if the request may go through
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetMs) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+            logOut('CircuitBreaker', `${this.name} is half-open, allowing a trial request`);
+        }
+        if (this.state === 'half-open') {
+            // Only one trial request at a time
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    /**
+     * Records a successful request, closing the breaker.
+     */
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logOut('CircuitBreaker', `${this.name} is closed again`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Releases the trial request of a half-open breaker without recording an outcome, so the next request can be
+     * the trial. Used when the trial was cancelled before the endpoint answered.
+     */
+    releaseTrial() {
+        if (this.state === 'half-open') {
+            this.trialInFlight = false;
+        }
+    }
+
+    /**
+     * Records a failed request, opening the breaker when the threshold is reached or a trial request fails.
+     */
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+            logError('CircuitBreaker', `${this.name} is open after ${this.failures} consecutive failures. Retrying in ${this.resetMs}ms`);
+        }
+    }
+}
+
+module.exports = { CircuitBreaker };
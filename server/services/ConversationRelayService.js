@@ -6,36 +6,77 @@
  * 
  * 1. Message Flow Management:
  *    - Handles incoming messages from users
- *    - Processes outgoing messages from agents
+ *    - Processes messages from Flex agents, spoken to the callee or given to the LLM as private instructions
  *    - Manages LLM service responses
+ *    - Passes interruptions (barge-in) to the LLM service
  *    - Controls conversation context
  * 
  * 2. Event Management:
  *    - Emits events for responses, silence, prompts
  *    - Handles DTMF (touch-tone) signals
+ *    - Collects the digits the callee presses and passes them to the LLM as a user turn
  *    - Manages live agent handoff events
  *    - Controls conversation termination
  * 
  * 3. Silence Detection:
- *    - Monitors for conversation inactivity
- *    - Sends reminder messages
- *    - Handles call termination on extended silence
+ *    - Monitors for conversation inactivity, following the call script's silence policy
+ *    - Sends reminder messages in the session's language, or has the LLM generate them
+ *    - Handles call termination, with a goodbye, on extended silence
+ * 
+ * 4. IVR Paths:
+ *    - Offers the phone menu path recorded on earlier calls to the number to the LLM
+ *    - Sends the known digits without asking the LLM when the menu prompts match ('auto' mode)
+ *    - Records the path taken, saved once the LLM first speaks, as it only speaks to a live person
+ * 
+ * 5. On Hold:
+ *    - Entered when the LLM uses the wait-on-hold tool
+ *    - Suspends the silence breakers for up to the maximum hold time
+ *    - Ignores hold music and recorded messages, and interruptions by them
+ *    - Resumes normal behaviour when a person speaks again, or asks the LLM to check the line once the maximum hold time passes
+ * 
+ * 6. Voicemail:
+ *    - When answering machine detection finds a machine, stops the LLM and ignores everything heard from then on
+ *    - Leaves the script's voicemail message, then ends the call with the 'voicemail' reason code
+ * 
+ * 7. Agent Takeover:
+ *    - A Flex agent can take over the call, pausing the LLM and the silence breakers
+ *    - The callee's prompts are only passed on for Flex, and the agent's messages are spoken to the callee
+ *    - When released, the LLM is given a summary of the takeover and continues the call
  * 
  * The service integrates with a Response Service (LLM) to process messages and
  * maintain conversation context, while managing timeouts and cleanup.
  * 
  * @property {Object} responseService - LLM service for processing responses
  * @property {SilenceHandler} silenceHandler - Handles silence detection
+ * @property {DtmfCollector} dtmfCollector - Collects the digits the callee presses
+ * @property {IvrPathService|null} ivrPathService - Store of the IVR paths recorded per dialled number
+ * @property {IvrNavigator|null} ivrNavigator - Follows and records this call's IVR path
+ * @property {number} maxHoldSeconds - Seconds to wait on hold before asking the LLM to check the line
+ * @property {Object|null} hold - Current hold, with its reason and startTime, or null when not on hold
+ * @property {NodeJS.Timeout|null} holdTimer - Timer ending the hold after the maximum hold time
+ * @property {boolean} leavingVoicemail - True once an answering machine was detected and the voicemail is being left
+ * @property {NodeJS.Timeout|null} voicemailTimer - Timer ending the call once the voicemail has been spoken
+ * @property {TranscriptRecorder|null} transcriptRecorder - Records the call's transcript from this service's events
+ * @property {Object|null} takeover - Current agent takeover, with the agent, startTime and exchanges, or null when the LLM is in control
  * @property {string|null} logMessage - Utility log message with call SID
  * 
+ * Environment Configuration (optional):
+ * - HOLD_MAX_SECONDS: Seconds to wait on hold before asking the LLM to check the line (default: 300)
+ * 
  * Events Emitted:
  * - conversationRelay.response: LLM response received
  * - conversationRelay.end: Conversation ended
  * - conversationRelay.dtmf: DTMF signal received
+ * - conversationRelay.dtmfCollected: Digits the callee pressed were collected and passed to the LLM
  * - conversationRelay.handoff: Live agent handoff requested
  * - conversationRelay.silence: Silence detected
  * - conversationRelay.prompt: Voice prompt received
- * - conversationRelay.agentMessage: Direct agent message
+ * - conversationRelay.agentMessage: Flex agent message to speak to the callee
+ * - conversationRelay.toolCall: A tool was executed by the LLM
+ * - conversationRelay.hold: The call went on hold (state 'started') or came off hold (state 'ended')
+ * - conversationRelay.voicemail: The voicemail message to speak to the answering machine
+ * - conversationRelay.interrupt: The callee talked over the LLM's response, with what had been spoken
+ * - conversationRelay.takeover: A Flex agent took over the call (state 'started') or handed it back (state 'ended')
  * 
  * @example
  * // Initialize the service
@@ -62,31 +103,62 @@
 
 const EventEmitter = require('events');
 const { SilenceHandler } = require('./SilenceHandler');
+const { DtmfCollector } = require('./DtmfCollector');
 const { logOut, logError } = require('../utils/logger');
+const { isHoldAudio } = require('../utils/holdAudio');
 
 const {
-    TWILIO_FUNCTIONS_URL
+    TWILIO_FUNCTIONS_URL,
+    HOLD_MAX_SECONDS = 300
 } = process.env;
 
+// How a Flex agent's message is used: spoken to the callee, or given to the LLM as a private instruction
+const AGENT_MESSAGE_MODES = ['say', 'instruct'];
+
+// Speaking rate used to estimate how long the voicemail takes to say, and the pause left after it before hanging up
+const SPOKEN_WORDS_PER_SECOND = 2.5;
+const VOICEMAIL_END_PAUSE_SECONDS = 2;
+
 class ConversationRelayService extends EventEmitter {
     /**
      * Creates a new ConversationRelayService instance.
      * Initializes event handlers for LLM responses and sets up silence detection.
      * 
      * @param {Object} responseService - LLM service for processing responses
+     * @param {Object} [options={}] - Service options
+     * @param {IvrPathService} [options.ivrPathService] - Store of IVR paths, to follow and record the call's phone menu path
+     * @param {Object} [options.silencePolicy] - Silence policy from the call script (default: the SilenceHandler default)
+     * @param {string} [options.language] - Language of the session, for the silence messages
+     * @param {number} [options.maxHoldSeconds] - Seconds to wait on hold before asking the LLM to check the line (default: HOLD_MAX_SECONDS)
+     * @param {TranscriptRecorder} [options.transcriptRecorder] - Recorder to attach, to capture the call's transcript
      * @throws {Error} If responseService is not provided
      */
-    constructor(responseService) {
+    constructor(responseService, options = {}) {
         super();
         if (!responseService) {
             throw new Error('LLM service is required');
         }
         this.responseService = responseService;
-        this.silenceHandler = new SilenceHandler();
+        this.silenceHandler = new SilenceHandler(options.silencePolicy || undefined, options.language);
+        this.dtmfCollector = new DtmfCollector((entry) => this.dtmfCollected(entry));
+        this.ivrPathService = options.ivrPathService || null;
+        this.ivrNavigator = null;
+        this.maxHoldSeconds = Number(options.maxHoldSeconds ?? HOLD_MAX_SECONDS);
+        this.hold = null;
+        this.holdTimer = null;
+        this.leavingVoicemail = false;
+        this.voicemailTimer = null;
+        this.takeover = null;
         this.logMessage = null;     // Utility log message
+        this.transcriptRecorder = options.transcriptRecorder || null;
+        this.transcriptRecorder?.attach(this);
 
         // Set up response handler for LLM responses
         this.responseService.on('llm.response', (response) => {
+            // The LLM only speaks to a live person, so its first spoken response ends the IVR path
+            if (response.last && response.token) {
+                this.ivrNavigator?.reachedPerson();
+            }
             // logOut(`Conversation Relay`, `${this.logMessage} conversationRelay.response Event: Response received: ${JSON.stringify(response, null, 4)}`);   // TODO: this.logMessage is not defined!
             this.emit('conversationRelay.response', response);
         });
@@ -100,6 +172,7 @@ class ConversationRelayService extends EventEmitter {
         // Set up "send-dtmf" handler for LLM responses
         this.responseService.on('llm.dtmf', (response) => {
             logOut(`Conversation Relay`, `${this.logMessage} LLM DTMF event. Response received: ${JSON.stringify(response, null, 4)}`);
+            this.ivrNavigator?.recordDigits(response.digits);
             this.emit('conversationRelay.dtmf', response);
         });
 
@@ -109,11 +182,28 @@ class ConversationRelayService extends EventEmitter {
             this.emit('conversationRelay.handoff', response);
         });
 
+        // Set up "collect-dtmf" handler, so the next digits the callee presses are collected for the script's DTMF step
+        this.responseService.on('llm.collectDtmf', (response) => {
+            logOut(`Conversation Relay`, `${this.logMessage} LLM collect DTMF event for step: ${response.step.name}`);
+            this.dtmfCollector.expect(response.step);
+        });
+
+        // Set up "wait-on-hold" handler, so hold music and recorded messages are ignored until a person speaks
+        this.responseService.on('llm.hold', (response) => {
+            this.startHold(response.reason);
+        });
+
+        // Pass tool executions on for call tracking
+        this.responseService.on('llm.toolCall', (toolCall) => {
+            this.emit('conversationRelay.toolCall', toolCall);
+        });
+
     }
 
     /**
      * Initializes a new conversation relay session.
-     * Sets up initial context, silence monitoring, and prepares the conversation flow.
+     * Sets up silence monitoring, offers any known IVR path to the LLM and prepares the conversation flow. The call
+     * and customer details the LLM needs are already in the rendered script context, so they are not added here.
      * This method is called once at the start of a new conversation.
      * 
      * @async
@@ -131,13 +221,26 @@ class ConversationRelayService extends EventEmitter {
 
         // logOut(`Conversation Relay`, `${this.logMessage} with customerData: ${JSON.stringify(customerData, null, 4)}`);
 
-        // This first system message pushes all the data into the Response Service in preparation for the conversation under generateResponse.
-        const initialMessage = `These are all the details of the call: ${JSON.stringify(setupData, null, 4)} and the data needed to complete your objective: ${JSON.stringify(customerData, null, 4)}. Use this to complete your objective`;
-
-        this.responseService.insertMessageIntoContext('system', initialMessage);
+        // Follow the IVR path recorded on earlier calls to this number, and record this call's path
+        if (this.ivrPathService && customerData.phoneNumber) {
+            this.ivrNavigator = this.ivrPathService.startCall(customerData.phoneNumber);
+            const ivrPathMessage = this.ivrNavigator.getContextMessage();
+            if (ivrPathMessage) {
+                logOut(`Conversation Relay`, `${this.logMessage} Offering known IVR path for ${customerData.phoneNumber}`);
+                this.responseService.insertMessageIntoContext('system', ivrPathMessage);
+            }
+        }
 
-        // Initialize and start silence monitoring. When triggered it will emit a 'silence' event with a message
+        // Initialize and start silence monitoring. When triggered it will emit a 'conversationRelay.silence' event with a message,
+        // or ask the LLM to generate the reminder for a nudge
         this.silenceHandler.startMonitoring((silenceMessage) => {
+            if (silenceMessage.type === 'nudge') {
+                logOut(`Conversation Relay`, `${this.logMessage} Asking the LLM to break the silence`);
+                this.responseService.generateResponse('system', silenceMessage.instruction).catch((error) => {
+                    logError(`Conversation Relay`, `${this.logMessage} Error in generating silence nudge: ${error}`);
+                });
+                return;
+            }
             // Add callSid to silence message if it's a text message
             if (silenceMessage.type === 'text') {
                 logOut(`Conversation Relay`, `${this.logMessage} Sending silence breaker message: ${JSON.stringify(silenceMessage)}`);
@@ -166,10 +269,15 @@ class ConversationRelayService extends EventEmitter {
      * @param {string} [message.utteranceUntilInterrupt] - Partial utterance for 'interrupt' type
      * @param {string} [message.digit] - DTMF digit for 'dtmf' type
      * @emits conversationRelay.prompt
+     * @emits conversationRelay.interrupt
      * @throws {Error} If message handling fails
      * @returns {Promise<void>} Resolves when message is processed
      */
     async incomingMessage(message) {
+        // Anything heard after an answering machine picked up is the machine, so there is nothing to respond to
+        if (this.leavingVoicemail) {
+            return;
+        }
         try {
             // Only reset silence timer for non-info messages
             if (this.silenceHandler && message.type !== 'info') {
@@ -181,25 +289,53 @@ class ConversationRelayService extends EventEmitter {
                     break;
                 case 'prompt':
                     logOut(`Conversation Relay`, `${this.logMessage} PROMPT >>>>>>: ${message.voicePrompt}`);
+                    // While an agent is in control the prompt is only passed on for Flex, and kept for the takeover summary
+                    if (this.takeover) {
+                        this.takeover.exchanges.push({ speaker: 'callee', text: message.voicePrompt });
+                        this.emit('conversationRelay.prompt', message.voicePrompt);
+                        break;
+                    }
+                    if (this.hold) {
+                        // Hold music and recorded messages are not passed to the LLM. Anyone else speaking ends the hold
+                        if (isHoldAudio(message.voicePrompt)) {
+                            logOut(`Conversation Relay`, `${this.logMessage} Ignoring hold audio: ${message.voicePrompt}`);
+                            break;
+                        }
+                        this.endHold('person');
+                        this.responseService.insertMessageIntoContext('system', 'You are no longer on hold. A person has started speaking, so continue the call with them.');
+                    }
                     // Fire an event that a prompt was received if anybody want to do something with it.
                     this.emit('conversationRelay.prompt', message.voicePrompt);
 
-                    try {
-                        // Kick off the process to generate a response. This will emit a 'llm.response' event when the response is ready.
-                        this.responseService.generateResponse('user', message.voicePrompt);
-                        // const generatedResponse = this.responseService.generateResponse('user', message.voicePrompt);
-                        // logOut(`Conversation Relay`, `${this.logMessage} Generated response: ${JSON.stringify(generatedResponse, null, 4)}`);
-                        // The response can be a message or end call type
-
-                    } catch (error) {
-                        throw new Error(`Conversation Relay Switch Message type ${message.type}: ${this.logMessage} Error in generating response: ${error}`);
+                    // If the menu still matches the known IVR path, send the digits without asking the LLM
+                    const ivrDigits = this.ivrNavigator?.addPrompt(message.voicePrompt);
+                    if (ivrDigits) {
+                        logOut(`Conversation Relay`, `${this.logMessage} Sending known IVR path digits: ${ivrDigits}`);
+                        this.responseService.insertMessageIntoContext('user', message.voicePrompt);
+                        this.responseService.insertMessageIntoContext('system', `The digits ${ivrDigits} were sent automatically, following the known phone menu path.`);
+                        this.emit('conversationRelay.dtmf', { type: 'sendDigits', digits: ivrDigits });
+                        break;
                     }
+
+                    // Kick off the process to generate a response. This will emit a 'llm.response' event when the response is ready.
+                    this.responseService.generateResponse('user', message.voicePrompt).catch((error) => {
+                        logError(`Conversation Relay`, `${this.logMessage} Error in generating response: ${error}`);
+                    });
                     break;
                 case 'interrupt':
                     logOut(`Conversation Relay`, `${this.logMessage} INTERRUPT ...... : ${message.utteranceUntilInterrupt}`);
+                    // Hold music can talk over the agent, but there is nothing to interrupt while on hold or taken over
+                    if (this.hold || this.takeover) {
+                        break;
+                    }
+                    this.emit('conversationRelay.interrupt', message.utteranceUntilInterrupt || '');
+                    // Stop the response that was talked over and only keep what was actually spoken in the context
+                    this.responseService.interrupt(message.utteranceUntilInterrupt);
                     break;
                 case 'dtmf':
                     logOut(`Conversation Relay`, `${this.logMessage} DTMF: ${message.digit}`);
+                    // Collected digits are passed to the LLM once the entry is complete
+                    this.dtmfCollector.addDigit(message.digit);
                     break;
                 case 'setup':
                     logError(`Conversation Relay`, `${this.logMessage} Setup message received in incomingMessage - should be handled by setup() method`);
@@ -214,29 +350,225 @@ class ConversationRelayService extends EventEmitter {
     }
 
     /**
-     * Handles outgoing messages from agents or other direct sources.
-     * Bypasses the Response Service logic and only inserts the message into context.
-     * Used when a live agent or similar process overrides the Response Service.
+     * Puts the call on hold. The silence breakers are suspended, and hold music and recorded messages ignored,
+     * until a person speaks or the maximum hold time passes.
+     * 
+     * @param {string|null} reason - Why the call is on hold, as given by the LLM
+     * @emits conversationRelay.hold
+     */
+    startHold(reason) {
+        if (this.hold) {
+            return;
+        }
+        logOut(`Conversation Relay`, `${this.logMessage} On hold${reason ? `: ${reason}` : ''}. Waiting up to ${this.maxHoldSeconds} seconds`);
+        this.hold = { reason: reason || null, startTime: Date.now() };
+        this.silenceHandler?.suspend();
+        this.holdTimer = setTimeout(() => this.holdExpired(), this.maxHoldSeconds * 1000);
+        this.emit('conversationRelay.hold', { state: 'started', reason: this.hold.reason });
+    }
+
+    /**
+     * Takes the call off hold and resumes the silence breakers.
+     * 
+     * @param {string} endedBy - Why the hold ended: 'person', 'timeout' or 'takeover'
+     * @emits conversationRelay.hold
+     */
+    endHold(endedBy) {
+        if (!this.hold) {
+            return;
+        }
+        const heldSeconds = Math.round((Date.now() - this.hold.startTime) / 1000);
+        logOut(`Conversation Relay`, `${this.logMessage} Off hold after ${heldSeconds} seconds (${endedBy})`);
+        clearTimeout(this.holdTimer);
+        this.holdTimer = null;
+        this.hold = null;
+        this.silenceHandler?.resume();
+        this.emit('conversationRelay.hold', { state: 'ended', endedBy, heldSeconds });
+    }
+
+    /**
+     * Ends a hold that reached the maximum hold time, and asks the LLM to check whether anyone is on the line.
+     * The silence breakers take over if nobody answers.
+     */
+    holdExpired() {
+        this.endHold('timeout');
+        this.responseService.generateResponse('system',
+            `You have been on hold for ${this.maxHoldSeconds} seconds, the longest you should wait. ` +
+            'Check in one short sentence whether anyone is there.'
+        ).catch((error) => {
+            logError(`Conversation Relay`, `${this.logMessage} Error in generating response after hold: ${error}`);
+        });
+    }
+
+    /**
+     * Leaves a voicemail once answering machine detection finds a machine. The LLM is stopped, the message is spoken,
+     * and the call ended with the 'voicemail' reason code once it has had time to play. Only the first call is acted on.
+     * 
+     * @param {string|null} message - Voicemail message, or null to end the call without one
+     * @emits conversationRelay.voicemail
+     * @emits conversationRelay.end
+     */
+    leaveVoicemail(message) {
+        if (this.leavingVoicemail) {
+            return;
+        }
+        this.leavingVoicemail = true;
+        logOut(`Conversation Relay`, `${this.logMessage} Answering machine detected. ${message ? 'Leaving a voicemail' : 'Ending the call without a voicemail'}`);
+
+        this.responseService.cancel();
+        clearTimeout(this.holdTimer);
+        this.holdTimer = null;
+        this.hold = null;
+        this.silenceHandler?.suspend();
+        this.dtmfCollector.clearTimer();
+
+        let delaySeconds = 0;
+        if (message) {
+            this.responseService.insertMessageIntoContext('assistant', message);
+            this.emit('conversationRelay.voicemail', { type: 'text', token: message, last: true });
+            delaySeconds = message.split(/\s+/).length / SPOKEN_WORDS_PER_SECOND + VOICEMAIL_END_PAUSE_SECONDS;
+        }
+        this.voicemailTimer = setTimeout(() => {
+            this.voicemailTimer = null;
+            this.emit('conversationRelay.end', {
+                type: 'end',
+                handoffData: JSON.stringify({
+                    reasonCode: 'voicemail',
+                    reason: message ? 'An answering machine picked up and a voicemail was left' : 'An answering machine picked up'
+                })
+            });
+        }, delaySeconds * 1000);
+    }
+
+    /**
+     * Passes a completed DTMF entry to the LLM as a user turn, with the step it was collected for and what the
+     * digits mean in that step.
+     * 
+     * @param {Object} entry - Completed entry from the DTMF collector
+     * @param {string} entry.digits - Digits pressed, without the terminator
+     * @param {Object|null} entry.step - DTMF step the digits were collected for, if the LLM asked for one
+     * @param {string} entry.reason - Why the entry completed: 'terminator', 'maxDigits' or 'timeout'
+     * @emits conversationRelay.dtmfCollected
+     */
+    dtmfCollected({ digits, step, reason }) {
+        let prompt = `The person on the call pressed ${digits} on their keypad.`;
+        if (step) {
+            prompt = `The person on the call entered ${digits} on their keypad for the ${step.name} step.`;
+            if (step.options) {
+                prompt += step.options[digits]
+                    ? ` This means: ${step.options[digits]}.`
+                    : ` This is not one of the options: ${Object.entries(step.options).map(([key, meaning]) => `${key} for ${meaning}`).join(', ')}.`;
+            }
+        }
+
+        this.emit('conversationRelay.dtmfCollected', { digits, step: step?.name || null, reason });
+        if (this.takeover) {
+            this.takeover.exchanges.push({ speaker: 'callee', text: `(pressed ${digits})` });
+            return;
+        }
+        this.responseService.generateResponse('user', prompt).catch((error) => {
+            logError(`Conversation Relay`, `${this.logMessage} Error in generating response to DTMF entry: ${error}`);
+        });
+    }
+
+    /**
+     * Handles messages from a Flex agent watching the call, bypassing the LLM. In 'say' mode the message is spoken to the
+     * callee word for word, cancelling any response the LLM is still generating, and added to the context as said by the
+     * assistant. In 'instruct' mode it is added to the context as a private instruction the LLM follows from its next
+     * response, and nothing is spoken.
+     * While the agent has taken over the call, 'say' messages are kept for the takeover summary instead of the context.
      * 
      * @async
-     * @param {string} message - Message content to send
-     * @emits conversationRelay.agentMessage
-     * @throws {Error} If message handling fails
+     * @param {string} message - Message from the agent
+     * @param {string} [mode='instruct'] - 'say' or 'instruct'
+     * @emits conversationRelay.agentMessage - With the text message to speak, in 'say' mode
+     * @throws {Error} If the mode is unknown
      * @returns {Promise<void>} Resolves when message is processed
      */
-    async outgoingMessage(message) {
+    async outgoingMessage(message, mode = 'instruct') {
         try {
-            logOut(`Conversation Relay`, `${this.logMessage} Outgoing message from Agent: ${message}`);
-            this.responseService.insertMessageIntoContext(message);
-            this.emit('conversationRelay.agentMessage', response);
+            if (!AGENT_MESSAGE_MODES.includes(mode)) {
+                throw new Error(`Unknown agent message mode: ${mode}. Must be one of: ${AGENT_MESSAGE_MODES.join(', ')}`);
+            }
+            if (this.leavingVoicemail) {
+                logOut(`Conversation Relay`, `${this.logMessage} Ignoring agent message while leaving a voicemail`);
+                return;
+            }
+
+            if (mode === 'say' && this.takeover) {
+                // The agent is in control, so the LLM is told what was said when the call is released
+                logOut(`Conversation Relay`, `${this.logMessage} Speaking message from Agent in control: ${message}`);
+                this.takeover.exchanges.push({ speaker: 'agent', text: message });
+                this.emit('conversationRelay.agentMessage', { type: 'text', token: message, last: true });
+            } else if (mode === 'say') {
+                logOut(`Conversation Relay`, `${this.logMessage} Speaking message from Agent: ${message}`);
+                this.responseService.cancel();
+                this.responseService.insertMessageIntoContext('assistant', message);
+                this.emit('conversationRelay.agentMessage', { type: 'text', token: message, last: true });
+            } else {
+                logOut(`Conversation Relay`, `${this.logMessage} Instruction from Agent: ${message}`);
+                this.responseService.insertMessageIntoContext('system',
+                    `Private instruction from the Flex agent supervising this call. Follow it from your next response, but do not read it out or mention it: ${message}`);
+            }
         } catch (error) {
             logError(`Conversation Relay`, `${this.logMessage} Error in outgoing message handling: ${error}`);
             throw error;
         }
     }
 
+    /**
+     * Hands the call to a Flex agent. Any response the LLM is generating is cancelled, and the LLM stays paused with
+     * the silence breakers suspended until the agent releases the call. Ends any hold, as the agent is now listening.
+     * 
+     * @param {string} agent - Identity of the agent taking over
+     * @emits conversationRelay.takeover
+     * @returns {boolean} True if the agent took over, false if the call is already taken over or leaving a voicemail
+     */
+    startTakeover(agent) {
+        if (this.takeover || this.leavingVoicemail) {
+            return false;
+        }
+        logOut(`Conversation Relay`, `${this.logMessage} Agent ${agent} took over the call`);
+        this.responseService.cancel();
+        this.endHold('takeover');
+        this.dtmfCollector.clearTimer();
+        this.silenceHandler?.suspend();
+        this.takeover = { agent, startTime: Date.now(), exchanges: [] };
+        this.emit('conversationRelay.takeover', { state: 'started', agent });
+        return true;
+    }
+
+    /**
+     * Returns the call from a Flex agent to the LLM. The LLM is given a summary of what was said during the takeover,
+     * and the silence breakers resume. The LLM responds when the callee next speaks.
+     * 
+     * @emits conversationRelay.takeover
+     * @returns {boolean} True if the call was released, false if it was not taken over
+     */
+    releaseTakeover() {
+        if (!this.takeover) {
+            return false;
+        }
+        const { agent, startTime, exchanges } = this.takeover;
+        const takeoverSeconds = Math.round((Date.now() - startTime) / 1000);
+        logOut(`Conversation Relay`, `${this.logMessage} Agent ${agent} released the call after ${takeoverSeconds} seconds`);
+        this.takeover = null;
+
+        const transcript = exchanges
+            .map(({ speaker, text }) => `${speaker === 'agent' ? 'Agent' : 'Callee'}: ${text}`)
+            .join('\n');
+        this.responseService.insertMessageIntoContext('system',
+            `A live agent took over this call for ${takeoverSeconds} seconds and has now handed it back to you. ` +
+            (transcript ? `What was said while they were in control:\n${transcript}\n` : 'Nothing was said while they were in control. ') +
+            'Continue the call from here, without repeating what the agent already covered.');
+        this.silenceHandler?.resume();
+        this.emit('conversationRelay.takeover', { state: 'ended', agent, takeoverSeconds, exchanges: exchanges.length });
+        return true;
+    }
+
     /**
      * Performs cleanup of service resources.
+     * - Clears the hold and voicemail timers
      * - Cleans up silence handler
      * - Cleans up LLM service
      * - Removes all event listeners
@@ -245,10 +577,16 @@ class ConversationRelayService extends EventEmitter {
      * and ensure proper resource cleanup.
      */
     cleanup() {
+        clearTimeout(this.holdTimer);
+        clearTimeout(this.voicemailTimer);
+        this.holdTimer = null;
+        this.voicemailTimer = null;
+        this.takeover = null;
         if (this.silenceHandler) {
             this.silenceHandler.cleanup();
             this.silenceHandler = null;
         }
+        this.dtmfCollector.cleanup();
         // Clean up the LLM service
         if (this.responseService) {
             this.responseService.cleanup();
@@ -258,4 +596,4 @@ class ConversationRelayService extends EventEmitter {
     }
 }
 
-module.exports = { ConversationRelayService };
+module.exports = { ConversationRelayService, AGENT_MESSAGE_MODES };
@@ -0,0 +1,136 @@
+/**
+ * @class DtmfCollector
+ * @description Collects the digits the callee presses on their keypad into a single entry.
+ * The collector:
+ *
+ * 1. Buffers DTMF digits as they arrive from Conversation Relay
+ * 2. Completes the entry when the terminator is pressed, the step's maximum digits are reached, or no digit
+ *    arrives within the inter-digit timeout
+ * 3. Applies the settings of the DTMF step the LLM is waiting on (see the collect-dtmf tool). Digits pressed
+ *    without a step are collected with the default settings
+ * 4. Passes each completed entry, with the step and the reason it completed, to a callback
+ *
+ * @property {number} interDigitTimeoutSeconds - Default seconds to wait for the next digit (default: 3)
+ * @property {string} terminator - Default key that ends an entry (default: '#')
+ * @property {Object|null} step - DTMF step being collected, from the call script
+ * @property {string} digits - Digits collected so far, without the terminator
+ * @property {NodeJS.Timeout|null} interDigitTimer - Timer completing the entry when no further digit arrives
+ * @property {Function} onCollected - Callback receiving each completed entry
+ *
+ * Environment Configuration (optional):
+ * - DTMF_INTER_DIGIT_TIMEOUT_SECONDS: Default seconds to wait for the next digit (default: 3)
+ * - DTMF_TERMINATOR: Default key that ends an entry, or empty for none (default: '#')
+ *
+ * @example
+ * const dtmfCollector = new DtmfCollector(({ digits, step, reason }) => {
+ *   console.log(`Collected ${digits} for ${step?.name} (${reason})`);
+ * });
+ *
+ * dtmfCollector.expect({ name: 'confirm-stock', maxDigits: 1 });
+ * dtmfCollector.addDigit('1');    // Completes straight away, as the step takes one digit
+ *
+ * dtmfCollector.cleanup();
+ */
+
+const { logOut } = require('../utils/logger');
+
+const {
+    DTMF_INTER_DIGIT_TIMEOUT_SECONDS = 3,
+    DTMF_TERMINATOR = '#'
+} = process.env;
+
+class DtmfCollector {
+    /**
+     * Creates a new DtmfCollector instance.
+     *
+     * @param {Function} onCollected - Callback receiving each completed entry as { digits, step, reason },
+     *   where reason is 'terminator', 'maxDigits' or 'timeout'
+     */
+    constructor(onCollected) {
+        this.interDigitTimeoutSeconds = Number(DTMF_INTER_DIGIT_TIMEOUT_SECONDS);
+        this.terminator = DTMF_TERMINATOR;
+        this.step = null;
+        this.digits = '';
+        this.interDigitTimer = null;
+        this.onCollected = onCollected;
+    }
+
+    /**
+     * Starts collecting an entry for a DTMF step, discarding any digits pressed before it.
+     *
+     * @param {Object} step - DTMF step from the call script
+     * @param {string} step.name - Step name
+     * @param {number} [step.maxDigits] - Digits that complete the entry without the terminator
+     * @param {string} [step.terminator] - Key that ends the entry, or empty for none (default: DTMF_TERMINATOR)
+     * @param {number} [step.timeoutSeconds] - Seconds to wait for the next digit (default: DTMF_INTER_DIGIT_TIMEOUT_SECONDS)
+     */
+    expect(step) {
+        this.clearTimer();
+        this.step = step;
+        this.digits = '';
+        logOut('DTMF', `Waiting for the ${step.name} step`);
+    }
+
+    /**
+     * Adds a digit pressed by the callee, completing the entry if it is the terminator or the last digit of the step.
+     *
+     * @param {string} digit - Digit pressed (0-9, * or #)
+     */
+    addDigit(digit) {
+        this.clearTimer();
+        const terminator = this.step?.terminator ?? this.terminator;
+
+        if (terminator && digit === terminator) {
+            // A terminator on its own is not an entry
+            if (this.digits) {
+                this.complete('terminator');
+            }
+            return;
+        }
+
+        this.digits += digit;
+        if (this.step?.maxDigits && this.digits.length >= this.step.maxDigits) {
+            this.complete('maxDigits');
+            return;
+        }
+
+        const timeoutSeconds = this.step?.timeoutSeconds ?? this.interDigitTimeoutSeconds;
+        this.interDigitTimer = setTimeout(() => this.complete('timeout'), timeoutSeconds * 1000);
+    }
+
+    /**
+     * Completes the current entry and passes it to the callback.
+     *
+     * @param {string} reason - Why the entry completed: 'terminator', 'maxDigits' or 'timeout'
+     */
+    complete(reason) {
+        this.clearTimer();
+        const entry = { digits: this.digits, step: this.step, reason };
+        this.digits = '';
+        this.step = null;
+        logOut('DTMF', `Collected ${entry.digits}${entry.step ? ` for the ${entry.step.name} step` : ''} (${reason})`);
+        if (this.onCollected) {
+            this.onCollected(entry);
+        }
+    }
+
+    /**
+     * Clears the inter-digit timer.
+     */
+    clearTimer() {
+        if (this.interDigitTimer) {
+            clearTimeout(this.interDigitTimer);
+            this.interDigitTimer = null;
+        }
+    }
+
+    /**
+     * Cleans up resources by clearing the inter-digit timer.
+     */
+    cleanup() {
+        this.clearTimer();
+        this.onCollected = null;
+    }
+}
+
+module.exports = { DtmfCollector };
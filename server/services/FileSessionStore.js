@@ -0,0 +1,96 @@
+/**
+ * @class FileSessionStore
+ * @extends SessionStore
+ * @description Session store that persists sessions to a JSON file so in-flight calls survive a restart.
+ * This store:
+ *
+ * 1. Loads all sessions from the file when created
+ * 2. Writes the file whenever a session is set, updated, saved, ended or removed
+ * 3. Restores eviction timers for sessions that had already ended
+ *
+ * Writes from the same tick are batched into one, and the file is replaced atomically by writing a
+ * temporary file and renaming it. Twilio resource objects (reservations, interactions) are stored as
+ * their plain JSON properties.
+ *
+ * @property {string} filePath - Absolute path to the sessions file
+ * @property {boolean} flushScheduled - Whether a write is already queued for this tick
+ *
+ * @example
+ * const sessionStore = new FileSessionStore({ filePath: './data/sessions.json' });
+ * sessionStore.set('abc123', { customerData });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SessionStore } = require('./SessionStore');
+const { logOut, logError } = require('../utils/logger');
+
+class FileSessionStore extends SessionStore {
+    /**
+     * Creates a new FileSessionStore instance and loads any existing sessions.
+     *
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Path to the sessions file. Created if it does not exist
+     * @param {number} [options.ttlSeconds] - Seconds an ended session is kept before eviction
+     * @throws {Error} If the file exists but cannot be parsed
+     */
+    constructor({ filePath, ttlSeconds } = {}) {
+        super({ ttlSeconds });
+        if (!filePath) {
+            throw new Error('A file path is required for the file session store');
+        }
+        this.filePath = path.resolve(filePath);
+        this.flushScheduled = false;
+        this.load();
+    }
+
+    /**
+     * Loads sessions from the file and restores eviction of ended sessions.
+     *
+     * @throws {Error} If the file exists but cannot be parsed
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            return;
+        }
+
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        Object.entries(stored).forEach(([customerReference, session]) => {
+            this.sessions.set(customerReference, session);
+            if (session.endedAt) {
+                this.scheduleEviction(customerReference);
+            }
+        });
+        logOut('SessionStore', `Loaded ${this.sessions.size} sessions from ${this.filePath}`);
+    }
+
+    /**
+     * Queues a write of all sessions to the file.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     */
+    save(customerReference) {
+        if (this.flushScheduled) {
+            return;
+        }
+        this.flushScheduled = true;
+        setImmediate(() => this.flush());
+    }
+
+    /**
+     * Writes all sessions to the file, replacing it atomically.
+     */
+    flush() {
+        this.flushScheduled = false;
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.sessions), null, 4));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logError('SessionStore', `Error writing sessions to ${this.filePath}: ${error}`);
+        }
+    }
+}
+
+module.exports = { FileSessionStore };
@@ -17,6 +17,7 @@
  * 3. Conversation Management:
  *    - Creates and configures conversation channels
  *    - Manages message creation and delivery
+ *    - Subscribes the server to the messages Flex agents add to a conversation
  *    - Handles participant additions and updates
  * 
  * The service uses Twilio's APIs (Flex API, TaskRouter, Conversations) to orchestrate
@@ -44,8 +45,8 @@
  * };
  * const { interaction } = await flexService.createInteraction(customerData);
  * 
- * // Listen for reservation acceptance
- * flexService.on('reservationAccepted.${interactionSid}', (reservation, attributes) => {
+ * // Listen for reservation acceptance. attributes.flexInteractionSid identifies the interaction
+ * flexService.on('reservationAccepted', (reservation, attributes) => {
  *   console.log('Task accepted:', attributes.conversationSid);
  * });
  * 
@@ -182,7 +183,7 @@ class FlexService extends EventEmitter {
      * 1. Verifies worker availability status
      * 2. Updates worker to 'Available' if needed
      * 3. Accepts the task reservation
-     * 4. Emits reservation acceptance event
+     * 4. Emits reservation acceptance event, or a failure event if any step fails
      * 
      * @async
      * @param {Object} assignment - Task assignment details
@@ -193,20 +194,24 @@ class FlexService extends EventEmitter {
      * @param {string} assignment.TaskAttributes - JSON string of task attributes
      * @returns {Promise<void>} Resolves when task is accepted
      * @throws {Error} If task acceptance fails
-     * @emits reservationAccepted.${flexInteractionSid}
+     * @emits reservationAccepted
+     * @emits reservationFailed
      */
     async acceptTask(assignment) {
-        // Before the task can be accepted, make sure the agent is available. If not make available and accept tasks
-        const worker = await this.client.taskrouter.v1.workspaces(assignment.WorkspaceSid).workers(assignment.WorkerSid).fetch();
-
-        // Check the worker's activity
-        const workerActivity = await worker.activitySid;
-        if (workerActivity !== this.available) {
-            logOut('FlexService: acceptTask', `Worker ${worker.sid} is not available. Changing status to Available`);
-            await this.client.taskrouter.v1.workspaces(assignment.WorkspaceSid).workers(assignment.WorkerSid).update({ activitySid: this.available });
-        }
+        // The task attributes identify the interaction, so they are needed to report a failure as well as a success
+        const taskAttributes = JSON.parse(assignment.TaskAttributes);
 
         try {
+            // Before the task can be accepted, make sure the agent is available. If not make available and accept tasks
+            const worker = await this.client.taskrouter.v1.workspaces(assignment.WorkspaceSid).workers(assignment.WorkerSid).fetch();
+
+            // Check the worker's activity
+            const workerActivity = await worker.activitySid;
+            if (workerActivity !== this.available) {
+                logOut('FlexService: acceptTask', `Worker ${worker.sid} is not available. Changing status to Available`);
+                await this.client.taskrouter.v1.workspaces(assignment.WorkspaceSid).workers(assignment.WorkerSid).update({ activitySid: this.available });
+            }
+
             const reservation = await this.client.taskrouter.v1
                 .workspaces(assignment.WorkspaceSid)
                 .tasks(assignment.TaskSid)
@@ -214,16 +219,18 @@ class FlexService extends EventEmitter {
                 .update({ reservationStatus: "accepted" });
             // logOut('FlexService: Reservation:', `reservations details ${JSON.stringify(reservation, null, 4)}`);
 
-            const taskAttributes = JSON.parse(assignment.TaskAttributes);
             logOut('FlexService', `Task accepted for assignment: ${JSON.stringify(taskAttributes.conversationSid, null, 4)}`);
 
             // Emit the Task Accepted event with the task attributes
-            logOut('FlexService', `Emitting [[reservationAccepted.${taskAttributes.flexInteractionSid}]]`);
+            logOut('FlexService', `Emitting [[reservationAccepted]] for interaction ${taskAttributes.flexInteractionSid}`);
             // TODO: Should I just return the entire reservation?
-            this.emit(`reservationAccepted.${taskAttributes.flexInteractionSid}`, reservation, taskAttributes);
+            // A single event name lets listeners match the interaction from the task attributes, rather than registering one listener per interaction
+            this.emit('reservationAccepted', reservation, taskAttributes);
 
         } catch (error) {
             logError('FlexService', `Error in acceptTask: ${error}`);
+            // Let the session waiting on this reservation fail straight away rather than time out
+            this.emit('reservationFailed', taskAttributes, error);
             throw error;
         }
     }
@@ -315,6 +322,28 @@ class FlexService extends EventEmitter {
         return messageResponse;
     }
 
+    /**
+     * Adds a webhook to a conversation, so the messages added to it are posted to the server.
+     * 
+     * @async
+     * @param {string} conversationSid - Conversation identifier
+     * @param {string} url - Webhook URL receiving the onMessageAdded events
+     * @returns {Promise<Object>} Created webhook object
+     * @throws {Error} If webhook creation fails
+     */
+    async addMessageWebhook(conversationSid, url) {
+        const webhook = await this.client.conversations.v1
+            .conversations(conversationSid)
+            .webhooks.create({
+                target: 'webhook',
+                'configuration.url': url,
+                'configuration.method': 'POST',
+                'configuration.filters': ['onMessageAdded']
+            });
+        logOut('FlexService', `Added message webhook ${webhook.sid} to conversation ${conversationSid}`);
+        return webhook;
+    }
+
     /**
      * Retrieves channel information for a specific interaction.
      * 
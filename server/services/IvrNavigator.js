@@ -0,0 +1,123 @@
+/**
+ * @class IvrNavigator
+ * @description Follows and records the phone menu (IVR) path of a single call. Created by IvrPathService.startCall().
+ * The navigator:
+ *
+ * 1. Collects the menu prompts heard since the last digits were sent
+ * 2. Records each DTMF step as the prompts heard and the digits sent
+ * 3. In 'auto' mode, returns the known digits when the prompts heard match the next recorded step, so they can
+ *    be sent without asking the LLM. Once the prompts stop matching, or the LLM sends its own digits, the LLM
+ *    navigates for the rest of the call
+ * 4. Saves the path when the call reaches a live person. Calls answered by a person straight away keep the known
+ *    path, as some pharmacies only skip their menu at times
+ *
+ * @property {IvrPathService} ivrPathService - Store of the recorded paths
+ * @property {string} phoneNumber - Number being called
+ * @property {Object|undefined} knownPath - Path recorded on an earlier call to the number
+ * @property {Array<{prompt: string, digits: string, automatic: boolean}>} steps - Steps taken on this call
+ * @property {Array<string>} prompts - Prompts heard since the last digits were sent
+ * @property {number|null} nextKnownStep - Index of the known step to send automatically, or null when the LLM navigates
+ * @property {boolean} completed - True once the call has reached a live person
+ *
+ * @example
+ * const navigator = ivrPathService.startCall(customerData.phoneNumber);
+ * const digits = navigator.addPrompt(voicePrompt);
+ * if (digits) {
+ *   ws.send(JSON.stringify({ type: 'sendDigits', digits }));
+ * }
+ */
+
+class IvrNavigator {
+    /**
+     * Creates a new IvrNavigator for a call.
+     *
+     * @param {IvrPathService} ivrPathService - Store of the recorded paths
+     * @param {string} phoneNumber - Number being called
+     */
+    constructor(ivrPathService, phoneNumber) {
+        this.ivrPathService = ivrPathService;
+        this.phoneNumber = phoneNumber;
+        this.knownPath = ivrPathService.getPath(phoneNumber);
+        this.steps = [];
+        this.prompts = [];
+        this.nextKnownStep = this.knownPath && ivrPathService.mode === 'auto' ? 0 : null;
+        this.completed = false;
+    }
+
+    /**
+     * Returns the system message describing the known path for the LLM, if the path should be offered.
+     *
+     * @returns {string|null} System message, or null if there is no known path or paths are not offered
+     */
+    getContextMessage() {
+        if (!this.knownPath || this.ivrPathService.mode === 'off') {
+            return null;
+        }
+        return this.ivrPathService.describePath(this.knownPath);
+    }
+
+    /**
+     * Adds a prompt heard on the call. In 'auto' mode, returns the digits to send if the prompts heard match
+     * the next known step, and records the step.
+     *
+     * @param {string} prompt - Prompt heard
+     * @returns {string|null} Digits to send automatically, or null to let the LLM respond
+     */
+    addPrompt(prompt) {
+        if (this.completed) {
+            return null;
+        }
+        this.prompts.push(prompt);
+        if (this.nextKnownStep === null) {
+            return null;
+        }
+
+        const knownStep = this.knownPath.steps[this.nextKnownStep];
+        if (!this.ivrPathService.promptMatches(knownStep.prompt, this.prompts.join(' '))) {
+            return null;
+        }
+        this.addStep(knownStep.digits, true);
+        this.nextKnownStep = this.nextKnownStep + 1 < this.knownPath.steps.length ? this.nextKnownStep + 1 : null;
+        return knownStep.digits;
+    }
+
+    /**
+     * Records digits sent by the LLM. From then on the LLM navigates for the rest of the call.
+     *
+     * @param {string} digits - Digits sent
+     */
+    recordDigits(digits) {
+        if (this.completed) {
+            return;
+        }
+        this.nextKnownStep = null;
+        this.addStep(digits, false);
+    }
+
+    /**
+     * Adds a step with the prompts heard since the last one.
+     *
+     * @param {string} digits - Digits sent
+     * @param {boolean} automatic - True if the digits were sent from the known path without asking the LLM
+     */
+    addStep(digits, automatic) {
+        this.steps.push({ prompt: this.prompts.join(' '), digits, automatic });
+        this.prompts = [];
+    }
+
+    /**
+     * Marks the call as having reached a live person and saves the path taken. Only the first call is acted on.
+     */
+    reachedPerson() {
+        if (this.completed) {
+            return;
+        }
+        this.completed = true;
+        this.nextKnownStep = null;
+        if (this.steps.length > 0) {
+            this.ivrPathService.recordPath(this.phoneNumber, this.steps);
+        }
+    }
+}
+
+module.exports = { IvrNavigator };
@@ -0,0 +1,208 @@
+/**
+ * @class IvrPathService
+ * @description Stores the phone menu (IVR) path that reached a live person for each dialled number, so later
+ * calls to the same pharmacy do not have to discover the menu again.
+ * This service:
+ *
+ * 1. Records the menu prompts heard and the DTMF digits sent, in order, once a call reaches a live person
+ * 2. Counts how often a path worked, and replaces it when a call reaches a person by a different path
+ * 3. Compares the prompts heard on a new call to the recorded ones, to tell whether the menu has changed
+ * 4. Persists paths to a JSON file so they survive restarts
+ *
+ * Each call uses an IvrNavigator from startCall() to follow and record its path.
+ *
+ * @property {string} filePath - Absolute path to the IVR paths file
+ * @property {string} mode - How known paths are used: 'offer', 'auto' or 'off'
+ * @property {number} promptMatchRatio - Share of a recorded prompt's words that must be heard for it to match
+ * @property {Object<string, Object>} paths - Paths referenced by dialled number
+ *
+ * Environment Configuration (optional):
+ * - IVR_PATHS_FILE: Path of the IVR paths file (default: server/data/ivr-paths.json)
+ * - IVR_PATH_MODE: 'offer' to give the known path to the LLM, 'auto' to also send the digits when the prompts
+ *   match, or 'off' to only record paths (default: 'offer')
+ * - IVR_PROMPT_MATCH_RATIO: Share of a recorded prompt's words that must be heard for it to match (default: 0.6)
+ *
+ * @example
+ * const ivrPathService = new IvrPathService();
+ *
+ * const navigator = ivrPathService.startCall('+61400000000');
+ * navigator.addPrompt('For the pharmacy press 2');
+ * navigator.recordDigits('2');
+ * navigator.reachedPerson();   // Saves the path for the next call
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logOut, logError } = require('../utils/logger');
+const { IvrNavigator } = require('./IvrNavigator');
+
+const {
+    IVR_PATHS_FILE = path.join(__dirname, '..', 'data', 'ivr-paths.json'),
+    IVR_PATH_MODE = 'offer',
+    IVR_PROMPT_MATCH_RATIO = 0.6
+} = process.env;
+
+const IVR_PATH_MODES = ['offer', 'auto', 'off'];
+
+/**
+ * Splits a prompt into lower case words, ignoring punctuation.
+ *
+ * @param {string} text - Prompt text
+ * @returns {Array<string>} Words
+ */
+const toWords = (text) => (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+class IvrPathService {
+    /**
+     * Creates a new IvrPathService instance and loads any existing paths.
+     *
+     * @param {Object} [options={}] - Service options
+     * @param {string} [options.filePath] - Path of the IVR paths file. Created if it does not exist
+     * @param {string} [options.mode] - How known paths are used: 'offer', 'auto' or 'off'
+     * @param {number} [options.promptMatchRatio] - Share of a recorded prompt's words that must be heard for it to match
+     * @throws {Error} If the mode is unknown
+     */
+    constructor({ filePath = IVR_PATHS_FILE, mode = IVR_PATH_MODE, promptMatchRatio = IVR_PROMPT_MATCH_RATIO } = {}) {
+        if (!IVR_PATH_MODES.includes(mode)) {
+            throw new Error(`Unknown IVR path mode: ${mode}. Must be one of: ${IVR_PATH_MODES.join(', ')}`);
+        }
+        this.filePath = path.resolve(filePath);
+        this.mode = mode;
+        this.promptMatchRatio = Number(promptMatchRatio);
+        this.paths = {};
+        this.load();
+    }
+
+    /**
+     * Loads paths from the file.
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.paths = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                logOut('IvrPaths', `Loaded ${Object.keys(this.paths).length} IVR paths from ${this.filePath}`);
+            }
+        } catch (error) {
+            logError('IvrPaths', `Error loading IVR paths from ${this.filePath}: ${error}`);
+        }
+    }
+
+    /**
+     * Writes all paths to the file, replacing it atomically.
+     */
+    persist() {
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(this.paths, null, 4));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logError('IvrPaths', `Error writing IVR paths to ${this.filePath}: ${error}`);
+        }
+    }
+
+    /**
+     * Starts following and recording the IVR path of a call.
+     *
+     * @param {string} phoneNumber - Number being called
+     * @returns {IvrNavigator} Navigator for the call
+     */
+    startCall(phoneNumber) {
+        return new IvrNavigator(this, phoneNumber);
+    }
+
+    /**
+     * Returns the recorded path for a number.
+     *
+     * @param {string} phoneNumber - Dialled number
+     * @returns {Object|undefined} The path, with steps ({prompt, digits}), successes and updatedAt
+     */
+    getPath(phoneNumber) {
+        return this.paths[phoneNumber];
+    }
+
+    /**
+     * Returns all recorded paths.
+     *
+     * @returns {Array<Object>} Paths, each with its phoneNumber
+     */
+    listPaths() {
+        return Object.entries(this.paths).map(([phoneNumber, ivrPath]) => ({ phoneNumber, ...ivrPath }));
+    }
+
+    /**
+     * Records the path a call took to reach a live person. The same digits as the known path count as another
+     * success, while different digits replace the known path.
+     *
+     * @param {string} phoneNumber - Dialled number
+     * @param {Array<{prompt: string, digits: string}>} steps - Prompts heard and digits sent, in order
+     * @returns {Object} The recorded path
+     */
+    recordPath(phoneNumber, steps) {
+        const knownPath = this.paths[phoneNumber];
+        const sameDigits = knownPath && knownPath.steps.map(step => step.digits).join() === steps.map(step => step.digits).join();
+
+        this.paths[phoneNumber] = {
+            steps: steps.map(({ prompt, digits }) => ({ prompt, digits })),
+            successes: sameDigits ? knownPath.successes + 1 : 1,
+            updatedAt: new Date().toISOString()
+        };
+        this.persist();
+        if (knownPath && !sameDigits) {
+            logOut('IvrPaths', `IVR path for ${phoneNumber} changed to ${steps.map(step => step.digits).join(', ')}`);
+        } else {
+            logOut('IvrPaths', `Recorded IVR path for ${phoneNumber}: ${steps.map(step => step.digits).join(', ')}`);
+        }
+        return this.paths[phoneNumber];
+    }
+
+    /**
+     * Deletes the recorded path for a number, so the next call discovers the menu again.
+     *
+     * @param {string} phoneNumber - Dialled number
+     * @returns {boolean} True if a path was deleted
+     */
+    deletePath(phoneNumber) {
+        if (!this.paths[phoneNumber]) {
+            return false;
+        }
+        delete this.paths[phoneNumber];
+        this.persist();
+        logOut('IvrPaths', `Deleted IVR path for ${phoneNumber}`);
+        return true;
+    }
+
+    /**
+     * Checks whether the prompts heard match a recorded prompt. Speech recognition rarely gives the same text
+     * twice, so it matches when enough of the recorded prompt's words were heard.
+     *
+     * @param {string} recordedPrompt - Prompt recorded with the path
+     * @param {string} heardPrompt - Prompts heard on this call since the last digits were sent
+     * @returns {boolean} True if the prompts match
+     */
+    promptMatches(recordedPrompt, heardPrompt) {
+        const recordedWords = new Set(toWords(recordedPrompt));
+        if (recordedWords.size === 0) {
+            return false;
+        }
+        const heardWords = new Set(toWords(heardPrompt));
+        const matchedWords = [...recordedWords].filter(word => heardWords.has(word)).length;
+        return matchedWords / recordedWords.size >= this.promptMatchRatio;
+    }
+
+    /**
+     * Describes a recorded path for the LLM context.
+     *
+     * @param {Object} ivrPath - Recorded path
+     * @returns {string} System message describing the path
+     */
+    describePath(ivrPath) {
+        const steps = ivrPath.steps
+            .map((step, index) => `${index + 1}. When the menu said "${step.prompt}", the digits ${step.digits} were sent`)
+            .join('\n');
+        return `This number has been called before, and this phone menu path reached a live person ${ivrPath.successes} time(s):\n${steps}\n` +
+            'If the menu prompts match, send the same digits with the send-dtmf tool. If they no longer match, navigate the menu as normal.';
+    }
+}
+
+module.exports = { IvrPathService, IVR_PATH_MODES };
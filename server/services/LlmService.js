@@ -1,17 +1,17 @@
 /**
  * @class LlmService
  * @extends EventEmitter
- * @description Manages interactions with OpenAI's Language Learning Model (LLM).
+ * @description Manages interactions with the Language Learning Model (LLM).
  * This service orchestrates:
  * 
  * 1. LLM Communication:
- *    - Manages OpenAI API interactions
+ *    - Sends the conversation to a pluggable LLM backend (OpenAI, Anthropic, OpenAI-compatible or scripted)
  *    - Handles streaming responses
  *    - Maintains conversation context
  * 
  * 2. Tool Integration:
- *    - Processes tool calls from LLM
- *    - Executes tool-specific actions
+ *    - Processes tool calls from LLM, including several per turn and chained tool rounds
+ *    - Dispatches tool calls to the tool registry
  *    - Handles tool response integration
  * 
  * 3. Event Management:
@@ -20,30 +20,58 @@
  *    - Manages conversation termination
  *    - Processes agent handoffs
  * 
- * The service uses OpenAI's streaming API to process responses chunk by chunk,
- * supporting real-time conversation flow and tool execution.
+ * 4. Barge-in:
+ *    - Aborts the in-flight response and any pending tool calls when the callee interrupts
+ *    - Rewrites the interrupted response in the context to what was actually spoken
  * 
- * @property {OpenAI} openai - OpenAI API client instance
- * @property {string} model - OpenAI model identifier
+ * 5. Context Budgeting:
+ *    - Estimates the tokens in each message
+ *    - Summarises older turns into a system note as the context nears its budget, keeping the system
+ *      prompt, customer data and latest turns verbatim
+ * 
+ * The service streams responses chunk by chunk from the backend, supporting real-time conversation flow
+ * and tool execution. Backends stream normalised events (see services/backends), and the conversation
+ * context is kept in OpenAI chat format whichever backend is used.
+ * 
+ * @property {Object} backend - LLM backend generating the responses
  * @property {Array<Object>} promptContext - Conversation history and context
- * @property {Array<Object>} toolManifest - Available tools configuration
+ * @property {ToolRegistry} toolRegistry - Registry of the tools the LLM can call
+ * @property {Array<string>} toolNames - Names of the tools this session's LLM may call
+ * @property {Array<Object>} toolManifest - Tool manifest sent to the LLM, generated from the registry
+ * @property {Object} toolContext - Session data passed to local tool handlers, e.g. the script's DTMF steps
+ * @property {Object|null} currentTurn - The latest response turn, with its AbortController and prompt message
+ * @property {WeakSet<Object>} turnPrompts - Messages that started a turn, used to keep whole turns when summarising
+ * @property {WeakSet<Object>} summaryMessages - Summary notes added to the context
+ * @property {WeakMap<Object, number>} messageTokens - Estimated tokens per message
+ * @property {Promise|null} summarising - Summary in progress, awaited by the next turn
+ * @property {AbortController|null} summaryController - Aborts the summary in progress when the call ends
  * 
  * Environment Configuration Required:
- * - OPENAI_API_KEY: OpenAI authentication key
- * - OPENAI_MODEL: Model identifier to use
- * - TWILIO_FUNCTIONS_URL: Base URL for Twilio Functions
+ * - LLM_BACKEND: Default backend when none is passed in (default: 'openai'), plus that backend's settings
+ * - LLM_MAX_TOOL_ROUNDS: Tool call rounds per response before the LLM is asked for text only (default: 5)
+ * - LLM_MAX_TOOL_RETRIES: Invalid tool calls per response before the LLM is asked for text only (default: 2)
+ * - TOOL_FILLER_SECONDS: Seconds tools can run before the filler message is spoken (default: 2)
+ * - TOOL_FILLER_MESSAGE: Filler message spoken while slow tools run (default: 'One moment while I check that.')
+ * - LLM_CONTEXT_TOKEN_BUDGET: Estimated tokens the context should stay within (default: 6000)
+ * - LLM_CONTEXT_SUMMARY_RATIO: Share of the budget at which older turns are summarised (default: 0.8)
+ * - LLM_CONTEXT_KEEP_TURNS: Latest turns kept verbatim when summarising (default: 4)
+ * - LLM_SUMMARY_TIMEOUT_SECONDS: Seconds a summary may take before it is abandoned (default: 10)
  * 
  * Events Emitted:
  * - llm.response: Text response from LLM
  * - llm.end: Conversation end signal
  * - llm.dtmf: DTMF signal command
  * - llm.handoff: Live agent handoff request
+ * - llm.collectDtmf: Wait for the callee to press keys for a DTMF step
+ * - llm.hold: Wait on hold until a person speaks again
+ * - llm.toolCall: A tool was executed, with its arguments, result and duration
  * 
  * @example
  * // Initialize the service
  * const llmService = new LlmService(
  *   "Initial system prompt",
- *   { tools: [] }
+ *   ToolRegistry.fromDirectory('./tools'),
+ *   { backend: createLlmBackend('anthropic') }
  * );
  * 
  * // Set up event handlers
@@ -54,331 +82,368 @@
  * // Generate response
  * await llmService.generateResponse('user', 'Hello, how can I help?');
  * 
+ * // The callee talked over the response
+ * llmService.interrupt('Hello, this is Dave from');
+ * 
  * // Cleanup when done
  * llmService.cleanup();
  */
-const OpenAI = require('openai');
 const EventEmitter = require('events');
 const { logOut, logError } = require('../utils/logger');
-const { log } = require('console');
-
-const { TWILIO_FUNCTIONS_URL, OPENAI_API_KEY, OPENAI_MODEL } = process.env;
+const { createLlmBackend } = require('./backends');
+const { estimateMessageTokens } = require('../utils/tokenEstimator');
+
+const {
+    LLM_MAX_TOOL_ROUNDS = 5,
+    LLM_MAX_TOOL_RETRIES = 2,
+    TOOL_FILLER_SECONDS = 2,
+    TOOL_FILLER_MESSAGE = 'One moment while I check that.',
+    LLM_CONTEXT_TOKEN_BUDGET = 6000,
+    LLM_CONTEXT_SUMMARY_RATIO = 0.8,
+    LLM_CONTEXT_KEEP_TURNS = 4,
+    LLM_SUMMARY_TIMEOUT_SECONDS = 10
+} = process.env;
+
+// Instructions for summarising the older part of the conversation
+const SUMMARY_INSTRUCTIONS = 'You summarise the earlier part of a phone call made by an AI assistant. ' +
+    'Write a short factual summary of what happened: IVR menu options chosen, who the assistant spoke to, ' +
+    'information given and received, tool calls and their results, and anything still outstanding. ' +
+    'Do not invent details and do not address the callee.';
 
 class LlmService extends EventEmitter {
 
     /**
      * Creates a new LLM service instance.
-     * Initializes OpenAI client, sets up conversation context, and configures available tools.
+     * Initializes the LLM backend, sets up conversation context, and configures available tools.
      * 
      * @param {string} promptContext - Initial system prompt context for the LLM
-     * @param {Object} toolManifest - Configuration of available tools
-     * @param {Array<Object>} [toolManifest.tools=[]] - Array of tool definitions
-     * @throws {Error} If OpenAI initialization fails or if required parameters are missing
+     * @param {ToolRegistry} toolRegistry - Registry of the tools the LLM can call
+     * @param {Object} [options={}] - Service options
+     * @param {Object} [options.backend] - LLM backend to use (default: the LLM_BACKEND backend)
+     * @param {Array<string>} [options.tools] - Names of the registry tools the LLM may call (default: all of them)
+     * @param {Object} [options.toolContext] - Session data passed to local tool handlers, e.g. { dtmfSteps }
+     * @throws {Error} If backend initialization fails or if required parameters are missing
      */
-    constructor(promptContext, toolManifest) {
+    constructor(promptContext, toolRegistry, options = {}) {
         super();
-        this.openai = new OpenAI(); // Implicitly uses OPENAI_API_KEY
-        this.model = OPENAI_MODEL;
+        this.backend = options.backend || createLlmBackend();
         this.promptContext = [
             { role: "system", content: promptContext },
         ];
-        this.toolManifest = toolManifest.tools || [];
+        this.toolRegistry = toolRegistry;
+        this.toolNames = options.tools ? [...options.tools] : toolRegistry.names();
+        this.toolManifest = toolRegistry.getManifest(this.toolNames).tools;
+        this.toolContext = options.toolContext || {};
+        this.currentTurn = null;
+        this.turnPrompts = new WeakSet();
+        this.summaryMessages = new WeakSet();
+        this.messageTokens = new WeakMap();
+        this.summarising = null;
+        this.summaryController = null;
     }
 
     /**
-     * Executes tool calls received from the LLM.
-     * Handles special cases and default tool execution through Twilio Functions.
-     * 
-     * Special cases:
-     * - live-agent-handoff: Initiates transfer to human agent
-     * - send-dtmf: Sends touch-tone signals
-     * - end-call: Terminates the conversation
+     * Executes a tool call received from the LLM by dispatching it to the tool registry.
+     * Tools either run in the server (send-dtmf, end-call, live-agent-handoff, collect-dtmf) or through Twilio Functions.
+     * Arguments are validated against the tool's JSON schema first. Invalid arguments, and calls to tools
+     * that are unknown or not offered to this session, are not run and return a structured error instead.
      * 
      * @async
      * @param {Object} toolCall - Tool call information from LLM
      * @param {Object} toolCall.function - Function details
      * @param {string} toolCall.function.name - Name of the tool to execute
      * @param {string} toolCall.function.arguments - JSON string of tool arguments
+     * @param {AbortSignal} [signal] - Signal to cancel the tool call when the response is interrupted
      * @returns {Promise<Object>} Tool execution result containing:
      *   - type: Response type ('text'|'end'|'sendDigits'|'error')
      *   - token/digits/handoffData: Response data based on type
      *   - last: Boolean indicating if this is the final response
-     * @throws {Error} If tool execution fails or arguments are invalid
+     *   - validationFailed: True if the arguments did not match the tool's schema, with the errors in token
+     * @throws {Error} If tool execution fails or the tool call was cancelled
      */
-    async executeToolCall(toolCall) {
+    async executeToolCall(toolCall, signal) {
 
-        let toolName = null;
+        const toolName = toolCall.function.name;
         let toolArguments = null;
+        let validationErrors = null;
+
+        // Validate the tool was offered to this session, and the arguments are proper JSON and match the tool's schema
+        if (!this.toolNames.includes(toolName)) {
+            validationErrors = this.toolRegistry.recordValidationFailure(toolName, toolCall.function.arguments, [
+                { path: '(tool)', message: `Unknown tool: ${toolName}. Must be one of: ${this.toolNames.join(', ')}` }
+            ]);
+        } else {
+            try {
+                toolArguments = JSON.parse(toolCall.function.arguments);
+                validationErrors = this.toolRegistry.validate(toolName, toolArguments);
+            } catch (error) {
+                validationErrors = this.toolRegistry.recordValidationFailure(toolName, toolCall.function.arguments, [
+                    { path: '(root)', message: `is not valid JSON: ${error.message}` }
+                ]);
+            }
+        }
 
-        // Validate tool name and arguments are proper JSON
-        try {
-            toolName = toolCall.function.name;
-            toolArguments = JSON.parse(toolCall.function.arguments);
-            // logOut(`LLMService`, `Executing tool call with name: ${toolName} with args: ${JSON.stringify(toolArguments, null, 4)}`);
-        } catch (error) {
-            throw new Error(`LLM.executeToolCall: Invalid tool with error ${error}`);
+        // Give the errors back to the LLM so it can correct the arguments and call the tool again
+        if (validationErrors.length > 0) {
+            return {
+                type: "error",
+                validationFailed: true,
+                token: JSON.stringify({
+                    error: `Invalid arguments for tool ${toolName}`,
+                    validationErrors,
+                    instruction: 'Correct the arguments and call the tool again'
+                }),
+                last: true
+            };
         }
 
-        switch (toolName) {     // TODO: This logic should live in conversation Relay Service and not here, since it is not specific to the LLM
-            case "live-agent-handoff":
-                logOut('LLM', `Live Agent handoff End the call with tool call: [${toolName}] with args: ${toolArguments}`);
-                const handoffResponseContent = {
-                    type: "end",
-                    handoffData: JSON.stringify({   // TODO: Why does this have to be stringified?
-                        reasonCode: "live-agent-handoff",
-                        reason: toolArguments.summary
-                    })
-                };
-                logOut('LLM', `Transfer to agent response: ${JSON.stringify(handoffResponseContent, null, 4)}`);
-                return handoffResponseContent;
-            case "send-dtmf":
-                // Parse the arguments string into an object
-                // logOut('LLM', `DTMF Digit: ${toolArguments.dtmfDigit}`);
-
-                // Now return the specific response from the LLM
-                const dtmfResponseContent = {
-                    "type": "sendDigits",
-                    "digits": toolArguments.dtmfDigit
-                };
-                // logOut('LLM', `Send DTMF response: ${JSON.stringify(dtmfResponseContent, null, 4)}`);
-                return dtmfResponseContent;
-            case "end-call":
-                logOut('LLM', `End the call with tool call: [${toolName}] with args: ${toolArguments}`);
-                const endResponseContent = {
-                    type: "end",
-                    handoffData: JSON.stringify({   // TODO: Why does this have to be stringified?
-                        reasonCode: "end-call",
-                        reason: "Ending the call",
-                        conversationSummary: toolArguments.summary,
-                    })
-                };
-                logOut('LLM', `Ending the call with endResponseContent: ${JSON.stringify(endResponseContent, null, 4)}`);
-                return endResponseContent;
-            default:
-                try {
-                    // Validate and parse the arguments first
-                    const functionResponse = await fetch(`${TWILIO_FUNCTIONS_URL}/tools/${toolName}`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify(toolArguments), // Send properly stringified JSON
-                    });
+        return this.toolRegistry.execute(toolName, toolArguments, { ...this.toolContext, signal });
+    }
 
-                    // Check if response is ok before trying to parse JSON
-                    if (!functionResponse.ok) {
-                        const errorText = await functionResponse.text();
-                        throw new Error(`API call failed with status ${functionResponse.status}: ${errorText}`);
-                    }
+    /**
+     * Executes all tool calls requested in one LLM turn.
+     *
+     * Most tools have no effect on the call itself, so they run in parallel. The call control tools, which
+     * declare an event to emit (send-dtmf, end-call, live-agent-handoff, collect-dtmf), run afterwards in the order the LLM
+     * requested them, so any status updates made in the same turn are complete before the call is ended.
+     *
+     * If the other tools are still running after TOOL_FILLER_SECONDS, the filler message is spoken so the callee
+     * is not left listening to dead air. The filler is returned so it can be added to the context with the round.
+     *
+     * @async
+     * @param {Array<Object>} toolCalls - Tool calls in OpenAI chat format
+     * @param {AbortSignal} [signal] - Signal to cancel the tool calls when the response is interrupted
+     * @returns {Promise<{results: Array<Object>, filler: string}>} Tool results in the same order as the tool calls,
+     *   and the filler message spoken while they ran, or an empty string
+     * @emits llm.toolCall
+     * @emits llm.response - With the filler message, if the tools are slow
+     */
+    async executeToolCalls(toolCalls, signal) {
+        const results = new Array(toolCalls.length);
+        const runToolCall = async (toolCall, index) => {
+            const toolStartTime = Date.now();
+            try {
+                results[index] = await this.executeToolCall(toolCall, signal);
+            } catch (error) {
+                throw new Error(`LLM generateResponse.executeToolCall error: ${error}`);
+            }
+            this.emit('llm.toolCall', {
+                id: toolCall.id,
+                name: toolCall.function.name,
+                arguments: toolCall.function.arguments,
+                result: results[index],
+                durationMs: Date.now() - toolStartTime
+            });
+        };
+
+        const indexed = toolCalls.map((toolCall, index) => ({ toolCall, index }));
+        const isCallControl = ({ toolCall }) => Boolean(this.toolRegistry.get(toolCall.function.name)?.emits);
+
+        const otherToolCalls = indexed.filter(entry => !isCallControl(entry));
+        let filler = '';
+        const fillerTimer = otherToolCalls.length > 0 && setTimeout(() => {
+            if (!signal?.aborted) {
+                logOut('LLM', `Tools still running after ${TOOL_FILLER_SECONDS}s, speaking filler message`);
+                filler = `${TOOL_FILLER_MESSAGE} `;
+                this.emit('llm.response', {
+                    type: "text",
+                    token: filler,
+                    last: false
+                });
+            }
+        }, Number(TOOL_FILLER_SECONDS) * 1000);
+        try {
+            await Promise.all(otherToolCalls.map(({ toolCall, index }) => runToolCall(toolCall, index)));
+        } finally {
+            clearTimeout(fillerTimer);
+        }
+        for (const { toolCall, index } of indexed.filter(isCallControl)) {
+            if (signal?.aborted) {
+                break;
+            }
+            await runToolCall(toolCall, index);
+        }
+        return { results, filler };
+    }
+
+    /**
+     * Streams one LLM turn, emitting text as it arrives and collecting any tool calls.
+     * Tool call pieces are accumulated per index, so several tool calls in one turn are kept apart.
+     *
+     * @async
+     * @param {string} [toolChoice='auto'] - 'auto' to offer the tools, 'none' to ask for a text response only
+     * @param {AbortSignal} [signal] - Signal to abort the stream when the response is interrupted
+     * @returns {Promise<{content: string, toolCalls: Array<Object>}>} The turn's text and tool calls in OpenAI chat format
+     * @emits llm.response
+     * @throws {Error} If a tool call has no name
+     */
+    async streamTurn(toolChoice = 'auto', signal) {
+        let content = '';
+        const toolCallCollectors = [];
+
+        const stream = this.backend.streamChat({
+            tools: this.toolManifest,
+            toolChoice,
+            messages: this.promptContext,
+            signal,
+        });
+
+        for await (const event of stream) {
+            if (signal?.aborted) {
+                break;
+            }
 
-                    const toolResult = await functionResponse.json();
-                    logOut('LLM', `Tool response: ${JSON.stringify(toolResult, null, 4)}`);
+            if (event.type === 'text' && event.text) {
+                content += event.text;
+                this.emit('llm.response', {
+                    type: "text",
+                    token: event.text,
+                    last: false
+                });
+            }
 
-                    // Emit the tool response immediately
-                    const toolResponseContent = {
-                        type: "text",
-                        token: JSON.stringify(toolResult),
-                        last: false
-                    };
-                    return toolResponseContent;
-                } catch (error) {
-                    logError('LLM', `Error executing tool call 3: ${error.message}`);
-                    // Return an error response that can be handled by the system
-                    return {
-                        type: "error",
-                        token: JSON.stringify({ error: error.message }),
-                        last: true
+            if (event.type === 'toolCall') {
+                // Initialize a collector for the first piece of each tool call
+                if (!toolCallCollectors[event.index]) {
+                    toolCallCollectors[event.index] = {
+                        id: null,
+                        type: "function",
+                        function: {
+                            name: '',
+                            arguments: ''
+                        }
                     };
                 }
+                const collector = toolCallCollectors[event.index];
+                if (event.id) {
+                    collector.id = event.id;
+                }
+                if (event.name) {
+                    collector.function.name = event.name;
+                }
+                // Just accumulate argument fragments without trying to parse them until the turn is complete
+                if (event.argumentsDelta) {
+                    collector.function.arguments += event.argumentsDelta;
+                }
+            }
         }
-    }
 
+        // Backends may number tool calls with gaps, so drop the empty slots
+        const toolCalls = toolCallCollectors.filter(Boolean);
+        for (const [index, toolCall] of toolCalls.entries()) {
+            if (!toolCall.function.name) {
+                throw new Error(`LLM GenerateResponse: Missing function name in tool call: ${JSON.stringify(toolCall, null, 2)}`);
+            }
+            toolCall.id = toolCall.id || `generated-${Date.now()}-${index}`;
+            // Tools without parameters may stream no arguments at all. Invalid JSON is reported back to the LLM when the tool is executed
+            toolCall.function.arguments = toolCall.function.arguments || '{}';
+        }
+
+        return { content, toolCalls };
+    }
 
     /**
-     * Generates a response using the OpenAI API, handling both direct responses and tool calls.
+     * Generates a response using the LLM backend, handling both direct responses and tool calls.
+     *
+     * The LLM can request several tool calls in one turn. All of them are executed and their results added to
+     * the context, then the LLM is asked again, until it answers with plain text. Rounds stop early when a call
+     * control tool (send-dtmf, end-call, live-agent-handoff, collect-dtmf, wait-on-hold) is used, as no spoken response should follow it, and
+     * after LLM_MAX_TOOL_ROUNDS rounds the LLM is asked for text only.
+     *
+     * Tool calls with invalid arguments return a structured error so the LLM can correct them in the same turn.
+     * Once a turn has more than LLM_MAX_TOOL_RETRIES invalid tool calls, the LLM is asked for text only.
+     *
+     * Each response is a turn that interrupt() can abort. An aborted turn stops streaming, cancels its pending tool
+     * calls and adds nothing more to the context, leaving interrupt() to record what was spoken.
+     *
+     * After each completed turn the context is summarised if it nears its token budget.
+     *
      * @param {string} [role='user'] - The role of the message sender ('user' or 'system')
      * @param {string} prompt - The input prompt to generate a response for
      * @emits llm.response - Emits an event with the response object containing either text content or handoff data
-     * @throws {Error} If there's an error in the OpenAI API call or tool execution
+     * @emits llm.dtmf
+     * @emits llm.end
+     * @emits llm.handoff
+     * @emits llm.collectDtmf
+     * @emits llm.hold
+     * @throws {Error} If there's an error in the LLM backend call or tool execution
      */
     async generateResponse(role = 'user', prompt) {
+        // Summarising changes the older part of the context, so let it finish first
+        if (this.summarising) {
+            await this.summarising;
+        }
+
         let fullResponse = '';
-        let toolCallCollector = null;
-        let accumulatedArguments = '';
-        let endCallResponse = null;  // Add the response here if the call can be ended
+        // The turn is found in the context by its prompt message, as summarising moves messages
+        const turn = { controller: new AbortController(), promptMessage: { role: role, content: prompt }, validationFailures: 0, done: false };
+        const { signal } = turn.controller;
+        this.currentTurn = turn;
 
         try {
-            this.promptContext.push({ role: role, content: prompt });
-
-            const stream = await this.openai.chat.completions.create({
-                model: this.model,
-                tools: this.toolManifest,
-                messages: this.promptContext,
-                stream: true,
-            });
+            this.promptContext.push(turn.promptMessage);
+            this.turnPrompts.add(turn.promptMessage);
 
-            for await (const chunk of stream) {
-                if (this.isInterrupted) {
-                    break;
+            for (let round = 1; ; round++) {
+                const outOfRetries = turn.validationFailures > Number(LLM_MAX_TOOL_RETRIES);
+                if (outOfRetries) {
+                    logError('LLM', `Tool arguments were invalid ${turn.validationFailures} times in this turn. Asking for a text response only`);
                 }
-
-                const deltaContent = chunk.choices[0]?.delta?.content || '';
-                const deltaToolCalls = chunk.choices[0]?.delta?.tool_calls;
-
-                if (deltaContent) {
-                    fullResponse += deltaContent;
-                    this.emit('llm.response', {
-                        type: "text",
-                        token: deltaContent,
-                        last: false
-                    });
-                }
-
-                if (deltaToolCalls) {
-                    for (const toolCall of deltaToolCalls) {
-                        // Initialize collector for first chunk
-                        if (toolCall.index === 0 && !toolCallCollector) {
-                            toolCallCollector = {
-                                id: toolCall.id || 'generated-' + Date.now(),
-                                function: {
-                                    name: '',
-                                    arguments: ''
-                                }
-                            };
-                        }
-
-                        // Update function name if provided
-                        if (toolCall.function?.name) {
-                            toolCallCollector.function.name = toolCall.function.name;
-                        }
-
-                        // Just accumulate argument tokens without trying to parse them
-                        if (toolCall.function?.arguments) {
-                            accumulatedArguments += toolCall.function.arguments;
-                        }
-                    }
+                const toolChoice = round > Number(LLM_MAX_TOOL_ROUNDS) || outOfRetries ? 'none' : 'auto';
+                const { content, toolCalls } = await this.streamTurn(toolChoice, signal);
+                if (signal.aborted) {
+                    return;
                 }
+                fullResponse += content;
 
-                if (chunk.choices[0]?.finish_reason === 'tool_calls' && toolCallCollector) {
-
-                    // Final validation of collected tool call data
-                    if (!toolCallCollector.function.name) {
-                        throw new Error(`LLM GenerateResponse: Missing function name in tool call: ${JSON.stringify(toolCallCollector, null, 2)}`);
-                    }
-
-                    // Now that we have all chunks, try to parse the complete JSON
-                    try {
-                        if (!accumulatedArguments) {
-                            throw new Error("No arguments provided");
-                        }
-
-                        // If we have multiple JSON objects concatenated, take the first one
-                        const match = accumulatedArguments.match(/^(\{[^}]+\})/);
-                        if (match) {
-                            accumulatedArguments = match[1];
-                        }
-
-                        JSON.parse(accumulatedArguments);
-                    } catch (error) {
-                        throw new Error(`LLM GenerateResponse: Invalid or incomplete JSON arguments: ${accumulatedArguments} and error: ${error}`);
-                    }
-
-                    const toolCallObj = {
-                        id: toolCallCollector.id,
-                        function: {
-                            name: toolCallCollector.function.name,
-                            arguments: accumulatedArguments
-                        }
-                    };
-                    // logOut('LLM', `Executing tool call 4 with: ${JSON.stringify(toolCallObj, null, 2)}`);
-
-                    // Execute the tool
-                    let toolResult = null;
-                    try {
-                        toolResult = await this.executeToolCall(toolCallObj);
-
-                        // Handle tool execution results specifically fo end calls type
-                        // if (toolResult.type === "end") {
-                        //     logOut('LLM', `Tool call result is an "end call, so set the endCallResponse = ${JSON.stringify(toolResult, null, 4)}`);
-                        //     endCallResponse = toolResult;
-                        // }
-                    } catch (error) {
-                        throw new Error(`LLM generateResponse.executeToolCall error: ${error}`);
-                    }
-
-                    // Add assistant response and tool result to history
+                if (toolCalls.length === 0) {
                     this.promptContext.push({
                         role: "assistant",
-                        content: fullResponse,
-                        tool_calls: [{
-                            id: toolCallObj.id,
-                            type: "function",
-                            function: {
-                                name: toolCallObj.function.name,
-                                arguments: toolCallObj.function.arguments
-                            }
-                        }]
+                        content
                     });
+                    break;
+                }
 
+                logOut('LLM', `Round ${round} tool calls: ${toolCalls.map(toolCall => toolCall.function.name).join(', ')}`);
+                const { results: toolResults, filler } = await this.executeToolCalls(toolCalls, signal);
+                if (signal.aborted) {
+                    return;
+                }
+                // The filler was spoken after the round's text, so the LLM knows it has already said it
+                fullResponse += filler;
+                turn.validationFailures += toolResults.filter(toolResult => toolResult?.validationFailed).length;
+
+                // Add assistant response and all tool results to history
+                this.promptContext.push({
+                    role: "assistant",
+                    content: content + filler,
+                    tool_calls: toolCalls
+                });
+                toolCalls.forEach((toolCall, index) => {
                     this.promptContext.push({
                         role: "tool",
-                        content: JSON.stringify(toolResult),
-                        tool_call_id: toolCallObj.id
+                        content: JSON.stringify(toolResults[index]),
+                        tool_call_id: toolCall.id
                     });
+                });
 
-                    /**
-                     * Do we need to create a follow up stream for DTMF?
-                     * The LLM determined that it needs to send a DTMF as the response, but there is no text "response" required for the fact that we sent a DTMF.
-                     * 
-                     * In a similar manner if the LLM determined that it needs to send an end-call or live-agent-handoff, we should not send a text "response" to the user after the tool call
-                     */
-                    // Handle tool execution results for specific tool types, otherwise continue the conversation
-                    logOut('LLM', `Tool name: ${toolCallObj.function.name}`);
-                    switch (toolCallObj.function.name) {
-                        case 'send-dtmf':
-                            logOut('LLM', `llm.dtmf event response: ${JSON.stringify(toolResult, null, 4)}`);
-                            this.emit('llm.dtmf', toolResult);
-                            break;
-                        case 'end-call':
-                            this.emit('llm.end', toolResult);
-                            break;
-                        case 'live-agent-handoff':
-                            this.emit('llm.handoff', toolResult);
-                            break;
-                        default:
-                            // Continue the conversation with tool results
-                            const followUpStream = await this.openai.chat.completions.create({
-                                model: this.model,
-                                messages: this.promptContext,
-                                stream: true
-                            });
-
-                            logOut('LLM', `DEFAULT CASE: Running Followup stream now with tool: ${toolCallObj.function.name}`);
-                            for await (const chunk of followUpStream) {
-                                if (this.isInterrupted) {
-                                    break;
-                                }
-                                const content = chunk.choices[0]?.delta?.content || '';
-                                if (content) {
-                                    fullResponse += content;
-                                    this.emit('llm.response', {
-                                        type: "text",
-                                        token: content,
-                                        last: false
-                                    });
-                                }
-                            }
-                            break;
+                /**
+                 * The call control tools act on the call directly, so there is no text "response" to generate after them.
+                 * If the LLM determined that it needs to send a DTMF, end-call or live-agent-handoff, emit the tool's event and stop here.
+                 */
+                let callControlUsed = false;
+                toolCalls.forEach((toolCall, index) => {
+                    const event = this.toolRegistry.get(toolCall.function.name)?.emits;
+                    // A call control tool with invalid arguments or that returned an error did not act on the call, so the LLM gets another round to correct it
+                    if (event && toolResults[index].type !== 'error') {
+                        logOut('LLM', `${event} event response: ${JSON.stringify(toolResults[index], null, 4)}`);
+                        this.emit(event, toolResults[index]);
+                        callControlUsed = true;
                     }
-                }
-            }
-
-            // Add final assistant response to history if no tool was called
-            if (!toolCallCollector) {
-                this.promptContext.push({
-                    role: "assistant",
-                    content: fullResponse
                 });
+                if (callControlUsed) {
+                    break;
+                }
             }
 
             // Emit the final content with last=true
@@ -389,20 +454,211 @@ class LlmService extends EventEmitter {
                 last: true
             });
 
-            // // After all messages have been handled, check if the call can be ended and emit llm.end event
-            // if (endCallResponse) {
-            //     this.emit('llm.end', endCallResponse);
-            // }
-
-            // if (sendDTMFResponse) {
-            //     this.emit('llm.dtmf', sendDTMFResponse);
-            // }
+            this.scheduleSummary();
 
         } catch (error) {
+            // Aborting the stream or a tool call surfaces as an error, but it is the expected result of an interrupt
+            if (signal.aborted) {
+                logOut('LLM', `Response interrupted: ${error.message}`);
+                return;
+            }
             throw new Error(`LLM generateResponse error: ${error}`);
+        } finally {
+            turn.done = true;
         }
     };
 
+    /**
+     * Handles the callee talking over the response (barge-in).
+     *
+     * Aborts the latest turn if it is still running, cancelling its stream and pending tool calls, then rewrites the
+     * turn in the context so the assistant only said what was spoken before the interruption. Tool calls that had
+     * already completed stay in the context with their results.
+     *
+     * @param {string} [utteranceUntilInterrupt=''] - The part of the response spoken before the interruption
+     * @emits llm.response - With last=true and the spoken text, if the turn was still running
+     */
+    interrupt(utteranceUntilInterrupt = '') {
+        const turn = this.currentTurn;
+        if (!turn) {
+            return;
+        }
+        const wasRunning = !turn.done;
+        turn.controller.abort();
+        logOut('LLM', `Interrupted ${wasRunning ? 'running' : 'completed'} response after: "${utteranceUntilInterrupt}"`);
+
+        // The spoken text covers every round of the turn, so clear the text of each round and record it once at the end
+        const startIndex = this.promptContext.indexOf(turn.promptMessage) + 1;
+        if (startIndex === 0) {
+            return;
+        }
+        const turnMessages = this.promptContext.slice(startIndex);
+        turnMessages
+            .filter(message => message.role === 'assistant')
+            .forEach(message => {
+                message.content = '';
+                this.messageTokens.delete(message);
+            });
+        const lastMessage = turnMessages[turnMessages.length - 1];
+        if (lastMessage?.role === 'assistant' && !lastMessage.tool_calls) {
+            lastMessage.content = utteranceUntilInterrupt;
+            this.messageTokens.delete(lastMessage);
+        } else if (utteranceUntilInterrupt) {
+            this.promptContext.push({ role: "assistant", content: utteranceUntilInterrupt });
+        }
+        // Drop assistant messages left empty, unless they carry tool calls whose results are in the context
+        this.promptContext = this.promptContext.filter((message, index) =>
+            index < startIndex || message.role !== 'assistant' || message.content || message.tool_calls);
+
+        // A running turn never emitted its final response, so emit what was actually spoken instead
+        if (wasRunning) {
+            this.emit('llm.response', {
+                type: "text",
+                token: utteranceUntilInterrupt,
+                last: true
+            });
+        }
+    }
+
+    /**
+     * Cancels the latest turn if it is still running, for when the call stops being a conversation, e.g. an answering
+     * machine picked up. Unlike interrupt(), the context is left as it is and no response is emitted.
+     */
+    cancel() {
+        const turn = this.currentTurn;
+        if (turn && !turn.done) {
+            turn.controller.abort();
+            logOut('LLM', 'Cancelled running response');
+        }
+    }
+
+    /**
+     * Returns the estimated number of tokens in the conversation context.
+     *
+     * @returns {number} Estimated tokens
+     */
+    getContextTokens() {
+        return this.promptContext.reduce((total, message) => total + this.getMessageTokens(message), 0);
+    }
+
+    /**
+     * Returns the estimated number of tokens in a message, counting each message only once.
+     *
+     * @param {Object} message - Message in OpenAI chat format
+     * @returns {number} Estimated tokens
+     */
+    getMessageTokens(message) {
+        if (!this.messageTokens.has(message)) {
+            this.messageTokens.set(message, estimateMessageTokens(message));
+        }
+        return this.messageTokens.get(message);
+    }
+
+    /**
+     * Starts summarising the context in the background once it nears the token budget. The next turn waits
+     * for the summary, which is usually ready as the response is still being spoken. A summary that takes longer
+     * than LLM_SUMMARY_TIMEOUT_SECONDS is abandoned, so a hung request cannot hold up the turns after it.
+     */
+    scheduleSummary() {
+        const contextTokens = this.getContextTokens();
+        if (this.summarising || contextTokens < Number(LLM_CONTEXT_TOKEN_BUDGET) * Number(LLM_CONTEXT_SUMMARY_RATIO)) {
+            return;
+        }
+        logOut('LLM', `Context is ${contextTokens} tokens of a ${LLM_CONTEXT_TOKEN_BUDGET} token budget. Summarising older turns`);
+        const controller = new AbortController();
+        this.summaryController = controller;
+        this.summarising = this.summariseContext(AbortSignal.any([controller.signal, AbortSignal.timeout(Number(LLM_SUMMARY_TIMEOUT_SECONDS) * 1000)]))
+            .catch(error => logError('LLM', `Error summarising the context: ${error}`))
+            .finally(() => {
+                this.summarising = null;
+                this.summaryController = null;
+            });
+    }
+
+    /**
+     * Replaces the older turns in the context with a system note summarising them.
+     *
+     * The system prompt and customer data (the leading system messages) and the last LLM_CONTEXT_KEEP_TURNS turns are
+     * kept verbatim. Any earlier summary is part of the older turns, so it is rolled into the new summary.
+     *
+     * @async
+     * @param {AbortSignal} [signal] - Signal to abort the summary request
+     * @returns {Promise<void>} Resolves when the context has been summarised, or there was nothing to summarise
+     * @throws {Error} If the summary request fails, is aborted or returns no summary
+     */
+    async summariseContext(signal) {
+        const firstTurnIndex = this.promptContext.findIndex(message => message.role !== 'system' || this.summaryMessages.has(message));
+        const turnStarts = this.promptContext
+            .map((message, index) => this.turnPrompts.has(message) ? index : -1)
+            .filter(index => index >= firstTurnIndex && firstTurnIndex !== -1);
+        const keepTurns = Math.max(1, Number(LLM_CONTEXT_KEEP_TURNS));
+        if (turnStarts.length <= keepTurns) {
+            return;
+        }
+
+        const firstKept = this.promptContext[turnStarts[turnStarts.length - keepTurns]];
+        const olderMessages = this.promptContext.slice(firstTurnIndex, this.promptContext.indexOf(firstKept));
+        if (olderMessages.length === 0) {
+            return;
+        }
+
+        const tokensBefore = this.getContextTokens();
+        let summary = '';
+        const stream = this.backend.streamChat({
+            messages: [
+                { role: "system", content: SUMMARY_INSTRUCTIONS },
+                { role: "user", content: this.formatTranscript(olderMessages) }
+            ],
+            signal,
+        });
+        for await (const event of stream) {
+            if (event.type === 'text') {
+                summary += event.text;
+            }
+        }
+        // A backend may end the stream early rather than throw when aborted, leaving only part of the summary
+        signal?.throwIfAborted();
+        if (!summary.trim()) {
+            throw new Error('The LLM returned an empty summary');
+        }
+
+        // The context may have changed while summarising, so find the older messages again before replacing them
+        const start = this.promptContext.indexOf(olderMessages[0]);
+        const end = this.promptContext.indexOf(firstKept);
+        if (start === -1 || end < start) {
+            logError('LLM', 'Context changed while summarising. Keeping it as it is');
+            return;
+        }
+        const summaryMessage = { role: "system", content: `Summary of the conversation so far: ${summary.trim()}` };
+        this.summaryMessages.add(summaryMessage);
+        this.promptContext.splice(start, end - start, summaryMessage);
+        logOut('LLM', `Summarised ${olderMessages.length} messages. Context is now ${this.getContextTokens()} tokens, down from ${tokensBefore}`);
+    }
+
+    /**
+     * Formats messages as a plain text transcript for summarising.
+     *
+     * @param {Array<Object>} messages - Messages in OpenAI chat format
+     * @returns {string} Transcript with one line per message and tool call
+     */
+    formatTranscript(messages) {
+        return messages.flatMap(message => {
+            switch (message.role) {
+                case 'user':
+                    return [`Callee: ${message.content}`];
+                case 'assistant':
+                    return [
+                        ...(message.content ? [`Assistant: ${message.content}`] : []),
+                        ...(message.tool_calls || []).map(toolCall => `Assistant called tool ${toolCall.function.name} with ${toolCall.function.arguments}`)
+                    ];
+                case 'tool':
+                    return [`Tool result: ${message.content}`];
+                default:
+                    return [`System: ${message.content}`];
+            }
+        }).join('\n');
+    }
+
     /**
      * Inserts a message into the conversation context.
      * Used for live agent handling and context updates without generating immediate responses.
@@ -419,6 +675,8 @@ class LlmService extends EventEmitter {
 
     /**
      * Performs cleanup of service resources.
+     * - Aborts the running turn, cancelling its stream and pending tool calls
+     * - Aborts the summary in progress
      * - Removes all event listeners
      * - Clears conversation context
      * - Cleans up tool configurations
@@ -427,6 +685,9 @@ class LlmService extends EventEmitter {
      * and ensure proper resource cleanup.
      */
     cleanup() {
+        // Abort any running turn first, so its backend stream and tool calls stop with the call
+        this.cancel();
+        this.summaryController?.abort();
         // Remove all event listeners
         this.removeAllListeners();
         // Clear the prompt context
@@ -0,0 +1,234 @@
+/**
+ * @class OutcomeService
+ * @description Stores the order outcome collected on each call, for the operations team's daily report.
+ * This service:
+ *
+ * 1. Validates the order status reported by the status-update tool against the allowed set
+ * 2. Records one outcome per customerReference and call SID, with the status and the summary from end-call
+ * 3. Records calls answered by an answering machine with the "voicemail" status, kept apart from the AI's statuses
+ * 4. Persists outcomes to a JSON file so they survive restarts
+ * 5. Lists outcomes by time range and exports them as JSON or CSV
+ *
+ * @property {string} filePath - Absolute path to the outcomes file
+ * @property {Array<Object>} outcomes - All recorded outcomes, oldest first
+ *
+ * Environment Configuration (optional):
+ * - OUTCOMES_FILE: Path of the outcomes file (default: server/data/outcomes.json)
+ *
+ * @example
+ * const outcomeService = new OutcomeService();
+ *
+ * outcomeService.recordStatus('abc123', callSid, { status: 'ready', phoneNumber: '+61400000000' });
+ * outcomeService.recordSummary('abc123', callSid, 'Pharmacist confirmed the order is ready');
+ *
+ * const csv = outcomeService.toCsv(outcomeService.listOutcomes({ from: '2025-01-01', to: '2025-01-01' }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    OUTCOMES_FILE = path.join(__dirname, '..', 'data', 'outcomes.json')
+} = process.env;
+
+// The order statuses the AI is allowed to report. Must match the status-update tool and context.md.
+const OUTCOME_STATUSES = ['ready', 'in progress', 'delayed', 'unable to complete'];
+
+// Status recorded by the server, not the AI, when an answering machine picks up
+const VOICEMAIL_STATUS = 'voicemail';
+
+// Column order of the CSV export
+const CSV_COLUMNS = ['timestamp', 'customerReference', 'phoneNumber', 'callSid', 'status', 'summary'];
+
+// Leading characters that make spreadsheets read a cell as a formula (CSV injection)
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+class OutcomeService {
+    /**
+     * Creates a new OutcomeService instance and loads any existing outcomes.
+     *
+     * @param {Object} [options={}] - Service options
+     * @param {string} [options.filePath] - Path of the outcomes file. Created if it does not exist
+     */
+    constructor({ filePath = OUTCOMES_FILE } = {}) {
+        this.filePath = path.resolve(filePath);
+        this.outcomes = [];
+        this.load();
+    }
+
+    /**
+     * Loads outcomes from the file.
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.outcomes = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                logOut('Outcomes', `Loaded ${this.outcomes.length} outcomes from ${this.filePath}`);
+            }
+        } catch (error) {
+            logError('Outcomes', `Error loading outcomes from ${this.filePath}: ${error}`);
+        }
+    }
+
+    /**
+     * Writes all outcomes to the file, replacing it atomically.
+     */
+    persist() {
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(this.outcomes, null, 4));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logError('Outcomes', `Error writing outcomes to ${this.filePath}: ${error}`);
+        }
+    }
+
+    /**
+     * Normalises a reported status and checks it is one of the allowed statuses.
+     *
+     * @param {string} status - Status reported by the AI
+     * @returns {string|null} The normalised status, or null if it is not allowed
+     */
+    static normaliseStatus(status) {
+        const normalised = typeof status === 'string' ? status.trim().toLowerCase() : '';
+        return OUTCOME_STATUSES.includes(normalised) ? normalised : null;
+    }
+
+    /**
+     * Records the order status for a call. A later status for the same call replaces the earlier one.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {string} callSid - The Twilio Call SID
+     * @param {Object} details - Outcome details
+     * @param {string} details.status - Order status reported by the AI
+     * @param {string} [details.phoneNumber] - Number that was called
+     * @returns {Object} The recorded outcome
+     * @throws {Error} If the status is not one of the allowed statuses
+     */
+    recordStatus(customerReference, callSid, { status, phoneNumber }) {
+        const normalisedStatus = OutcomeService.normaliseStatus(status);
+        if (!normalisedStatus) {
+            throw new Error(`Invalid order status "${status}". Must be one of: ${OUTCOME_STATUSES.join(', ')}`);
+        }
+
+        const outcome = this.findOrCreate(customerReference, callSid);
+        Object.assign(outcome, {
+            status: normalisedStatus,
+            phoneNumber: phoneNumber || outcome.phoneNumber,
+            timestamp: new Date().toISOString()
+        });
+        this.persist();
+        logOut('Outcomes', `Recorded status "${normalisedStatus}" for ${customerReference}`);
+        return outcome;
+    }
+
+    /**
+     * Records the end-call summary for a call.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {string} callSid - The Twilio Call SID
+     * @param {string} summary - Summary of the call from the end-call tool
+     * @returns {Object} The recorded outcome
+     */
+    recordSummary(customerReference, callSid, summary) {
+        const outcome = this.findOrCreate(customerReference, callSid);
+        outcome.summary = summary || null;
+        this.persist();
+        logOut('Outcomes', `Recorded summary for ${customerReference}`);
+        return outcome;
+    }
+
+    /**
+     * Records that a call was answered by an answering machine.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {string} callSid - The Twilio Call SID
+     * @param {Object} details - Outcome details
+     * @param {string|null} details.message - Voicemail message left, or null if none was left
+     * @param {string} [details.phoneNumber] - Number that was called
+     * @returns {Object} The recorded outcome
+     */
+    recordVoicemail(customerReference, callSid, { message, phoneNumber }) {
+        const outcome = this.findOrCreate(customerReference, callSid);
+        Object.assign(outcome, {
+            status: VOICEMAIL_STATUS,
+            phoneNumber: phoneNumber || outcome.phoneNumber,
+            summary: message ? `Voicemail left: ${message}` : 'Answering machine, no voicemail left',
+            timestamp: new Date().toISOString()
+        });
+        this.persist();
+        logOut('Outcomes', `Recorded voicemail for ${customerReference}`);
+        return outcome;
+    }
+
+    /**
+     * Returns the outcome for a call, creating an empty one if needed.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {string} callSid - The Twilio Call SID
+     * @returns {Object} The outcome
+     */
+    findOrCreate(customerReference, callSid) {
+        let outcome = this.outcomes.find(outcome => outcome.customerReference === customerReference && outcome.callSid === callSid);
+        if (!outcome) {
+            outcome = {
+                timestamp: new Date().toISOString(),
+                customerReference,
+                phoneNumber: null,
+                callSid,
+                status: null,
+                summary: null
+            };
+            this.outcomes.push(outcome);
+        }
+        return outcome;
+    }
+
+    /**
+     * Lists outcomes within a time range. A date without a time in "to" includes the whole day.
+     *
+     * @param {Object} [range={}] - Time range
+     * @param {string} [range.from] - Earliest timestamp or date (inclusive)
+     * @param {string} [range.to] - Latest timestamp or date (inclusive)
+     * @returns {Array<Object>} Matching outcomes, oldest first
+     * @throws {Error} If from or to is not a valid date
+     */
+    listOutcomes({ from, to } = {}) {
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        let toTime = to ? Date.parse(to) : Infinity;
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+            throw new Error('from and to must be valid dates');
+        }
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            toTime += 24 * 60 * 60 * 1000 - 1;
+        }
+
+        return this.outcomes.filter(outcome => {
+            const time = Date.parse(outcome.timestamp);
+            return time >= fromTime && time <= toTime;
+        });
+    }
+
+    /**
+     * Formats outcomes as CSV with a header row. Summaries and references come from the AI and the callee, so cells
+     * that a spreadsheet would read as a formula are prefixed with a quote, as OWASP recommends.
+     *
+     * @param {Array<Object>} outcomes - Outcomes to format
+     * @returns {string} CSV text
+     */
+    toCsv(outcomes) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (CSV_FORMULA_PATTERN.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = outcomes.map(outcome => CSV_COLUMNS.map(column => escape(outcome[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = { OutcomeService, OUTCOME_STATUSES, VOICEMAIL_STATUS };
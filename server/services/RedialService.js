@@ -0,0 +1,281 @@
+/**
+ * @class RedialService
+ * @extends EventEmitter
+ * @description Automatically redials outbound calls that were busy, not answered or failed.
+ * This service manages:
+ *
+ * 1. Retry Policies:
+ *    - Maximum attempts per order
+ *    - Exponential backoff between attempts
+ *    - Which final call statuses trigger a redial, including "voicemail" for calls answered by a machine
+ *
+ * 2. Retry State:
+ *    - Tracks the attempt count, current call SID and status of each order
+ *    - Keeps a history of every call status received per attempt
+ *
+ * 3. Answering Machines:
+ *    - Records who answered each attempt, from answering machine detection
+ *    - Treats a completed call answered by a machine as the "voicemail" status, so it can be redialled separately
+ *    - Tells the caller to keep the order's session open when a call ends, while a redial may still follow
+ *
+ * 4. Redial Scheduling:
+ *    - Schedules the next attempt when a retryable status is received
+ *    - Emits a final event once the order is answered or out of attempts
+ *
+ * Retry state objects are owned by the caller (stored next to the order's customerReference), so the
+ * state is visible wherever the session data is. The actual dialling is delegated to the redialCall
+ * function passed in, allowing the existing Flex interaction to be reused between attempts.
+ *
+ * @property {Function} redialCall - Async function that redials a customer reference and resolves to the new call SID
+ * @property {Map<string, NodeJS.Timeout>} timers - Scheduled redial timers referenced by customerReference
+ *
+ * Environment Configuration (optional):
+ * - REDIAL_MAX_ATTEMPTS: Default maximum call attempts per order, including the first (default: 3)
+ * - REDIAL_BACKOFF_SECONDS: Default delay before the first redial (default: 60)
+ * - REDIAL_BACKOFF_MULTIPLIER: Default multiplier applied to the delay for each further redial (default: 2)
+ * - REDIAL_RETRY_ON: Default comma separated call statuses to redial on (default: busy,no-answer,failed,canceled,voicemail)
+ *
+ * Events Emitted:
+ * - redial.scheduled: A redial has been scheduled for an order
+ * - redial.final: The order was answered, reached voicemail without a redial, or has run out of attempts
+ *
+ * @example
+ * const redialService = new RedialService(async (customerReference) => placeCall(customerReference));
+ *
+ * const retryState = redialService.createRetryState({ maxAttempts: 5 });
+ * retryState.currentCallSid = callSid;
+ *
+ * redialService.on('redial.final', (customerReference, retryState) => {
+ *   console.log(`${customerReference} finished as ${retryState.status}`);
+ * });
+ *
+ * // From the call status webhook
+ * redialService.handleCallStatus('abc123', retryState, callSid, 'busy');
+ */
+
+const EventEmitter = require('events');
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    REDIAL_MAX_ATTEMPTS = 3,
+    REDIAL_BACKOFF_SECONDS = 60,
+    REDIAL_BACKOFF_MULTIPLIER = 2,
+    REDIAL_RETRY_ON = 'busy,no-answer,failed,canceled,voicemail'
+} = process.env;
+
+// Twilio call statuses after which no further status callbacks are sent for the call
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+class RedialService extends EventEmitter {
+    /**
+     * Creates a new RedialService instance.
+     *
+     * @param {Function} redialCall - Async function taking a customerReference and resolving to the new call SID
+     * @throws {Error} If redialCall is not provided
+     */
+    constructor(redialCall) {
+        super();
+        if (typeof redialCall !== 'function') {
+            throw new Error('A redialCall function is required');
+        }
+        this.redialCall = redialCall;
+        this.timers = new Map();
+    }
+
+    /**
+     * Creates the retry state for a new order, merging the order's retry policy with the defaults.
+     *
+     * @param {Object} [retryPolicy={}] - Retry policy overrides for this order
+     * @param {number} [retryPolicy.maxAttempts] - Maximum call attempts, including the first
+     * @param {number} [retryPolicy.backoffSeconds] - Delay before the first redial
+     * @param {number} [retryPolicy.backoffMultiplier] - Multiplier applied to the delay for each further redial
+     * @param {Array<string>} [retryPolicy.retryOn] - Final call statuses that trigger a redial, including "voicemail"
+     * @returns {Object} Retry state for the order
+     */
+    createRetryState(retryPolicy = {}) {
+        return {
+            policy: {
+                maxAttempts: Math.max(1, Number(retryPolicy.maxAttempts ?? REDIAL_MAX_ATTEMPTS)),
+                backoffSeconds: Math.max(0, Number(retryPolicy.backoffSeconds ?? REDIAL_BACKOFF_SECONDS)),
+                backoffMultiplier: Math.max(1, Number(retryPolicy.backoffMultiplier ?? REDIAL_BACKOFF_MULTIPLIER)),
+                retryOn: retryPolicy.retryOn ?? REDIAL_RETRY_ON.split(',').map(status => status.trim()).filter(Boolean)
+            },
+            status: 'dialling',
+            attempt: 1,
+            currentCallSid: null,
+            answeredBy: null,
+            lastCallStatus: null,
+            nextAttemptAt: null,
+            history: []
+        };
+    }
+
+    /**
+     * Handles a call status callback for an order. Intermediate statuses are only recorded. A final status
+     * either schedules a redial or finishes the order.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} retryState - Retry state created by createRetryState
+     * @param {string|null} callSid - Call SID the status is for
+     * @param {string} callStatus - Twilio call status
+     * @emits redial.scheduled
+     * @emits redial.final
+     */
+    handleCallStatus(customerReference, retryState, callSid, callStatus) {
+        retryState.history.push({
+            attempt: retryState.attempt,
+            callSid,
+            callStatus,
+            timestamp: new Date().toISOString()
+        });
+
+        // Ignore late callbacks for earlier attempts and anything received after the order finished
+        if (callSid && retryState.currentCallSid && callSid !== retryState.currentCallSid) {
+            logOut('Redial', `Ignoring ${callStatus} for previous call ${callSid} of ${customerReference}`);
+            return;
+        }
+        if (['completed', 'voicemail', 'exhausted', 'cancelled'].includes(retryState.status)) {
+            return;
+        }
+
+        if (!FINAL_CALL_STATUSES.includes(callStatus)) {
+            retryState.lastCallStatus = callStatus;
+            retryState.status = callStatus === 'in-progress' ? 'answered' : 'dialling';
+            return;
+        }
+
+        // A call answered by a machine completes like any other, but only reached voicemail
+        const finalStatus = callStatus === 'completed' && retryState.answeredBy?.startsWith('machine') ? 'voicemail' : callStatus;
+        retryState.lastCallStatus = finalStatus;
+
+        if (finalStatus === 'completed') {
+            retryState.status = 'completed';
+            logOut('Redial', `Call for ${customerReference} completed on attempt ${retryState.attempt}`);
+            this.emit('redial.final', customerReference, retryState);
+            return;
+        }
+
+        if (!retryState.policy.retryOn.includes(finalStatus) || retryState.attempt >= retryState.policy.maxAttempts) {
+            // A voicemail was left, so the order is not reported as unreachable
+            retryState.status = finalStatus === 'voicemail' ? 'voicemail' : 'exhausted';
+            logOut('Redial', `Not redialling ${customerReference} after ${finalStatus} on attempt ${retryState.attempt}/${retryState.policy.maxAttempts}`);
+            this.emit('redial.final', customerReference, retryState);
+            return;
+        }
+
+        this.scheduleRedial(customerReference, retryState);
+    }
+
+    /**
+     * Records who answered the current attempt, from the answering machine detection result.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} retryState - Retry state created by createRetryState
+     * @param {string} callSid - Call SID the result is for
+     * @param {string} answeredBy - Twilio AnsweredBy value (human, machine_start, machine_end_beep, machine_end_silence,
+     *   machine_end_other, fax or unknown)
+     */
+    recordAnsweredBy(customerReference, retryState, callSid, answeredBy) {
+        if (callSid && retryState.currentCallSid && callSid !== retryState.currentCallSid) {
+            logOut('Redial', `Ignoring answering machine result for previous call ${callSid} of ${customerReference}`);
+            return;
+        }
+        retryState.answeredBy = answeredBy;
+    }
+
+    /**
+     * Checks whether a redial may still follow a call, so the order's session and Flex interaction must be kept when
+     * the call's Conversation Relay session closes. That is the case once a redial is scheduled or placed, and for a
+     * call answered by a machine, as its final call status decides whether it is redialled or finishes as a voicemail.
+     *
+     * @param {Object} [retryState] - Retry state created by createRetryState, if the order has one
+     * @param {string} callSid - Call SID of the call that ended
+     * @returns {boolean} True if the redial policy, rather than the end of the call, finishes the order
+     */
+    isRedialPending(retryState, callSid) {
+        if (!retryState) {
+            return false;
+        }
+        if (retryState.status === 'scheduled' || retryState.currentCallSid !== callSid) {
+            return true;
+        }
+        return Boolean(retryState.answeredBy?.startsWith('machine'));
+    }
+
+    /**
+     * Schedules the next attempt for an order using exponential backoff.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} retryState - Retry state created by createRetryState
+     * @emits redial.scheduled
+     */
+    scheduleRedial(customerReference, retryState) {
+        const { backoffSeconds, backoffMultiplier } = retryState.policy;
+        const delayMs = backoffSeconds * Math.pow(backoffMultiplier, retryState.attempt - 1) * 1000;
+
+        retryState.status = 'scheduled';
+        retryState.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        logOut('Redial', `Redialling ${customerReference} after ${retryState.lastCallStatus} at ${retryState.nextAttemptAt} (attempt ${retryState.attempt + 1}/${retryState.policy.maxAttempts})`);
+
+        this.clearTimer(customerReference);
+        this.timers.set(customerReference, setTimeout(() => {
+            this.timers.delete(customerReference);
+            this.redial(customerReference, retryState);
+        }, delayMs));
+
+        this.emit('redial.scheduled', customerReference, retryState);
+    }
+
+    /**
+     * Places the next attempt for an order. A failure to place the call is treated as a failed call status,
+     * so it is retried under the same policy.
+     *
+     * @async
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} retryState - Retry state created by createRetryState
+     * @returns {Promise<void>} Resolves when the call has been placed or has failed
+     */
+    async redial(customerReference, retryState) {
+        retryState.attempt++;
+        retryState.status = 'dialling';
+        retryState.nextAttemptAt = null;
+        retryState.currentCallSid = null;
+        retryState.answeredBy = null;
+
+        try {
+            retryState.currentCallSid = await this.redialCall(customerReference);
+            logOut('Redial', `Redialled ${customerReference} with call SID: ${retryState.currentCallSid}`);
+        } catch (error) {
+            logError('Redial', `Error redialling ${customerReference}: ${error}`);
+            this.handleCallStatus(customerReference, retryState, null, 'failed');
+        }
+    }
+
+    /**
+     * Cancels any scheduled redial for an order.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     * @param {Object} [retryState] - Retry state to mark as cancelled
+     */
+    cancel(customerReference, retryState) {
+        this.clearTimer(customerReference);
+        if (retryState && !['completed', 'voicemail', 'exhausted'].includes(retryState.status)) {
+            retryState.status = 'cancelled';
+            retryState.nextAttemptAt = null;
+        }
+    }
+
+    /**
+     * Clears the scheduled redial timer for an order.
+     *
+     * @param {string} customerReference - Customer reference of the order
+     */
+    clearTimer(customerReference) {
+        if (this.timers.has(customerReference)) {
+            clearTimeout(this.timers.get(customerReference));
+            this.timers.delete(customerReference);
+        }
+    }
+}
+
+module.exports = { RedialService };
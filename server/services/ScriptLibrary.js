@@ -0,0 +1,384 @@
+/**
+ * @class ScriptLibrary
+ * @extends EventEmitter
+ * @description Loads the named call scripts, so each campaign or order can use its own persona and tools.
+ * This service:
+ *
+ * 1. Loads every script from its own directory under assets/scripts:
+ *    - context.md: The system prompt template for the LLM
+ *    - script.json: Description, the names of the tools the LLM may use, the customer fields the LLM may see,
+ *      the DTMF steps the callee may be asked to key in, the silence policy, the Conversation Relay voice settings,
+ *      the callback number left in voicemails and the authors of the messages written to the Flex conversation
+ *    - voicemail.md (optional): The message template left when an answering machine picks up
+ *
+ * 2. Checks each script's tools exist in the tool registry, and its DTMF steps, silence policy and context template are valid
+ *
+ * 3. Renders a script's context and voicemail for a call. Only the customer fields the script allows, and a fixed
+ *    set of call details, are passed to the templates:
+ *    - customerData: The allowed customer fields
+ *    - setup: Call details from the Conversation Relay setup message (callSid, from, to, direction, callerName)
+ *    - now: The current date and time
+ *    - callbackNumber: The script's callbackNumber, or the number the call was made from
+ *
+ * 4. Watches the script files and reloads them when they change. Each load replaces the script objects,
+ *    so sessions that already have a script keep the version they started with, and only new sessions
+ *    get the change. A load that fails keeps the scripts from the last good load.
+ *
+ * @property {string} directory - Directory holding one subdirectory per script
+ * @property {ToolRegistry} toolRegistry - Registry the script tools must exist in
+ * @property {Map<string, Object>} scripts - Loaded scripts referenced by name
+ * @property {fs.FSWatcher|null} watcher - Watcher on the scripts directory
+ *
+ * Environment Configuration (optional):
+ * - DEFAULT_SCRIPT: Script used when an order does not name one (default: 'chemist2u')
+ * - TEMPLATE_TIMEZONE: Time zone for the date and time template filters (default: the server's time zone)
+ *
+ * Events Emitted:
+ * - scripts.reloaded: The scripts were reloaded after a change, with the script names
+ *
+ * @example
+ * const scriptLibrary = new ScriptLibrary({ directory: path.join(__dirname, 'assets', 'scripts'), toolRegistry });
+ * scriptLibrary.watch();
+ *
+ * const script = scriptLibrary.get('chemist2u');
+ * const promptContext = scriptLibrary.renderContext(script, { customerData, setupData });
+ * const llmService = new LlmService(promptContext, toolRegistry, { tools: script.tools, toolContext: { dtmfSteps: script.dtmfSteps } });
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { logOut, logError } = require('../utils/logger');
+const { parseTemplate, renderTemplate } = require('../utils/templateRenderer');
+const { validateSchema } = require('../utils/schemaValidator');
+
+const {
+    DEFAULT_SCRIPT = 'chemist2u',
+    TEMPLATE_TIMEZONE
+} = process.env;
+
+// A DTMF step the LLM can ask the callee to key in with the collect-dtmf tool
+const DTMF_STEP_SCHEMA = {
+    type: 'object',
+    properties: {
+        description: { type: 'string' },
+        maxDigits: { type: 'integer', minimum: 1 },
+        terminator: { type: 'string', pattern: '^[0-9*#]?$' },
+        timeoutSeconds: { type: 'number', minimum: 1 },
+        options: { type: 'object' }
+    },
+    required: ['description'],
+    additionalProperties: false
+};
+
+// How to handle the callee going quiet, see SilenceHandler. Messages are variants keyed by language.
+const SILENCE_POLICY_SCHEMA = {
+    type: 'object',
+    properties: {
+        attempts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    afterSeconds: { type: 'number', minimum: 1 },
+                    messages: { type: 'object' },
+                    nudge: { type: 'boolean' }
+                },
+                required: ['afterSeconds'],
+                additionalProperties: false
+            }
+        },
+        hangupAfterSeconds: { type: 'number', minimum: 1 },
+        goodbye: { type: 'object' },
+        goodbyeDelaySeconds: { type: 'number', minimum: 0 },
+        unresponsiveMessage: { type: 'object' },
+        maxHoldSeconds: { type: 'number', minimum: 1 }
+    },
+    required: ['attempts', 'hangupAfterSeconds'],
+    additionalProperties: false
+};
+
+// Authors of the messages written to the Flex conversation, keyed by transcript speaker
+const FLEX_AUTHORS_SCHEMA = {
+    type: 'object',
+    properties: {
+        ai: { type: 'string', minLength: 1 },
+        callee: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+// Flex message authors used when a script does not name its own, matching the transcript speaker labels
+const DEFAULT_FLEX_AUTHORS = { ai: 'AI', callee: 'Callee' };
+
+// Conversation Relay setup message fields available to the templates as "setup"
+const SETUP_FIELDS = ['callSid', 'from', 'to', 'direction', 'callerName'];
+
+// Delay before reloading, so an editor saving several files only triggers one reload
+const RELOAD_DEBOUNCE_MS = 200;
+
+class ScriptLibrary extends EventEmitter {
+    /**
+     * Creates a new ScriptLibrary instance and loads the scripts.
+     *
+     * @param {Object} options - Library options
+     * @param {string} options.directory - Directory holding one subdirectory per script
+     * @param {ToolRegistry} options.toolRegistry - Registry the script tools must exist in
+     * @throws {Error} If the scripts cannot be loaded or the default script does not exist
+     */
+    constructor({ directory, toolRegistry }) {
+        super();
+        this.directory = directory;
+        this.toolRegistry = toolRegistry;
+        this.scripts = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+
+        this.scripts = this.load();
+        if (!this.scripts.has(DEFAULT_SCRIPT)) {
+            throw new Error(`Default script ${DEFAULT_SCRIPT} not found in ${this.directory}`);
+        }
+    }
+
+    /**
+     * Loads every script from the scripts directory.
+     *
+     * @returns {Map<string, Object>} Scripts referenced by name
+     * @throws {Error} If a script is missing a file, has invalid JSON, a context or voicemail template error, an invalid DTMF step,
+     *   silence policy or Flex authors, or names an unknown tool
+     */
+    load() {
+        const scripts = new Map();
+        const names = fs.readdirSync(this.directory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+
+        for (const name of names) {
+            const scriptDirectory = path.join(this.directory, name);
+            const context = fs.readFileSync(path.join(scriptDirectory, 'context.md'), 'utf8');
+            let template;
+            try {
+                template = parseTemplate(context);
+            } catch (error) {
+                throw new Error(`Invalid context.md for script ${name}: ${error.message}`);
+            }
+            // The voicemail is optional. Without one, calls answered by a machine are ended without a message
+            let voicemail = null;
+            const voicemailPath = path.join(scriptDirectory, 'voicemail.md');
+            if (fs.existsSync(voicemailPath)) {
+                try {
+                    voicemail = parseTemplate(fs.readFileSync(voicemailPath, 'utf8'));
+                } catch (error) {
+                    throw new Error(`Invalid voicemail.md for script ${name}: ${error.message}`);
+                }
+            }
+            let settings;
+            try {
+                settings = JSON.parse(fs.readFileSync(path.join(scriptDirectory, 'script.json'), 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid script.json for script ${name}: ${error.message}`);
+            }
+
+            const dtmfSteps = settings.dtmfSteps || {};
+            const hasDtmfSteps = Object.keys(dtmfSteps).length > 0;
+            // Without a list, every tool is offered, except collect-dtmf when there are no DTMF steps to collect
+            const tools = settings.tools || this.toolRegistry.names().filter(tool => tool !== 'collect-dtmf' || hasDtmfSteps);
+            const unknownTools = tools.filter(tool => !this.toolRegistry.get(tool));
+            if (unknownTools.length > 0) {
+                throw new Error(`Script ${name} uses unknown tools: ${unknownTools.join(', ')}`);
+            }
+
+            for (const [stepName, step] of Object.entries(dtmfSteps)) {
+                const stepErrors = validateSchema(DTMF_STEP_SCHEMA, step);
+                if (stepErrors.length > 0) {
+                    throw new Error(`Script ${name} has an invalid DTMF step ${stepName}: ${stepErrors.map(error => `${error.path} ${error.message}`).join(', ')}`);
+                }
+            }
+            if (tools.includes('collect-dtmf') && !hasDtmfSteps) {
+                throw new Error(`Script ${name} uses the collect-dtmf tool but declares no dtmfSteps`);
+            }
+
+            if (settings.silence) {
+                const silenceErrors = validateSchema(SILENCE_POLICY_SCHEMA, settings.silence);
+                (Array.isArray(settings.silence.attempts) ? settings.silence.attempts : []).forEach((attempt, index) => {
+                    if (!attempt?.nudge && !attempt?.messages) {
+                        silenceErrors.push({ path: `attempts[${index}]`, message: 'must have messages or nudge' });
+                    }
+                });
+                if (silenceErrors.length > 0) {
+                    throw new Error(`Script ${name} has an invalid silence policy: ${silenceErrors.map(error => `${error.path} ${error.message}`).join(', ')}`);
+                }
+            }
+
+            const flexAuthorErrors = validateSchema(FLEX_AUTHORS_SCHEMA, settings.flexAuthors || {});
+            if (flexAuthorErrors.length > 0) {
+                throw new Error(`Script ${name} has invalid flexAuthors: ${flexAuthorErrors.map(error => `${error.path} ${error.message}`).join(', ')}`);
+            }
+
+            scripts.set(name, Object.freeze({
+                name,
+                description: settings.description || '',
+                context,
+                template,
+                tools: Object.freeze([...tools]),
+                // Only these customer fields are passed to the LLM
+                customerFields: Object.freeze([...(settings.customerFields || [])]),
+                dtmfSteps: Object.freeze({ ...dtmfSteps }),
+                // Without a policy the SilenceHandler default is used
+                silence: settings.silence || null,
+                voice: Object.freeze({ ...settings.voice }),
+                voicemail,
+                callbackNumber: settings.callbackNumber || null,
+                flexAuthors: Object.freeze({ ...DEFAULT_FLEX_AUTHORS, ...settings.flexAuthors })
+            }));
+        }
+
+        logOut('ScriptLibrary', `Loaded scripts: ${Array.from(scripts.keys()).join(', ')}`);
+        return scripts;
+    }
+
+    /**
+     * Reloads the scripts, keeping the current ones if the new files cannot be loaded.
+     *
+     * @emits scripts.reloaded
+     */
+    reload() {
+        try {
+            const scripts = this.load();
+            if (!scripts.has(DEFAULT_SCRIPT)) {
+                throw new Error(`Default script ${DEFAULT_SCRIPT} not found`);
+            }
+            this.scripts = scripts;
+            this.emit('scripts.reloaded', this.names());
+        } catch (error) {
+            logError('ScriptLibrary', `Error reloading scripts, keeping the previous version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Starts watching the scripts directory, reloading the scripts shortly after any file changes.
+     */
+    watch() {
+        if (this.watcher) {
+            return;
+        }
+        this.watcher = fs.watch(this.directory, { recursive: true }, () => {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+        });
+        this.watcher.on('error', (error) => logError('ScriptLibrary', `Error watching ${this.directory}: ${error}`));
+        // Do not keep the process alive just to watch the scripts
+        this.watcher.unref();
+        logOut('ScriptLibrary', `Watching ${this.directory} for changes`);
+    }
+
+    /**
+     * Stops watching the scripts directory.
+     */
+    unwatch() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Renders a script's context for a call.
+     *
+     * @param {Object} script - Script from get()
+     * @param {Object} sessionCustomerData - Session data for the call
+     * @param {Object} sessionCustomerData.customerData - Customer data, filtered to the script's customer fields
+     * @param {Object} [sessionCustomerData.setupData] - Conversation Relay setup message
+     * @returns {string} The rendered system prompt
+     * @throws {Error} If the template uses a variable that is not defined, e.g. a customer field the script does not allow
+     */
+    renderContext(script, { customerData, setupData = {} }) {
+        try {
+            return renderTemplate(script.template, this.getTemplateVariables(script, { customerData, setupData }),
+                { locale: script.voice.language, timeZone: TEMPLATE_TIMEZONE });
+        } catch (error) {
+            throw new Error(`Unable to render context for script ${script.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders the message a script leaves when an answering machine picks up.
+     *
+     * @param {Object} script - Script from get()
+     * @param {Object} sessionCustomerData - Session data for the call
+     * @param {Object} sessionCustomerData.customerData - Customer data, filtered to the script's customer fields
+     * @param {Object} [sessionCustomerData.setupData] - Conversation Relay setup message
+     * @returns {string|null} The rendered voicemail, or null if the script has no voicemail.md
+     * @throws {Error} If the template uses a variable that is not defined
+     */
+    renderVoicemail(script, { customerData, setupData = {} }) {
+        if (!script.voicemail) {
+            return null;
+        }
+        try {
+            return renderTemplate(script.voicemail, this.getTemplateVariables(script, { customerData, setupData }),
+                { locale: script.voice.language, timeZone: TEMPLATE_TIMEZONE }).trim();
+        } catch (error) {
+            throw new Error(`Unable to render voicemail for script ${script.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Returns the variables passed to a script's templates: the customer fields the script allows and a fixed set of call details.
+     *
+     * @param {Object} script - Script from get()
+     * @param {Object} sessionCustomerData - Session data for the call
+     * @param {Object} sessionCustomerData.customerData - Customer data for the order
+     * @param {Object} sessionCustomerData.setupData - Conversation Relay setup message
+     * @returns {Object} Template variables: customerData, setup, now and callbackNumber
+     */
+    getTemplateVariables(script, { customerData, setupData }) {
+        const pick = (source, fields) => Object.fromEntries(fields
+            .filter(field => source[field] !== undefined)
+            .map(field => [field, source[field]]));
+
+        return {
+            customerData: pick(customerData, script.customerFields),
+            setup: pick(setupData, SETUP_FIELDS),
+            now: new Date(),
+            callbackNumber: script.callbackNumber || setupData.from
+        };
+    }
+
+    /**
+     * Checks a script's context and voicemail render for an order before it is dialled. The call details are not
+     * known until the call connects, so placeholders are used for them.
+     *
+     * @param {Object} script - Script from get()
+     * @param {Object} customerData - Customer data for the order
+     * @throws {Error} If a template uses a customer field the order does not have or the script does not allow
+     */
+    checkContext(script, customerData) {
+        const setupData = Object.fromEntries(SETUP_FIELDS.map(field => [field, field]));
+        this.renderContext(script, { customerData, setupData });
+        this.renderVoicemail(script, { customerData, setupData });
+    }
+
+    /**
+     * Returns a script by name.
+     *
+     * @param {string} [name=DEFAULT_SCRIPT] - Script name
+     * @returns {Object|undefined} The script, with name, description, context, template, tools, customerFields, dtmfSteps, silence,
+     *   voice, voicemail, callbackNumber and flexAuthors
+     */
+    get(name = DEFAULT_SCRIPT) {
+        return this.scripts.get(name);
+    }
+
+    /**
+     * Returns the names of all loaded scripts.
+     *
+     * @returns {Array<string>} Script names
+     */
+    names() {
+        return Array.from(this.scripts.keys());
+    }
+}
+
+module.exports = { ScriptLibrary };
@@ -0,0 +1,364 @@
+/**
+ * @class SessionStore
+ * @extends EventEmitter
+ * @description In-memory store for call session data, replacing the plain customerDataMap.
+ * This store manages:
+ *
+ * 1. Session Storage:
+ *    - Stores session data referenced by customerReference
+ *    - Applies partial updates to existing sessions
+ *
+ * 2. Session Lookup:
+ *    - By customerReference
+ *    - By call SID (current call, setup message or any previous redial attempt)
+ *    - By Flex interaction SID
+ *    - By TaskRouter task SID
+ *
+ * 3. Session Readiness:
+ *    - Moves each session through explicit states:
+ *      created → interactionCreated → reservationAccepted → relayConnected → ended
+ *    - Any state before ended can also move to failed
+ *    - Lets callers wait for a session to reach a state, with a timeout
+ *
+ * 4. Session Eviction:
+ *    - Marks sessions as ended when the call finishes
+ *    - Evicts ended sessions after a configurable TTL
+ *
+ * Updates are applied to the stored session object in place, so references handed out by get() stay
+ * current. Code that changes a session object directly must call save() so persistent stores can write
+ * the change. This class is the in-memory implementation. FileSessionStore extends it to persist
+ * sessions across restarts.
+ *
+ * @property {Map<string, Object>} sessions - Session data referenced by customerReference
+ * @property {Map<string, NodeJS.Timeout>} evictionTimers - Eviction timers referenced by customerReference
+ * @property {number} ttlSeconds - Seconds an ended session is kept before eviction
+ *
+ * Environment Configuration (optional):
+ * - SESSION_TTL_SECONDS: Seconds an ended session is kept before eviction (default: 3600)
+ *
+ * Events Emitted:
+ * - session.state: A session moved to a new state
+ * - session.evicted: An ended session was evicted
+ *
+ * @example
+ * const sessionStore = new SessionStore();
+ *
+ * sessionStore.set('abc123', { customerData });
+ * sessionStore.update('abc123', { flexInteraction });
+ * sessionStore.transition('abc123', 'interactionCreated');
+ *
+ * const session = sessionStore.findByInteractionSid(flexInteraction.sid);
+ *
+ * // Wait up to 10 seconds for Flex to accept the reservation
+ * await sessionStore.waitForState('abc123', 'reservationAccepted', 10000);
+ *
+ * // When the call has finished
+ * sessionStore.end('abc123');
+ */
+
+const EventEmitter = require('events');
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    SESSION_TTL_SECONDS = 3600
+} = process.env;
+
+// Session states in the order a session moves through them
+const SESSION_STATES = ['created', 'interactionCreated', 'reservationAccepted', 'relayConnected', 'ended'];
+// Terminal state for a session that could not be set up
+const SESSION_FAILED_STATE = 'failed';
+
+class SessionStore extends EventEmitter {
+    /**
+     * Creates a new SessionStore instance.
+     *
+     * @param {Object} [options={}] - Store options
+     * @param {number} [options.ttlSeconds] - Seconds an ended session is kept before eviction
+     */
+    constructor({ ttlSeconds = SESSION_TTL_SECONDS } = {}) {
+        super();
+        this.sessions = new Map();
+        this.evictionTimers = new Map();
+        this.ttlSeconds = Number(ttlSeconds);
+    }
+
+    /**
+     * Returns the session for a customer reference.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @returns {Object|undefined} Session data
+     */
+    get(customerReference) {
+        return this.sessions.get(customerReference);
+    }
+
+    /**
+     * Checks whether a session exists for a customer reference.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @returns {boolean} True if the session exists
+     */
+    has(customerReference) {
+        return this.sessions.has(customerReference);
+    }
+
+    /**
+     * Creates or replaces the session for a customer reference. Replacing a session cancels any pending eviction.
+     * New sessions start in the 'created' state unless a state is given.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @param {Object} session - Session data
+     * @returns {Object} The stored session
+     */
+    set(customerReference, session) {
+        this.clearEvictionTimer(customerReference);
+        if (!session.state) {
+            session.state = SESSION_STATES[0];
+            session.stateHistory = [{ state: session.state, timestamp: new Date().toISOString() }];
+        }
+        this.sessions.set(customerReference, session);
+        this.save(customerReference);
+        return session;
+    }
+
+    /**
+     * Applies changes to an existing session in place.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @param {Object} changes - Session fields to set
+     * @returns {Object|undefined} The updated session, or undefined if it does not exist
+     */
+    update(customerReference, changes) {
+        const session = this.sessions.get(customerReference);
+        if (!session) {
+            return undefined;
+        }
+        Object.assign(session, changes);
+        this.save(customerReference);
+        return session;
+    }
+
+    /**
+     * Removes a session.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @returns {boolean} True if a session was removed
+     */
+    delete(customerReference) {
+        this.clearEvictionTimer(customerReference);
+        const deleted = this.sessions.delete(customerReference);
+        if (deleted) {
+            this.save(customerReference);
+        }
+        return deleted;
+    }
+
+    /**
+     * Records that a session has been changed in place. The in-memory store has nothing to do.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     */
+    save(customerReference) {
+    }
+
+    /**
+     * Moves a session to a new state. Sessions only move forward through SESSION_STATES, and any state
+     * other than ended can move to failed. Invalid transitions are ignored.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @param {string} state - The new state
+     * @param {string} [reason] - Why the session moved, recorded in the state history
+     * @returns {boolean} True if the session moved to the new state
+     * @emits session.state
+     */
+    transition(customerReference, state, reason) {
+        const session = this.sessions.get(customerReference);
+        if (!session) {
+            return false;
+        }
+
+        const isTerminal = session.state === 'ended' || session.state === SESSION_FAILED_STATE;
+        const isForward = SESSION_STATES.indexOf(state) > SESSION_STATES.indexOf(session.state);
+        if (isTerminal || !(isForward || state === SESSION_FAILED_STATE)) {
+            logError('SessionStore', `Ignoring invalid transition for ${customerReference} from ${session.state} to ${state}`);
+            return false;
+        }
+
+        session.state = state;
+        session.stateHistory = session.stateHistory || [];
+        session.stateHistory.push({ state, timestamp: new Date().toISOString(), ...(reason && { reason }) });
+        this.save(customerReference);
+        logOut('SessionStore', `Session ${customerReference} is now ${state}${reason ? `: ${reason}` : ''}`);
+        this.emit('session.state', customerReference, state, reason);
+        return true;
+    }
+
+    /**
+     * Waits for a session to reach a state, or any later state before ended.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @param {string} state - The state to wait for
+     * @param {number} timeoutMs - Milliseconds to wait before giving up
+     * @returns {Promise<Object>} Resolves with the session once it has reached the state
+     * @throws {Error} If the session does not exist, fails, ends or times out first
+     */
+    waitForState(customerReference, state, timeoutMs) {
+        const targetIndex = SESSION_STATES.indexOf(state);
+        const check = () => {
+            const session = this.sessions.get(customerReference);
+            if (!session) {
+                return { error: new Error(`No session found for reference: ${customerReference}`) };
+            }
+            if (session.state === SESSION_FAILED_STATE || session.state === 'ended') {
+                return { error: new Error(`Session ${customerReference} is ${session.state}`) };
+            }
+            if (SESSION_STATES.indexOf(session.state) >= targetIndex) {
+                return { session };
+            }
+            return null;
+        };
+
+        return new Promise((resolve, reject) => {
+            const settle = (result) => {
+                clearTimeout(timer);
+                this.off('session.state', onState);
+                result.error ? reject(result.error) : resolve(result.session);
+            };
+            const onState = (changedReference) => {
+                if (changedReference !== customerReference) {
+                    return;
+                }
+                const result = check();
+                if (result) {
+                    settle(result);
+                }
+            };
+            const timer = setTimeout(() => {
+                settle({ error: new Error(`Timed out after ${timeoutMs}ms waiting for session ${customerReference} to reach ${state}`) });
+            }, timeoutMs);
+
+            this.on('session.state', onState);
+            const result = check();
+            if (result) {
+                settle(result);
+            }
+        });
+    }
+
+    /**
+     * Marks a session as ended and schedules its eviction after the TTL. Ending an already ended session
+     * does not extend its TTL.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @param {string} [reason] - Why the session ended, recorded in the state history
+     */
+    end(customerReference, reason) {
+        const session = this.sessions.get(customerReference);
+        if (!session || session.endedAt) {
+            return;
+        }
+        session.endedAt = new Date().toISOString();
+        if (session.state !== SESSION_FAILED_STATE) {
+            this.transition(customerReference, 'ended', reason);
+        }
+        this.save(customerReference);
+        this.scheduleEviction(customerReference);
+    }
+
+    /**
+     * Finds a session by call SID. Matches the current call, the Conversation Relay setup message and
+     * any previous redial attempt.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @returns {Object|undefined} Session data
+     */
+    findByCallSid(callSid) {
+        return this.find(session =>
+            session.setupData?.callSid === callSid ||
+            session.retry?.currentCallSid === callSid ||
+            session.retry?.history?.some(entry => entry.callSid === callSid));
+    }
+
+    /**
+     * Finds a session by Flex interaction SID.
+     *
+     * @param {string} interactionSid - The Flex interaction SID
+     * @returns {Object|undefined} Session data
+     */
+    findByInteractionSid(interactionSid) {
+        return this.find(session => session.flexInteraction?.sid === interactionSid);
+    }
+
+    /**
+     * Finds a session by TaskRouter task SID.
+     *
+     * @param {string} taskSid - The TaskRouter task SID
+     * @returns {Object|undefined} Session data
+     */
+    findByTaskSid(taskSid) {
+        return this.find(session => session.reservation?.taskSid === taskSid);
+    }
+
+    /**
+     * Returns the first session matching a predicate.
+     *
+     * @param {Function} predicate - Function taking a session and returning true for a match
+     * @returns {Object|undefined} Session data
+     */
+    find(predicate) {
+        for (const session of this.sessions.values()) {
+            if (predicate(session)) {
+                return session;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns all sessions.
+     *
+     * @returns {Array<Object>} Session data
+     */
+    values() {
+        return Array.from(this.sessions.values());
+    }
+
+    /**
+     * Schedules eviction of an ended session once its TTL has passed.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     * @emits session.evicted
+     */
+    scheduleEviction(customerReference) {
+        const session = this.sessions.get(customerReference);
+        if (!session?.endedAt) {
+            return;
+        }
+        this.clearEvictionTimer(customerReference);
+
+        const remainingMs = Math.max(0, Date.parse(session.endedAt) + (this.ttlSeconds * 1000) - Date.now());
+        const timer = setTimeout(() => {
+            this.evictionTimers.delete(customerReference);
+            this.delete(customerReference);
+            logOut('SessionStore', `Evicted ended session: ${customerReference}`);
+            this.emit('session.evicted', customerReference);
+        }, remainingMs);
+        // Do not keep the process alive just to evict sessions
+        timer.unref();
+        this.evictionTimers.set(customerReference, timer);
+    }
+
+    /**
+     * Clears the eviction timer for a session.
+     *
+     * @param {string} customerReference - Unique reference to identify the customer
+     */
+    clearEvictionTimer(customerReference) {
+        if (this.evictionTimers.has(customerReference)) {
+            clearTimeout(this.evictionTimers.get(customerReference));
+            this.evictionTimers.delete(customerReference);
+        }
+    }
+}
+
+module.exports = { SessionStore, SESSION_STATES };
@@ -1,31 +1,40 @@
 /**
  * @class SilenceHandler
  * @description Manages silence detection and automated responses during voice conversations.
- * This class implements a sophisticated silence monitoring system that:
- * 
+ * This class implements a silence monitoring system that:
+ *
  * 1. Continuously monitors the duration of silence (periods without messages)
- * 2. Implements a progressive response system:
- *    - First reminder: "Still there?" after initial silence threshold
- *    - Second reminder: "Just checking you are still there?" after continued silence
- *    - Call termination: After exceeding maximum retry attempts
- * 3. Automatically resets monitoring when valid messages are received
- * 4. Provides proper cleanup of resources when monitoring ends
- * 
+ * 2. Follows a silence policy, normally from the call script:
+ *    - Attempts: Each with its own silence threshold, and either reminder message variants or an LLM nudge
+ *    - Hangup: After the attempts and a final threshold, a goodbye message is spoken and the call is ended
+ *    - Unresponsive message: Passed in the end message's handoffData, for complete-crelay to say before hanging up
+ *    - Messages: Keyed by language, with the session's language chosen as e.g. 'en-AU', then 'en', then the first
+ * 3. Automatically resets monitoring when valid messages are received, including while the goodbye is spoken, so a
+ *    callee who answers the goodbye is not hung up on
+ * 4. Can be suspended while the call is on hold, and resumed from the first attempt afterwards
+ * 5. Provides proper cleanup of resources when monitoring ends
+ *
  * The handler uses an interval-based timer that checks every second for silence duration,
- * comparing it against configurable thresholds. When thresholds are exceeded, it triggers
- * either reminder messages or call termination through a callback system.
- * 
- * @property {number} silenceSecondsThreshold - Seconds of silence before triggering response (default: 20)
- * @property {number} silenceRetryThreshold - Maximum reminder attempts before ending call (default: 3)
+ * comparing it against the current attempt's threshold. When a threshold is exceeded, it triggers
+ * a reminder, a nudge or call termination through a callback system.
+ *
+ * @property {Object} policy - Silence policy: attempts, hangupAfterSeconds, goodbye, goodbyeDelaySeconds and unresponsiveMessage
+ * @property {string} language - Language of the session, used to choose the messages
  * @property {number} lastMessageTime - Timestamp of the last received message
  * @property {NodeJS.Timeout} silenceTimer - Interval timer for silence monitoring
+ * @property {NodeJS.Timeout} goodbyeTimer - Timer ending the call once the goodbye has been spoken
  * @property {number} silenceRetryCount - Current count of silence reminder attempts
  * @property {Function} messageCallback - Callback function for handling silence responses
- * 
+ * @property {boolean} suspended - True while the silence breakers are suspended, e.g. on hold
+ *
+ * Environment Configuration (optional, for the default policy used when a script has none):
+ * - SILENCE_SECONDS_THRESHOLD: Seconds of silence before each reminder and before ending the call (default: 20)
+ * - SILENCE_RETRY_THRESHOLD: Silence periods before ending the call, including the reminders (default: 3)
+ *
  * @example
  * // Initialize and start silence monitoring
- * const silenceHandler = new SilenceHandler();
- * 
+ * const silenceHandler = new SilenceHandler(script.silence, 'en-AU');
+ *
  * silenceHandler.startMonitoring((message) => {
  *   switch(message.type) {
  *     case 'end':
@@ -33,109 +42,181 @@
  *       console.log('Call ended:', message.handoffData);
  *       break;
  *     case 'text':
- *       // Handle silence reminder message
+ *       // Handle silence reminder or goodbye message
  *       console.log('Silence reminder:', message.token);
  *       break;
+ *     case 'nudge':
+ *       // Ask the LLM to check the callee is still there
+ *       console.log('Nudge instruction:', message.instruction);
+ *       break;
  *   }
  * });
- * 
+ *
  * // Reset timer when valid messages are received
  * silenceHandler.resetTimer();
- * 
+ *
  * // Cleanup resources when done
  * silenceHandler.cleanup();
- * 
+ *
  * @see Message Types:
- * - 'text': Reminder messages with progressive content
+ * - 'text': Reminder and goodbye messages, in the session's language
+ * - 'nudge': Instruction for the LLM to generate a reminder
  * - 'end': Call termination message with reason data
  * - 'info': System messages (ignored for silence detection)
  * - 'prompt': Interactive prompts (resets silence timer)
  */
 
-const { logOut, logError } = require('../utils/logger');
+const { logOut } = require('../utils/logger');
 
 const {
     SILENCE_SECONDS_THRESHOLD = 20,
     SILENCE_RETRY_THRESHOLD = 3
 } = process.env;
 
+// Seconds to let the goodbye be spoken before the call is ended
+const DEFAULT_GOODBYE_DELAY_SECONDS = 4;
+
+/**
+ * Builds the silence policy used when the call script does not have one, from the environment thresholds.
+ *
+ * @returns {Object} Silence policy
+ */
+const createDefaultPolicy = () => ({
+    attempts: Array.from({ length: Math.max(Number(SILENCE_RETRY_THRESHOLD) - 1, 0) }, (_, index) => ({
+        afterSeconds: Number(SILENCE_SECONDS_THRESHOLD),
+        messages: { en: [index === 0 ? "Still there?" : "Just checking you are still there?"] }
+    })),
+    hangupAfterSeconds: Number(SILENCE_SECONDS_THRESHOLD),
+    goodbye: { en: ["I haven't heard from you, so I'll end the call now. Goodbye."] }
+});
+
+/**
+ * Chooses the messages for a language: the exact language, then its base language, then the first language.
+ *
+ * @param {Object<string, Array<string>>} messages - Message variants keyed by language
+ * @param {string} language - Session language, e.g. 'en-AU'
+ * @returns {Array<string>} Message variants
+ */
+const selectMessages = (messages = {}, language = '') => messages[language]
+    || messages[language.split('-')[0]]
+    || Object.values(messages)[0]
+    || [];
+
+/**
+ * Picks one of the message variants at random, so repeated reminders do not sound scripted.
+ *
+ * @param {Array<string>} variants - Message variants
+ * @returns {string|undefined} The chosen message
+ */
+const pickVariant = (variants) => variants[Math.floor(Math.random() * variants.length)];
+
 class SilenceHandler {
     /**
      * Creates a new SilenceHandler instance.
+     *
+     * @param {Object} [policy] - Silence policy from the call script (default: built from the environment thresholds)
+     * @param {Array<Object>} policy.attempts - Reminders in order, each with afterSeconds and either messages or nudge
+     * @param {number} policy.hangupAfterSeconds - Seconds of silence after the last reminder before ending the call
+     * @param {Object<string, Array<string>>} [policy.goodbye] - Goodbye message variants keyed by language
+     * @param {number} [policy.goodbyeDelaySeconds] - Seconds to let the goodbye be spoken before ending the call
+     * @param {Object<string, Array<string>>} [policy.unresponsiveMessage] - Message variants keyed by language, said by
+     *   complete-crelay once the call has ended due to silence
+     * @param {string} [language='en'] - Language of the session
      */
-    constructor() {
-        this.silenceSecondsThreshold = SILENCE_SECONDS_THRESHOLD;
-        this.silenceRetryThreshold = SILENCE_RETRY_THRESHOLD;
+    constructor(policy = createDefaultPolicy(), language = 'en') {
+        this.policy = policy;
+        this.language = language;
         this.lastMessageTime = null;
         this.silenceTimer = null;
+        this.goodbyeTimer = null;
         this.silenceRetryCount = 0;
         this.messageCallback = null;
+        this.suspended = false;
     }
 
     /**
-     * Creates the message to end the call due to silence.
-     * 
+     * Creates the message to end the call due to silence. The policy's unresponsive message, if it has one, is passed
+     * in the handoff data with the session's language, so the message said after the session ends comes from the script.
+     *
      * @returns {Object} Message object with end type and handoff data
      */
     createEndCallMessage() {
+        const message = pickVariant(selectMessages(this.policy.unresponsiveMessage, this.language));
         return {
             type: "end",
             handoffData: JSON.stringify({
                 reasonCode: "unresponsive",
-                reason: "The caller was not speaking"
+                reason: "The caller was not speaking",
+                ...(message && { message, language: this.language })
             })
         };
     }
 
     /**
-     * Creates a silence breaker reminder message.
-     * 
-     * @returns {Object} Message object with text type and reminder content
+     * Creates the silence breaker for the current attempt: a reminder message, or a nudge for the LLM to generate one.
+     *
+     * @param {Object} attempt - Attempt from the silence policy
+     * @returns {Object} Message object with text type and reminder content, or nudge type and an instruction
      */
-    createSilenceBreakerMessage() {
-        // Select a different silence breaker message depending how many times you have asked
-        if (this.silenceRetryCount === 1) {
+    createSilenceBreakerMessage(attempt) {
+        if (attempt.nudge) {
             return {
-                type: 'text',
-                token: "Still there?",
-                last: true
-            };
-        } else if (this.silenceRetryCount === 2) {
-            return {
-                type: 'text',
-                token: "Just checking you are still there?",
-                last: true
+                type: 'nudge',
+                instruction: `The person on the call has not said anything for ${attempt.afterSeconds} seconds. ` +
+                    `Check they are still there in one short sentence, in the language ${this.language}, and continue from where you stopped.`
             };
         }
+        return {
+            type: 'text',
+            token: pickVariant(selectMessages(attempt.messages, this.language)),
+            last: true
+        };
+    }
+
+    /**
+     * Returns the seconds of silence before the next attempt, or before ending the call after the last attempt.
+     *
+     * @returns {number} Silence threshold in seconds
+     */
+    getCurrentThreshold() {
+        const attempt = this.policy.attempts[this.silenceRetryCount];
+        return attempt ? attempt.afterSeconds : this.policy.hangupAfterSeconds;
     }
 
     /**
      * Starts monitoring for silence.
-     * 
+     *
      * @param {Function} onMessage - Callback function to handle messages
      */
     startMonitoring(onMessage) {
         this.lastMessageTime = Date.now();
         this.messageCallback = onMessage;
+        this.startTimer();
+    }
 
+    /**
+     * Starts the interval checking the silence against the current attempt's threshold.
+     */
+    startTimer() {
         this.silenceTimer = setInterval(() => {
+            if (this.suspended) {
+                return;
+            }
             const silenceTime = (Date.now() - this.lastMessageTime) / 1000; // Convert to seconds
-            if (silenceTime >= this.silenceSecondsThreshold) {
+            const threshold = this.getCurrentThreshold();
+            if (silenceTime >= threshold) {
+                const attempt = this.policy.attempts[this.silenceRetryCount];
                 this.silenceRetryCount++;
-                logOut('Silence', `SILENCE BREAKER - No messages for ${this.silenceSecondsThreshold}+ seconds (Retry count: ${this.silenceRetryCount}/${this.silenceRetryThreshold})`);
+                logOut('Silence', `SILENCE BREAKER - No messages for ${threshold}+ seconds (Retry count: ${this.silenceRetryCount}/${this.policy.attempts.length + 1})`);
 
-                if (this.silenceRetryCount >= this.silenceRetryThreshold) {
-                    // End the call if we've exceeded the retry threshold
+                if (!attempt) {
+                    // End the call after the last attempt, saying goodbye first if the policy has one
                     clearInterval(this.silenceTimer);
-                    logOut('Silence', 'Ending call due to exceeding silence retry threshold');
-                    if (this.messageCallback) {
-                        this.messageCallback(this.createEndCallMessage());
-                    }
-                } else {
+                    this.silenceTimer = null;
+                    this.endCall();
+                } else if (this.messageCallback) {
                     // Send silence breaker message
-                    if (this.messageCallback) {
-                        this.messageCallback(this.createSilenceBreakerMessage());
-                    }
+                    this.messageCallback(this.createSilenceBreakerMessage(attempt));
                 }
                 // Reset the timer after sending the message or ending the call
                 this.lastMessageTime = Date.now();
@@ -144,13 +225,41 @@ class SilenceHandler {
     }
 
     /**
-     * Resets the silence timer when a valid message is received.
+     * Ends the call due to silence. The goodbye is spoken first, and the call ended once it has had time to play.
+     */
+    endCall() {
+        const goodbye = pickVariant(selectMessages(this.policy.goodbye, this.language));
+        logOut('Silence', 'Ending call due to exceeding silence retry threshold');
+        if (!goodbye) {
+            this.messageCallback?.(this.createEndCallMessage());
+            return;
+        }
+
+        this.messageCallback?.({ type: 'text', token: goodbye, last: true });
+        const delaySeconds = this.policy.goodbyeDelaySeconds ?? DEFAULT_GOODBYE_DELAY_SECONDS;
+        this.goodbyeTimer = setTimeout(() => {
+            this.goodbyeTimer = null;
+            this.messageCallback?.(this.createEndCallMessage());
+        }, delaySeconds * 1000);
+    }
+
+    /**
+     * Resets the silence timer when a valid message is received. A callee who speaks while the goodbye is being said
+     * keeps the call going, so the pending end is cancelled and monitoring starts again.
      */
     resetTimer() {
         if (this.lastMessageTime !== null) {
             this.lastMessageTime = Date.now();
             // Reset the retry count when we get a valid message
             this.silenceRetryCount = 0;
+            if (this.goodbyeTimer) {
+                clearTimeout(this.goodbyeTimer);
+                this.goodbyeTimer = null;
+                logOut('Silence', 'Message received during the goodbye, not ending the call');
+            }
+            if (!this.silenceTimer && this.messageCallback) {
+                this.startTimer();
+            }
             logOut('Silence', 'Timer and retry count reset');
         } else {
             logOut('Silence', 'Message received but monitoring not yet started');
@@ -158,12 +267,36 @@ class SilenceHandler {
     }
 
     /**
-     * Cleans up resources by clearing the silence timer.
+     * Suspends the silence breakers, e.g. while the call is on hold. Silence is not counted until resumed.
+     */
+    suspend() {
+        if (!this.suspended) {
+            this.suspended = true;
+            logOut('Silence', 'Silence monitor suspended');
+        }
+    }
+
+    /**
+     * Resumes the silence breakers after a suspension, starting again from the first attempt.
+     */
+    resume() {
+        if (this.suspended) {
+            this.suspended = false;
+            logOut('Silence', 'Silence monitor resumed');
+            this.resetTimer();
+        }
+    }
+
+    /**
+     * Cleans up resources by clearing the silence and goodbye timers.
      */
     cleanup() {
-        if (this.silenceTimer) {
+        if (this.silenceTimer || this.goodbyeTimer) {
             logOut('Silence', 'Cleaning up silence monitor');
             clearInterval(this.silenceTimer);
+            clearTimeout(this.goodbyeTimer);
+            this.silenceTimer = null;
+            this.goodbyeTimer = null;
             this.messageCallback = null;
         }
     }
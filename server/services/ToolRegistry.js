@@ -0,0 +1,433 @@
+/**
+ * @class ToolRegistry
+ * @description Holds the tools the LLM can call. The tool manifest sent to the LLM is generated from it.
+ * This registry:
+ *
+ * 1. Registers tool modules, each declaring:
+ *    - name: Tool name the LLM calls it by
+ *    - description: What the tool does, for the LLM
+ *    - parameters: JSON schema of the tool arguments
+ *    - handler: Local function run in the server, or
+ *    - remote: Twilio Function (or other HTTP endpoint) the arguments are posted to
+ *    - idempotent, timeoutSeconds, maxRetries (optional): How remote calls are retried and timed out
+ *    - emits (optional): LlmService event for tools that act on the call itself (send-dtmf, end-call, live-agent-handoff)
+ *
+ * 2. Generates the tool manifest sent to the LLM from the registered tools
+ *
+ * 3. Validates tool arguments against the tool's JSON schema
+ *
+ * 4. Dispatches tool calls to the tool's handler
+ *
+ * 5. Protects remote tool calls with timeouts, retries for idempotent tools and a circuit breaker per endpoint
+ *
+ * 6. Counts calls, validation failures, errors, timeouts, retries and short-circuited calls per tool
+ *
+ * Handlers take the parsed arguments and an options object with an AbortSignal, and return the tool result:
+ *   { type: 'text'|'end'|'sendDigits'|'error', token/digits/handoffData, last }
+ *
+ * @property {Map<string, Object>} tools - Registered tools referenced by name
+ * @property {Map<string, Object>} metrics - Call, validation failure and error counts referenced by tool name
+ * @property {Map<string, CircuitBreaker>} circuitBreakers - Circuit breakers referenced by endpoint URL
+ *
+ * Environment Configuration:
+ * - TWILIO_FUNCTIONS_URL: Base URL for remote tools with a relative path
+ * - TOOL_TIMEOUT_SECONDS: Default remote tool request timeout (default: 8)
+ * - TOOL_MAX_RETRIES: Default retries for idempotent remote tools (default: 2)
+ * - TOOL_RETRY_BACKOFF_MS: Delay before the first retry, doubled for each further retry (default: 500)
+ * - TOOL_CIRCUIT_FAILURE_THRESHOLD: Consecutive endpoint failures that open its circuit breaker (default: 5)
+ * - TOOL_CIRCUIT_RESET_SECONDS: Seconds an open circuit breaker waits before a trial request (default: 30)
+ *
+ * @example
+ * const toolRegistry = ToolRegistry.fromDirectory(path.join(__dirname, 'tools'));
+ *
+ * const manifest = toolRegistry.getManifest();
+ * const validationErrors = toolRegistry.validate('status-update', { customerReference: 'abc123', status: 'done' });
+ * const result = await toolRegistry.execute('status-update', { customerReference: 'abc123', status: 'ready' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logOut, logError } = require('../utils/logger');
+const { validateSchema } = require('../utils/schemaValidator');
+const { CircuitBreaker } = require('./CircuitBreaker');
+
+const {
+    TWILIO_FUNCTIONS_URL,
+    TOOL_TIMEOUT_SECONDS = 8,
+    TOOL_MAX_RETRIES = 2,
+    TOOL_RETRY_BACKOFF_MS = 500,
+    TOOL_CIRCUIT_FAILURE_THRESHOLD = 5,
+    TOOL_CIRCUIT_RESET_SECONDS = 30
+} = process.env;
+
+// Client error statuses that are still worth retrying
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+/**
+ * Waits before a retry, stopping early if the tool call is cancelled.
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects if cancelled
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+class ToolRegistry {
+    /**
+     * Creates a new ToolRegistry instance.
+     *
+     * @param {Array<Object>} [tools=[]] - Tool modules to register
+     */
+    constructor(tools = []) {
+        this.tools = new Map();
+        this.metrics = new Map();
+        this.circuitBreakers = new Map();
+        tools.forEach(tool => this.register(tool));
+    }
+
+    /**
+     * Creates a registry from every tool module in a directory.
+     *
+     * @param {string} directory - Directory containing one tool module per file
+     * @returns {ToolRegistry} Registry holding the tools
+     * @throws {Error} If a module is not a valid tool
+     */
+    static fromDirectory(directory) {
+        const tools = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .map(file => require(path.join(directory, file)));
+        const registry = new ToolRegistry(tools);
+        logOut('ToolRegistry', `Loaded tools: ${registry.names().join(', ')}`);
+        return registry;
+    }
+
+    /**
+     * Registers a tool. Remote tools are given a handler that posts the arguments to their endpoint.
+     *
+     * @param {Object} tool - Tool module
+     * @param {string} tool.name - Tool name
+     * @param {string} tool.description - Tool description for the LLM
+     * @param {Object} tool.parameters - JSON schema of the tool arguments
+     * @param {Function} [tool.handler] - Local handler (toolArguments, { signal, ...context }) => result
+     * @param {Object} [tool.remote] - Remote endpoint, either { path } relative to TWILIO_FUNCTIONS_URL or { url }
+     * @param {boolean} [tool.idempotent=false] - True if a remote tool can safely be retried with the same arguments
+     * @param {number} [tool.timeoutSeconds] - Remote request timeout (default: TOOL_TIMEOUT_SECONDS)
+     * @param {number} [tool.maxRetries] - Retries for an idempotent remote tool (default: TOOL_MAX_RETRIES)
+     * @param {string} [tool.emits] - LlmService event emitted with the result, for tools that act on the call
+     * @returns {Object} The registered tool
+     * @throws {Error} If the tool is missing a field, has both or neither of handler and remote, or is already registered
+     */
+    register(tool) {
+        const { name, description, parameters, handler, remote } = tool;
+        if (!name || !description || !parameters) {
+            throw new Error(`Tool ${name || '(unnamed)'} must declare a name, description and parameters`);
+        }
+        if (!handler === !remote) {
+            throw new Error(`Tool ${name} must declare either a handler or a remote endpoint`);
+        }
+        if (this.tools.has(name)) {
+            throw new Error(`Tool ${name} is already registered`);
+        }
+
+        const registered = {
+            ...tool,
+            handler: handler || this.createRemoteHandler(tool)
+        };
+        this.tools.set(name, registered);
+        return registered;
+    }
+
+    /**
+     * Creates a handler that posts the tool arguments to a remote endpoint.
+     *
+     * Each request times out after the tool's timeoutSeconds. Timeouts, network errors, 5xx and 429 responses are
+     * retried with exponential backoff, but only for tools declared idempotent, as a retry of any other tool could
+     * repeat its effect (e.g. send a second SMS). Every endpoint has a circuit breaker, so once it keeps failing
+     * calls fail fast until it has had time to recover.
+     *
+     * @param {Object} tool - Tool module
+     * @param {string} tool.name - Tool name, used in logs and metrics
+     * @param {Object} tool.remote - Remote endpoint, either { path } relative to TWILIO_FUNCTIONS_URL or { url }
+     * @param {boolean} [tool.idempotent=false] - True if the tool can safely be called again with the same arguments
+     * @param {number} [tool.timeoutSeconds] - Request timeout (default: TOOL_TIMEOUT_SECONDS)
+     * @param {number} [tool.maxRetries] - Retries for idempotent tools (default: TOOL_MAX_RETRIES)
+     * @returns {Function} Handler (toolArguments, { signal }) => result
+     */
+    createRemoteHandler({ name, remote, idempotent = false, timeoutSeconds = TOOL_TIMEOUT_SECONDS, maxRetries = TOOL_MAX_RETRIES }) {
+        const url = remote.url || `${TWILIO_FUNCTIONS_URL}${remote.path}`;
+        const timeoutMs = Number(timeoutSeconds) * 1000;
+        const retries = idempotent ? Number(maxRetries) : 0;
+        const errorResult = (message) => ({
+            type: "error",
+            token: JSON.stringify({ error: message }),
+            last: true
+        });
+
+        return async (toolArguments, { signal } = {}) => {
+            const breaker = this.getCircuitBreaker(url);
+            const metrics = this.getToolMetrics(name);
+
+            for (let attempt = 0; ; attempt++) {
+                if (!breaker.allowRequest()) {
+                    metrics.shortCircuits++;
+                    logError('ToolRegistry', `Not calling ${name}, its endpoint is failing`);
+                    return errorResult(`Tool ${name} is temporarily unavailable`);
+                }
+                const trial = breaker.state === 'half-open';
+
+                try {
+                    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+                    const toolResult = await this.postToEndpoint(url, toolArguments, signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal);
+                    breaker.recordSuccess();
+                    logOut('ToolRegistry', `Tool ${name} response: ${JSON.stringify(toolResult, null, 4)}`);
+
+                    return {
+                        type: "text",
+                        token: JSON.stringify(toolResult),
+                        last: false
+                    };
+                } catch (error) {
+                    // A cancelled tool call has no result to give back to the LLM
+                    if (signal?.aborted) {
+                        // The endpoint never answered, so the breaker gets no outcome, but must not wait on this trial
+                        if (trial) {
+                            breaker.releaseTrial();
+                        }
+                        throw error;
+                    }
+                    const timedOut = error.name === 'TimeoutError';
+                    if (timedOut) {
+                        metrics.timeouts++;
+                    }
+                    // A rejected request means the endpoint is up, so it counts as a success for the breaker
+                    if (error.retryable === false) {
+                        breaker.recordSuccess();
+                    } else {
+                        breaker.recordFailure();
+                    }
+                    const message = timedOut ? `Tool ${name} timed out after ${timeoutMs}ms` : error.message;
+
+                    if (error.retryable !== false && attempt < retries) {
+                        const backoffMs = Number(TOOL_RETRY_BACKOFF_MS) * (2 ** attempt);
+                        metrics.retries++;
+                        logError('ToolRegistry', `Error executing tool ${name}: ${message}. Retrying in ${backoffMs}ms`);
+                        await delay(backoffMs, signal);
+                        continue;
+                    }
+
+                    logError('ToolRegistry', `Error executing tool ${name}: ${message}`);
+                    // Return an error response that can be handled by the system
+                    return errorResult(message);
+                }
+            }
+        };
+    }
+
+    /**
+     * Posts tool arguments to an endpoint and returns its JSON response.
+     *
+     * @async
+     * @param {string} url - Endpoint URL
+     * @param {Object} toolArguments - Tool arguments
+     * @param {AbortSignal} signal - Signal to abort the request
+     * @returns {Promise<Object>} The endpoint's JSON response
+     * @throws {Error} If the request fails. Errors for responses that should not be retried have retryable set to false
+     */
+    async postToEndpoint(url, toolArguments, signal) {
+        const functionResponse = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(toolArguments), // Send properly stringified JSON
+            signal,
+        });
+
+        // Check if response is ok before trying to parse JSON
+        if (!functionResponse.ok) {
+            const errorText = await functionResponse.text();
+            const error = new Error(`API call failed with status ${functionResponse.status}: ${errorText}`);
+            error.retryable = functionResponse.status >= 500 || RETRYABLE_STATUS_CODES.includes(functionResponse.status);
+            throw error;
+        }
+
+        return functionResponse.json();
+    }
+
+    /**
+     * Returns the circuit breaker for an endpoint, creating it if needed. Breakers are shared by every call to the endpoint.
+     *
+     * @param {string} url - Endpoint URL
+     * @returns {CircuitBreaker} The endpoint's circuit breaker
+     */
+    getCircuitBreaker(url) {
+        if (!this.circuitBreakers.has(url)) {
+            this.circuitBreakers.set(url, new CircuitBreaker(url, {
+                failureThreshold: Number(TOOL_CIRCUIT_FAILURE_THRESHOLD),
+                resetMs: Number(TOOL_CIRCUIT_RESET_SECONDS) * 1000
+            }));
+        }
+        return this.circuitBreakers.get(url);
+    }
+
+    /**
+     * Returns a registered tool.
+     *
+     * @param {string} name - Tool name
+     * @returns {Object|undefined} The tool
+     */
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    /**
+     * Returns the names of all registered tools.
+     *
+     * @returns {Array<string>} Tool names
+     */
+    names() {
+        return Array.from(this.tools.keys());
+    }
+
+    /**
+     * Generates the tool manifest sent to the LLM.
+     *
+     * @param {Array<string>} [names] - Only include these tools (default: all tools)
+     * @returns {{tools: Array<Object>}} Tools in OpenAI function tool format
+     * @throws {Error} If a requested tool is not registered
+     */
+    getManifest(names = this.names()) {
+        return {
+            tools: names.map(name => {
+                const tool = this.tools.get(name);
+                if (!tool) {
+                    throw new Error(`Unknown tool: ${name}`);
+                }
+                return {
+                    type: "function",
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters
+                    }
+                };
+            })
+        };
+    }
+
+    /**
+     * Validates tool arguments against the tool's JSON schema, counting any failure against the tool.
+     * Calls to unknown tools are counted as validation failures too.
+     *
+     * @param {string} name - Tool name
+     * @param {*} toolArguments - Parsed tool arguments
+     * @returns {Array<{path: string, message: string}>} Validation errors, empty if the arguments are valid
+     */
+    validate(name, toolArguments) {
+        const tool = this.tools.get(name);
+        const validationErrors = tool
+            ? validateSchema(tool.parameters, toolArguments)
+            : [{ path: '(tool)', message: `Unknown tool: ${name}. Must be one of: ${this.names().join(', ')}` }];
+
+        if (validationErrors.length > 0) {
+            this.recordValidationFailure(name, toolArguments, validationErrors);
+        }
+        return validationErrors;
+    }
+
+    /**
+     * Counts a validation failure against a tool, keeping the latest one for debugging.
+     *
+     * @param {string} name - Tool name
+     * @param {*} toolArguments - Arguments the LLM sent, parsed or as the raw string if they were not valid JSON
+     * @param {Array<{path: string, message: string}>} validationErrors - Validation errors
+     * @returns {Array<{path: string, message: string}>} The validation errors
+     */
+    recordValidationFailure(name, toolArguments, validationErrors) {
+        const metrics = this.getToolMetrics(name);
+        metrics.validationFailures++;
+        metrics.lastValidationFailure = {
+            timestamp: new Date().toISOString(),
+            arguments: toolArguments,
+            errors: validationErrors
+        };
+        logError('ToolRegistry', `Invalid arguments for ${name}: ${validationErrors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+        return validationErrors;
+    }
+
+    /**
+     * Returns the metrics for a tool, creating them if needed.
+     *
+     * @param {string} name - Tool name
+     * @returns {Object} Tool metrics
+     */
+    getToolMetrics(name) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, {
+                calls: 0,
+                validationFailures: 0,
+                errors: 0,
+                timeouts: 0,
+                retries: 0,
+                shortCircuits: 0,
+                lastValidationFailure: null
+            });
+        }
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Returns the metrics of every tool that has been called, including unknown tools the LLM made up.
+     *
+     * @returns {Object} Tool metrics referenced by tool name
+     */
+    getMetrics() {
+        return Object.fromEntries(this.metrics);
+    }
+
+    /**
+     * Returns the state of every endpoint's circuit breaker.
+     *
+     * @returns {Object} Breaker state ('closed'|'open'|'half-open') and consecutive failures referenced by endpoint URL
+     */
+    getCircuitStates() {
+        return Object.fromEntries(Array.from(this.circuitBreakers, ([url, breaker]) => [url, {
+            state: breaker.state,
+            failures: breaker.failures
+        }]));
+    }
+
+    /**
+     * Runs a tool's handler.
+     *
+     * @async
+     * @param {string} name - Tool name
+     * @param {Object} toolArguments - Parsed tool arguments
+     * @param {Object} [options={}] - Execution options, passed on to local handlers
+     * @param {AbortSignal} [options.signal] - Signal to cancel the tool call
+     * @returns {Promise<Object>} Tool result
+     * @throws {Error} If the tool is not registered or the tool call was cancelled
+     */
+    async execute(name, toolArguments, options = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        const metrics = this.getToolMetrics(name);
+        metrics.calls++;
+        const result = await tool.handler(toolArguments, options);
+        if (result?.type === 'error') {
+            metrics.errors++;
+        }
+        return result;
+    }
+}
+
+module.exports = { ToolRegistry };
@@ -0,0 +1,240 @@
+/**
+ * @class TranscriptRecorder
+ * @description Records the full transcript of one call from the events of its ConversationRelayService, so a call
+ * can be reviewed after it ends. The Flex conversation only has the prompts and final responses, while the
+ * transcript captures:
+ *
+ * 1. Speech, with the time it started and the speaker:
+ *    - callee: Transcribed prompts
+ *    - ai: LLM responses, silence reminders and voicemails, timed from their first streamed token
+ *    - agent: Messages a Flex agent had spoken to the callee
+ * 2. Interrupt markers, with what had been spoken when the callee talked over the AI. The interrupted
+ *    response is marked as well
+ * 3. Tool calls with their arguments, result and duration
+ * 4. DTMF digits sent by the AI and pressed by the callee
+ * 5. Call events: holds, agent takeovers, handoffs and the end of the session with its reason code
+ *
+ * Every text is passed through the redactors before it is stored, so sensitive details never reach the transcript
+ * store. A redactor is a function taking the text and the entry and returning the redacted text, or the name of
+ * one of the built-in REDACTORS.
+ *
+ * @property {Object} transcript - The transcript: callSid, startedAt and entries
+ * @property {Array<Function>} redactors - Functions applied in order to every text before it is stored
+ * @property {Function|null} onEntry - Called with each entry and its index once it is recorded or changed, e.g. to store it
+ * @property {Object|null} streaming - The response being streamed, with its startedAt time, or null
+ * @property {boolean} interruptPending - True when the callee interrupted a response that has not finished yet
+ *
+ * Environment Configuration (optional):
+ * - TRANSCRIPT_REDACT: Comma separated names of the built-in redactors to apply (default: cardNumbers)
+ *
+ * Events Handled (from ConversationRelayService):
+ * - conversationRelay.prompt, conversationRelay.response, conversationRelay.interrupt
+ * - conversationRelay.agentMessage, conversationRelay.silence, conversationRelay.voicemail
+ * - conversationRelay.toolCall, conversationRelay.dtmf, conversationRelay.dtmfCollected
+ * - conversationRelay.hold, conversationRelay.takeover, conversationRelay.handoff, conversationRelay.end
+ *
+ * @example
+ * const transcriptRecorder = new TranscriptRecorder(callSid, {
+ *   redactors: ['cardNumbers', (text) => text.replace(/\bDOB \S+/g, 'DOB [redacted]')],
+ *   onEntry: (entry, index) => transcriptStore.append(callSid, index, entry)
+ * });
+ * const relayService = new ConversationRelayService(responseService, { transcriptRecorder });
+ *
+ * // Later, e.g. for GET /calls/:callSid/transcript
+ * formatTranscript(transcriptRecorder.transcript, 'vtt');
+ */
+
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    TRANSCRIPT_REDACT = 'cardNumbers'
+} = process.env;
+
+// Built-in redactors, selected by name with TRANSCRIPT_REDACT or the redactors option
+const REDACTORS = {
+    // 13 to 19 digits, optionally grouped with spaces or dashes
+    cardNumbers: (text) => text.replace(/\b\d(?:[ -]?\d){12,18}\b/g, '[card number]'),
+    emails: (text) => text.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'),
+    phoneNumbers: (text) => text.replace(/\+?\d(?:[ -]?\d){7,14}\b/g, '[phone number]')
+};
+
+class TranscriptRecorder {
+    /**
+     * Creates a new TranscriptRecorder instance for one call.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @param {Object} [options={}] - Recorder options
+     * @param {Array<string|Function>} [options.redactors] - Built-in redactor names or redactor functions (default: TRANSCRIPT_REDACT)
+     * @param {Function} [options.onEntry] - Called with each entry and its index once it is recorded, and again when
+     *   an interrupt changes it
+     * @throws {Error} If a redactor name is unknown
+     */
+    constructor(callSid, options = {}) {
+        const redactors = options.redactors ?? TRANSCRIPT_REDACT.split(',').map(name => name.trim()).filter(Boolean);
+        this.redactors = redactors.map(redactor => {
+            if (typeof redactor === 'function') {
+                return redactor;
+            }
+            if (!REDACTORS[redactor]) {
+                throw new Error(`Unknown transcript redactor: ${redactor}. Must be one of: ${Object.keys(REDACTORS).join(', ')}`);
+            }
+            return REDACTORS[redactor];
+        });
+        this.onEntry = options.onEntry || null;
+        this.transcript = {
+            callSid,
+            startedAt: new Date().toISOString(),
+            entries: []
+        };
+        this.streaming = null;
+        this.interruptPending = false;
+    }
+
+    /**
+     * Starts recording the events of a Conversation Relay session.
+     *
+     * @param {ConversationRelayService} conversationRelay - The call's Conversation Relay session
+     */
+    attach(conversationRelay) {
+        conversationRelay.on('conversationRelay.prompt', (voicePrompt) => {
+            this.record('callee', 'speech', voicePrompt);
+        });
+
+        conversationRelay.on('conversationRelay.response', (response) => {
+            if (!response.last) {
+                // The response is timed from its first token, as that is when it starts being spoken
+                this.streaming = this.streaming || { startedAt: new Date().toISOString() };
+                return;
+            }
+            const startedAt = this.streaming?.startedAt;
+            this.streaming = null;
+            if (!response.token) {
+                return;
+            }
+            this.record('ai', 'speech', response.token, this.interruptPending ? { interrupted: true } : {}, startedAt);
+            this.interruptPending = false;
+        });
+
+        conversationRelay.on('conversationRelay.interrupt', (utteranceUntilInterrupt) => {
+            this.record('callee', 'interrupt', utteranceUntilInterrupt);
+            // A finished response was still being spoken, otherwise the response is marked once it is emitted
+            const lastEntry = this.transcript.entries.findLast(entry => entry.type === 'speech');
+            if (this.streaming || lastEntry?.speaker !== 'ai') {
+                this.interruptPending = Boolean(this.streaming);
+                return;
+            }
+            lastEntry.interrupted = true;
+            lastEntry.spokenText = this.redact(utteranceUntilInterrupt, lastEntry);
+            this.onEntry?.(lastEntry, this.transcript.entries.lastIndexOf(lastEntry));
+        });
+
+        conversationRelay.on('conversationRelay.agentMessage', (agentMessage) => {
+            // Agent messages and voicemails cancel any response being streamed, so it never finishes
+            this.streaming = null;
+            this.record('agent', 'speech', agentMessage.token);
+        });
+
+        conversationRelay.on('conversationRelay.silence', (silenceMessage) => {
+            if (silenceMessage.type === 'text') {
+                this.record('ai', 'silence', silenceMessage.token);
+            }
+        });
+
+        conversationRelay.on('conversationRelay.voicemail', (voicemailMessage) => {
+            this.streaming = null;
+            this.record('ai', 'voicemail', voicemailMessage.token);
+        });
+
+        conversationRelay.on('conversationRelay.toolCall', (toolCall) => {
+            this.record('ai', 'toolCall', toolCall.name, {
+                arguments: toolCall.arguments,
+                result: toolCall.result,
+                durationMs: toolCall.durationMs
+            });
+        });
+
+        conversationRelay.on('conversationRelay.dtmf', (response) => {
+            this.record('ai', 'dtmf', response.digits);
+        });
+
+        conversationRelay.on('conversationRelay.dtmfCollected', (entry) => {
+            this.record('callee', 'dtmf', entry.digits, { step: entry.step });
+        });
+
+        conversationRelay.on('conversationRelay.hold', (hold) => {
+            this.record('system', 'hold', hold.state === 'started' ? `On hold${hold.reason ? `: ${hold.reason}` : ''}` : `Off hold after ${hold.heldSeconds} seconds`, { state: hold.state });
+        });
+
+        conversationRelay.on('conversationRelay.takeover', (takeover) => {
+            this.streaming = null;
+            this.record('system', 'takeover', takeover.state === 'started' ? `${takeover.agent} took over the call` : `${takeover.agent} handed the call back to the AI`, { state: takeover.state });
+        });
+
+        conversationRelay.on('conversationRelay.handoff', (response) => this.recordEnd(response));
+        conversationRelay.on('conversationRelay.end', (response) => this.recordEnd(response));
+    }
+
+    /**
+     * Records the end of the session, with its reason code.
+     *
+     * @param {Object} response - End message with handoffData as a JSON string
+     */
+    recordEnd(response) {
+        let handoffData = {};
+        try {
+            handoffData = JSON.parse(response.handoffData || '{}');
+        } catch (error) {
+            logError('TranscriptRecorder', `Invalid handoff data for ${this.transcript.callSid}: ${error.message}`);
+        }
+        this.record('system', 'end', handoffData.reason || 'Session ended', { reasonCode: handoffData.reasonCode || null });
+    }
+
+    /**
+     * Passes a text through the redactors. The strings in arrays and objects, e.g. tool results, are redacted in turn.
+     *
+     * @param {*} value - Text to redact. Values other than strings, arrays and objects are returned as they are
+     * @param {Object} entry - The entry the text belongs to
+     * @returns {*} The redacted value
+     */
+    redact(value, entry) {
+        if (typeof value === 'string') {
+            return this.redactors.reduce((redacted, redactor) => redactor(redacted, entry), value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, entry));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item, entry)]));
+        }
+        return value;
+    }
+
+    /**
+     * Adds an entry to the transcript, redacting its text and tool call arguments and result.
+     *
+     * @param {string} speaker - 'callee', 'ai', 'agent' or 'system'
+     * @param {string} type - Entry type, e.g. 'speech', 'interrupt', 'toolCall' or 'end'
+     * @param {string} text - Text of the entry
+     * @param {Object} [details={}] - Additional entry details
+     * @param {string} [timestamp] - When the entry started (default: now)
+     * @returns {Object} The recorded entry
+     */
+    record(speaker, type, text, details = {}, timestamp = new Date().toISOString()) {
+        const entry = { timestamp, speaker, type, ...details };
+        entry.text = this.redact(text ?? '', entry);
+        if (entry.arguments !== undefined) {
+            entry.arguments = this.redact(entry.arguments, entry);
+        }
+        if (entry.result !== undefined) {
+            entry.result = this.redact(entry.result, entry);
+        }
+        this.transcript.entries.push(entry);
+        if (type !== 'speech') {
+            logOut('TranscriptRecorder', `${this.transcript.callSid}: ${speaker} ${type}: ${entry.text}`);
+        }
+        this.onEntry?.(entry, this.transcript.entries.length - 1);
+        return entry;
+    }
+}
+
+module.exports = { TranscriptRecorder, REDACTORS };
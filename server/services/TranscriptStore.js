@@ -0,0 +1,264 @@
+/**
+ * @class TranscriptStore
+ * @description Stores call transcripts apart from the sessions, so a transcript outlives its session and writing it
+ * does not rewrite the session store. This store:
+ *
+ * 1. Keeps one JSON Lines file per call, named by call SID: a header line with the callSid and startedAt, then one
+ *    line per entry
+ * 2. Appends entries instead of rewriting the file. An entry that changes after it was recorded, e.g. a response the
+ *    callee interrupted, is appended again with the same index, and the last line for each index wins
+ * 3. Batches the lines of every call and writes them TRANSCRIPT_FLUSH_MS after the first one was queued
+ * 4. Deletes transcripts that have not been written to for TRANSCRIPT_TTL_DAYS
+ *
+ * @property {string} directory - Absolute path to the transcripts directory
+ * @property {number} ttlDays - Days a transcript is kept after it was last written
+ * @property {number} flushMs - Milliseconds lines are batched for before they are written
+ * @property {Map<string, Array<string>>} pending - Lines waiting to be written, referenced by call SID
+ * @property {Map<string, Promise>} writing - The latest write of each call, so writes to a file stay in order
+ * @property {NodeJS.Timeout|null} flushTimer - Timer writing the pending lines
+ * @property {NodeJS.Timeout|null} pruneTimer - Interval deleting expired transcripts
+ *
+ * Environment Configuration (optional):
+ * - TRANSCRIPT_DIR: Directory of the transcript files (default: server/data/transcripts)
+ * - TRANSCRIPT_TTL_DAYS: Days a transcript is kept after it was last written (default: 30)
+ * - TRANSCRIPT_FLUSH_MS: Milliseconds entries are batched for before they are written (default: 1000)
+ *
+ * @example
+ * const transcriptStore = new TranscriptStore();
+ * transcriptStore.startPruning();
+ *
+ * const transcriptRecorder = new TranscriptRecorder(callSid, {
+ *   onEntry: (entry, index) => transcriptStore.append(callSid, index, entry)
+ * });
+ * transcriptStore.start(transcriptRecorder.transcript);
+ *
+ * // Later, e.g. for GET /calls/:callSid/transcript
+ * const transcript = await transcriptStore.get(callSid);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logOut, logError } = require('../utils/logger');
+
+const {
+    TRANSCRIPT_DIR = path.join(__dirname, '..', 'data', 'transcripts'),
+    TRANSCRIPT_TTL_DAYS = 30,
+    TRANSCRIPT_FLUSH_MS = 1000
+} = process.env;
+
+// How often expired transcripts are looked for
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Call SIDs are used as file names, so only word characters are allowed
+const CALL_SID_PATTERN = /^\w+$/;
+
+class TranscriptStore {
+    /**
+     * Creates a new TranscriptStore instance.
+     *
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.directory] - Transcripts directory. Created when the first transcript is written
+     * @param {number} [options.ttlDays] - Days a transcript is kept after it was last written
+     * @param {number} [options.flushMs] - Milliseconds lines are batched for before they are written
+     */
+    constructor({ directory = TRANSCRIPT_DIR, ttlDays = TRANSCRIPT_TTL_DAYS, flushMs = TRANSCRIPT_FLUSH_MS } = {}) {
+        this.directory = path.resolve(directory);
+        this.ttlDays = Number(ttlDays);
+        this.flushMs = Number(flushMs);
+        this.pending = new Map();
+        this.writing = new Map();
+        this.flushTimer = null;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Returns the path of a call's transcript file.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @returns {string} Path of the transcript file
+     * @throws {Error} If the call SID could point outside the transcripts directory
+     */
+    getFilePath(callSid) {
+        if (!CALL_SID_PATTERN.test(callSid || '')) {
+            throw new Error(`Invalid call SID: ${callSid}`);
+        }
+        return path.join(this.directory, `${callSid}.jsonl`);
+    }
+
+    /**
+     * Starts a call's transcript by queueing its header line.
+     *
+     * @param {Object} transcript - Transcript from the TranscriptRecorder, with its callSid and startedAt
+     */
+    start(transcript) {
+        this.queue(transcript.callSid, { callSid: transcript.callSid, startedAt: transcript.startedAt });
+    }
+
+    /**
+     * Queues an entry of a call's transcript. An entry appended again with the same index replaces the earlier one.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @param {number} index - Position of the entry in the transcript
+     * @param {Object} entry - Transcript entry
+     */
+    append(callSid, index, entry) {
+        this.queue(callSid, { index, entry });
+    }
+
+    /**
+     * Queues a line for a call's transcript file, and schedules the pending lines to be written.
+     *
+     * @param {string} callSid - The Twilio Call SID
+     * @param {Object} line - Line to write as JSON
+     */
+    queue(callSid, line) {
+        if (!this.pending.has(callSid)) {
+            this.pending.set(callSid, []);
+        }
+        this.pending.get(callSid).push(JSON.stringify(line));
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushMs);
+        }
+    }
+
+    /**
+     * Appends the pending lines to their transcript files.
+     *
+     * @async
+     * @param {string} [callSid] - Only write the lines of this call (default: all calls)
+     * @returns {Promise<void>} Resolves when the lines have been written, or failed to be
+     */
+    async flush(callSid) {
+        const callSids = callSid ? [callSid] : [...this.pending.keys()];
+        await Promise.all(callSids.map(sid => {
+            const lines = this.pending.get(sid);
+            this.pending.delete(sid);
+            if (!lines) {
+                return this.writing.get(sid);
+            }
+            // Writes to the same file are chained, so lines land in the order they were recorded
+            const write = (this.writing.get(sid) || Promise.resolve())
+                .then(async () => {
+                    await fs.promises.mkdir(this.directory, { recursive: true });
+                    await fs.promises.appendFile(this.getFilePath(sid), lines.join('\n') + '\n');
+                })
+                .catch(error => logError('TranscriptStore', `Error writing transcript ${sid}: ${error}`))
+                .finally(() => {
+                    if (this.writing.get(sid) === write) {
+                        this.writing.delete(sid);
+                    }
+                });
+            this.writing.set(sid, write);
+            return write;
+        }));
+    }
+
+    /**
+     * Reads a call's transcript, including any lines not written yet.
+     *
+     * @async
+     * @param {string} callSid - The Twilio Call SID
+     * @returns {Promise<Object|null>} The transcript: callSid, startedAt and entries, or null if there is none
+     * @throws {Error} If the file cannot be read
+     */
+    async get(callSid) {
+        if (!CALL_SID_PATTERN.test(callSid || '')) {
+            return null;
+        }
+        const filePath = this.getFilePath(callSid);
+        await this.flush(callSid);
+
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const transcript = { callSid, startedAt: null, entries: [] };
+        const entries = [];
+        content.split('\n').filter(Boolean).forEach(line => {
+            try {
+                const parsed = JSON.parse(line);
+                if (parsed.entry) {
+                    entries[parsed.index] = parsed.entry;
+                } else {
+                    transcript.startedAt = parsed.startedAt;
+                }
+            } catch (error) {
+                // A line cut short by a crash loses that entry only
+                logError('TranscriptStore', `Skipping invalid line in transcript ${callSid}: ${error.message}`);
+            }
+        });
+        transcript.entries = entries.filter(Boolean);
+        transcript.startedAt = transcript.startedAt || transcript.entries[0]?.timestamp || null;
+        return transcript;
+    }
+
+    /**
+     * Deletes the transcripts that have not been written to for ttlDays.
+     *
+     * @async
+     * @returns {Promise<number>} Number of transcripts deleted
+     */
+    async prune() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logError('TranscriptStore', `Error listing transcripts in ${this.directory}: ${error}`);
+            }
+            return 0;
+        }
+
+        const expiresBefore = Date.now() - this.ttlDays * 24 * 60 * 60 * 1000;
+        let deleted = 0;
+        for (const file of files.filter(file => file.endsWith('.jsonl'))) {
+            const callSid = path.basename(file, '.jsonl');
+            if (this.pending.has(callSid) || this.writing.has(callSid)) {
+                continue;
+            }
+            try {
+                const filePath = path.join(this.directory, file);
+                if ((await fs.promises.stat(filePath)).mtimeMs < expiresBefore) {
+                    await fs.promises.unlink(filePath);
+                    deleted++;
+                }
+            } catch (error) {
+                logError('TranscriptStore', `Error deleting expired transcript ${file}: ${error}`);
+            }
+        }
+        if (deleted > 0) {
+            logOut('TranscriptStore', `Deleted ${deleted} transcripts older than ${this.ttlDays} days`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Deletes expired transcripts now and then every hour. The interval does not keep the process running.
+     */
+    startPruning() {
+        this.stopPruning();
+        this.prune();
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Stops deleting expired transcripts.
+     */
+    stopPruning() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+}
+
+module.exports = { TranscriptStore };
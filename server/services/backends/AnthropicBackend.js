@@ -0,0 +1,268 @@
+/**
+ * @class AnthropicBackend
+ * @description LLM backend for the Anthropic Messages API.
+ * Implements the backend interface used by LlmService (see OpenAIBackend for the event shapes), converting:
+ *
+ * 1. Requests from OpenAI chat format:
+ *    - Leading system messages become the system prompt, later ones become user text
+ *    - Assistant tool_calls become tool_use blocks
+ *    - Tool results become tool_result blocks in a user turn
+ *    - Consecutive messages with the same role are merged, as the API requires alternating roles
+ *
+ * 2. Streaming responses to normalised events:
+ *    - text_delta → { type: 'text' }
+ *    - tool_use blocks and input_json_delta → { type: 'toolCall' }, indexed from 0 in order of appearance
+ *    - stop_reason → { type: 'finish' } ('end_turn' → 'stop', 'tool_use' → 'tool_calls', 'max_tokens' → 'length')
+ *
+ * The API is called with fetch and server-sent events are parsed directly, so no extra SDK is needed.
+ *
+ * @property {string} name - Backend name ('anthropic')
+ * @property {string} apiKey - Anthropic API key
+ * @property {string} model - Model identifier
+ * @property {number} maxTokens - Maximum tokens per response
+ * @property {string} baseURL - API base URL
+ *
+ * Environment Configuration:
+ * - ANTHROPIC_API_KEY: Anthropic authentication key
+ * - ANTHROPIC_MODEL: Model identifier to use
+ * - ANTHROPIC_MAX_TOKENS: Maximum tokens per response (default: 1024)
+ * - ANTHROPIC_BASE_URL: API base URL (default: https://api.anthropic.com)
+ *
+ * @example
+ * const backend = new AnthropicBackend({ model: 'claude-3-5-haiku-latest' });
+ * for await (const event of backend.streamChat({ messages, tools })) {
+ *   if (event.type === 'text') process.stdout.write(event.text);
+ * }
+ */
+
+const {
+    ANTHROPIC_API_KEY,
+    ANTHROPIC_MODEL,
+    ANTHROPIC_MAX_TOKENS = 1024,
+    ANTHROPIC_BASE_URL = 'https://api.anthropic.com'
+} = process.env;
+
+// Maps Anthropic stop reasons to the OpenAI finish reasons used by LlmService
+const STOP_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    tool_use: 'tool_calls',
+    max_tokens: 'length'
+};
+
+/**
+ * Parses tool call arguments for a tool_use block. Invalid JSON, which has already been reported back to
+ * the model as a tool error, is sent as an empty object.
+ *
+ * @param {string} toolArguments - JSON string of tool arguments
+ * @returns {Object} Parsed arguments
+ */
+const parseToolArguments = (toolArguments) => {
+    try {
+        return JSON.parse(toolArguments || '{}');
+    } catch (error) {
+        return {};
+    }
+};
+
+class AnthropicBackend {
+    /**
+     * Creates a new Anthropic backend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.apiKey] - API key (default: ANTHROPIC_API_KEY)
+     * @param {string} [options.model] - Model identifier (default: ANTHROPIC_MODEL)
+     * @param {number} [options.maxTokens] - Maximum tokens per response (default: ANTHROPIC_MAX_TOKENS)
+     * @param {string} [options.baseURL] - API base URL (default: ANTHROPIC_BASE_URL)
+     * @throws {Error} If no API key is configured
+     */
+    constructor({ apiKey = ANTHROPIC_API_KEY, model = ANTHROPIC_MODEL, maxTokens = ANTHROPIC_MAX_TOKENS, baseURL = ANTHROPIC_BASE_URL } = {}) {
+        if (!apiKey) {
+            throw new Error('ANTHROPIC_API_KEY is required for the anthropic backend');
+        }
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.maxTokens = Number(maxTokens);
+        this.baseURL = baseURL.replace(/\/$/, '');
+    }
+
+    /**
+     * Streams a message as normalised events.
+     *
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Conversation in OpenAI chat format
+     * @param {Array<Object>} [request.tools] - Tools in OpenAI function tool format
+     * @param {string} [request.toolChoice] - 'auto' or 'none'
+     * @param {AbortSignal} [request.signal] - Signal to abort the request
+     * @yields {Object} Normalised stream events
+     * @throws {Error} If the API returns an error
+     */
+    async *streamChat({ messages, tools, toolChoice, signal }) {
+        const { system, messages: anthropicMessages } = this.convertMessages(messages);
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            stream: true,
+            messages: anthropicMessages,
+            ...(system && { system }),
+        };
+        if (tools?.length) {
+            body.tools = tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || { type: 'object', properties: {} }
+            }));
+            if (toolChoice === 'none') {
+                body.tool_choice = { type: 'none' };
+            }
+        }
+
+        const response = await fetch(`${this.baseURL}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+            },
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Anthropic API call failed with status ${response.status}: ${errorText}`);
+        }
+
+        // Tool calls are numbered separately from content blocks, so text blocks do not leave gaps
+        const toolCallIndexes = new Map();
+
+        for await (const event of this.parseEvents(response.body)) {
+            switch (event.type) {
+                case 'content_block_start':
+                    if (event.content_block.type === 'tool_use') {
+                        toolCallIndexes.set(event.index, toolCallIndexes.size);
+                        yield {
+                            type: 'toolCall',
+                            index: toolCallIndexes.get(event.index),
+                            id: event.content_block.id,
+                            name: event.content_block.name
+                        };
+                    }
+                    break;
+                case 'content_block_delta':
+                    if (event.delta.type === 'text_delta' && event.delta.text) {
+                        yield { type: 'text', text: event.delta.text };
+                    } else if (event.delta.type === 'input_json_delta' && event.delta.partial_json) {
+                        yield {
+                            type: 'toolCall',
+                            index: toolCallIndexes.get(event.index),
+                            argumentsDelta: event.delta.partial_json
+                        };
+                    }
+                    break;
+                case 'message_delta':
+                    if (event.delta?.stop_reason) {
+                        yield { type: 'finish', reason: STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason };
+                    }
+                    break;
+                case 'error':
+                    throw new Error(`Anthropic stream error: ${JSON.stringify(event.error)}`);
+            }
+        }
+    }
+
+    /**
+     * Converts an OpenAI chat format conversation to an Anthropic system prompt and messages.
+     *
+     * @param {Array<Object>} messages - Conversation in OpenAI chat format
+     * @returns {{system: string, messages: Array<Object>}} Anthropic system prompt and messages
+     */
+    convertMessages(messages) {
+        const systemParts = [];
+        const converted = [];
+        const append = (role, blocks) => {
+            if (blocks.length === 0) {
+                return;
+            }
+            const last = converted[converted.length - 1];
+            if (last?.role === role) {
+                last.content.push(...blocks);
+            } else {
+                converted.push({ role, content: blocks });
+            }
+        };
+        const textBlocks = (text) => text ? [{ type: 'text', text }] : [];
+
+        for (const message of messages) {
+            switch (message.role) {
+                case 'system':
+                    // Only system messages before the conversation starts can go in the system prompt
+                    if (converted.length === 0) {
+                        systemParts.push(message.content);
+                    } else {
+                        append('user', textBlocks(`System: ${message.content}`));
+                    }
+                    break;
+                case 'user':
+                    append('user', textBlocks(message.content));
+                    break;
+                case 'assistant':
+                    append('assistant', [
+                        ...textBlocks(message.content),
+                        ...(message.tool_calls || []).map(toolCall => ({
+                            type: 'tool_use',
+                            id: toolCall.id,
+                            name: toolCall.function.name,
+                            input: parseToolArguments(toolCall.function.arguments)
+                        }))
+                    ]);
+                    break;
+                case 'tool':
+                    append('user', [{
+                        type: 'tool_result',
+                        tool_use_id: message.tool_call_id,
+                        content: message.content
+                    }]);
+                    break;
+            }
+        }
+
+        // The API requires the conversation to start with a user turn
+        if (converted[0]?.role !== 'user') {
+            converted.unshift({ role: 'user', content: [{ type: 'text', text: 'The call has connected.' }] });
+        }
+
+        return { system: systemParts.join('\n\n'), messages: converted };
+    }
+
+    /**
+     * Parses a server-sent events body into JSON event objects.
+     *
+     * @param {ReadableStream} body - Response body
+     * @yields {Object} Parsed event data
+     */
+    async *parseEvents(body) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of body) {
+            buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+            let separatorIndex;
+            while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, separatorIndex);
+                buffer = buffer.slice(separatorIndex + 2);
+                const data = rawEvent
+                    .split('\n')
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trim())
+                    .join('');
+                if (data) {
+                    yield JSON.parse(data);
+                }
+            }
+        }
+    }
+}
+
+module.exports = { AnthropicBackend };
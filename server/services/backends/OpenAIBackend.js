@@ -0,0 +1,103 @@
+/**
+ * @class OpenAIBackend
+ * @description LLM backend for the OpenAI chat completions API.
+ * Implements the backend interface used by LlmService:
+ *
+ * - streamChat({ messages, tools, toolChoice, signal }): Async generator of normalised stream events
+ *   - { type: 'text', text }: A piece of the response text
+ *   - { type: 'toolCall', index, id, name, argumentsDelta }: A piece of a tool call. id and name are only
+ *     present on the first piece for each index, and argumentsDelta is a fragment of the JSON arguments
+ *   - { type: 'finish', reason }: The model finished ('stop'|'tool_calls'|'length')
+ *
+ * Messages and tools use the OpenAI chat format, which is the format LlmService keeps its context in,
+ * so they are passed through unchanged.
+ *
+ * @property {string} name - Backend name ('openai')
+ * @property {OpenAI} client - OpenAI API client instance
+ * @property {string} model - Model identifier
+ *
+ * Environment Configuration:
+ * - OPENAI_API_KEY: OpenAI authentication key (read by the OpenAI client)
+ * - OPENAI_MODEL: Model identifier to use
+ *
+ * @example
+ * const backend = new OpenAIBackend({ model: 'gpt-4o-mini' });
+ * for await (const event of backend.streamChat({ messages, tools })) {
+ *   if (event.type === 'text') process.stdout.write(event.text);
+ * }
+ */
+const OpenAI = require('openai');
+
+const { OPENAI_MODEL } = process.env;
+
+class OpenAIBackend {
+    /**
+     * Creates a new OpenAI backend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.model] - Model identifier (default: OPENAI_MODEL)
+     * @param {string} [options.apiKey] - API key (default: OPENAI_API_KEY)
+     * @param {string} [options.baseURL] - API base URL, for OpenAI-compatible endpoints
+     */
+    constructor({ model = OPENAI_MODEL, apiKey, baseURL } = {}) {
+        this.name = 'openai';
+        this.client = new OpenAI({
+            ...(apiKey && { apiKey }),
+            ...(baseURL && { baseURL })
+        });
+        this.model = model;
+    }
+
+    /**
+     * Streams a chat completion as normalised events.
+     *
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Conversation in OpenAI chat format
+     * @param {Array<Object>} [request.tools] - Tools in OpenAI function tool format
+     * @param {string} [request.toolChoice] - 'auto' or 'none'
+     * @param {AbortSignal} [request.signal] - Signal to abort the request
+     * @yields {Object} Normalised stream events
+     */
+    async *streamChat({ messages, tools, toolChoice, signal }) {
+        const params = {
+            model: this.model,
+            messages,
+            stream: true,
+        };
+        if (tools?.length) {
+            params.tools = tools;
+            if (toolChoice) {
+                params.tool_choice = toolChoice;
+            }
+        }
+
+        const stream = await this.client.chat.completions.create(params, { signal });
+
+        for await (const chunk of stream) {
+            const choice = chunk.choices[0];
+            if (!choice) {
+                continue;
+            }
+
+            if (choice.delta?.content) {
+                yield { type: 'text', text: choice.delta.content };
+            }
+
+            for (const toolCall of choice.delta?.tool_calls || []) {
+                yield {
+                    type: 'toolCall',
+                    index: toolCall.index,
+                    id: toolCall.id,
+                    name: toolCall.function?.name,
+                    argumentsDelta: toolCall.function?.arguments
+                };
+            }
+
+            if (choice.finish_reason) {
+                yield { type: 'finish', reason: choice.finish_reason };
+            }
+        }
+    }
+}
+
+module.exports = { OpenAIBackend };
@@ -0,0 +1,42 @@
+/**
+ * @class OpenAICompatibleBackend
+ * @extends OpenAIBackend
+ * @description LLM backend for any endpoint that implements the OpenAI chat completions API, such as a
+ * local model server. Streaming and tool calls are normalised exactly as for OpenAI.
+ *
+ * Environment Configuration:
+ * - OPENAI_COMPATIBLE_BASE_URL: Base URL of the endpoint, e.g. http://localhost:11434/v1
+ * - OPENAI_COMPATIBLE_MODEL: Model identifier to use
+ * - OPENAI_COMPATIBLE_API_KEY: API key, if the endpoint needs one
+ *
+ * @example
+ * const backend = new OpenAICompatibleBackend({ baseURL: 'http://localhost:11434/v1', model: 'llama3.1' });
+ */
+const { OpenAIBackend } = require('./OpenAIBackend');
+
+const {
+    OPENAI_COMPATIBLE_BASE_URL,
+    OPENAI_COMPATIBLE_MODEL,
+    OPENAI_COMPATIBLE_API_KEY = 'not-needed'
+} = process.env;
+
+class OpenAICompatibleBackend extends OpenAIBackend {
+    /**
+     * Creates a new OpenAI-compatible backend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.baseURL] - Endpoint base URL (default: OPENAI_COMPATIBLE_BASE_URL)
+     * @param {string} [options.model] - Model identifier (default: OPENAI_COMPATIBLE_MODEL)
+     * @param {string} [options.apiKey] - API key (default: OPENAI_COMPATIBLE_API_KEY)
+     * @throws {Error} If no base URL is configured
+     */
+    constructor({ baseURL = OPENAI_COMPATIBLE_BASE_URL, model = OPENAI_COMPATIBLE_MODEL, apiKey = OPENAI_COMPATIBLE_API_KEY } = {}) {
+        if (!baseURL) {
+            throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for the openai-compatible backend');
+        }
+        super({ baseURL, model, apiKey });
+        this.name = 'openai-compatible';
+    }
+}
+
+module.exports = { OpenAICompatibleBackend };
@@ -0,0 +1,102 @@
+/**
+ * @class ScriptedBackend
+ * @description Deterministic LLM backend that plays back a fixed list of turns, for tests and local runs
+ * without a model. Implements the backend interface used by LlmService (see OpenAIBackend for the event shapes).
+ *
+ * Each call to streamChat plays the next turn. A turn can contain text, tool calls or both:
+ *
+ *   { "text": "Hi, this is Dave from Chemist2U." }
+ *   { "toolCalls": [{ "name": "send-dtmf", "arguments": { "dtmfDigit": "2" } }] }
+ *
+ * Text is streamed word by word and tool call arguments are streamed in small fragments, so the
+ * accumulation logic in LlmService is exercised the same way as with a real model. Once all turns have
+ * been played, further calls return an empty text response. Every request is kept in requests so tests
+ * can check what was sent.
+ *
+ * @property {string} name - Backend name ('scripted')
+ * @property {Array<Object>} turns - Turns to play back, in order
+ * @property {Array<Object>} requests - Requests received, with a copy of the messages and tools
+ *
+ * Environment Configuration:
+ * - SCRIPTED_LLM_FILE: JSON file containing the array of turns, used when no turns are passed in
+ *
+ * @example
+ * const backend = new ScriptedBackend({
+ *   turns: [
+ *     { toolCalls: [{ name: 'send-dtmf', arguments: { dtmfDigit: '2' } }] },
+ *     { text: 'Hi, is this the pharmacist?' }
+ *   ]
+ * });
+ * const llmService = new LlmService(context, manifest, { backend });
+ */
+const fs = require('fs');
+
+const { SCRIPTED_LLM_FILE } = process.env;
+
+// Size of each streamed tool call arguments fragment
+const ARGUMENTS_FRAGMENT_LENGTH = 8;
+
+class ScriptedBackend {
+    /**
+     * Creates a new scripted backend.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {Array<Object>} [options.turns] - Turns to play back (default: read from SCRIPTED_LLM_FILE)
+     * @throws {Error} If no turns are passed in and SCRIPTED_LLM_FILE is not set
+     */
+    constructor({ turns } = {}) {
+        if (!turns) {
+            if (!SCRIPTED_LLM_FILE) {
+                throw new Error('SCRIPTED_LLM_FILE is required for the scripted backend when no turns are passed in');
+            }
+            turns = JSON.parse(fs.readFileSync(SCRIPTED_LLM_FILE, 'utf8'));
+        }
+        this.name = 'scripted';
+        this.turns = [...turns];
+        this.requests = [];
+    }
+
+    /**
+     * Streams the next scripted turn as normalised events.
+     *
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Conversation in OpenAI chat format
+     * @param {Array<Object>} [request.tools] - Tools in OpenAI function tool format
+     * @param {string} [request.toolChoice] - 'auto' or 'none'
+     * @param {AbortSignal} [request.signal] - Signal to abort the stream
+     * @yields {Object} Normalised stream events
+     */
+    async *streamChat({ messages, tools, toolChoice, signal }) {
+        this.requests.push({ messages: JSON.parse(JSON.stringify(messages)), tools, toolChoice });
+        const turn = this.turns.shift() || { text: '' };
+        // Tool calls are not offered when the caller has disabled them
+        const toolCalls = toolChoice === 'none' ? [] : (turn.toolCalls || []);
+
+        for (const word of (turn.text || '').split(/(?<= )/)) {
+            if (signal?.aborted) {
+                return;
+            }
+            // Let other work run between chunks, as a network stream would
+            await new Promise(resolve => setImmediate(resolve));
+            if (word) {
+                yield { type: 'text', text: word };
+            }
+        }
+
+        for (const [index, toolCall] of toolCalls.entries()) {
+            const toolArguments = typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {});
+            yield { type: 'toolCall', index, id: toolCall.id || `scripted-${this.requests.length}-${index}`, name: toolCall.name };
+            for (let start = 0; start < toolArguments.length; start += ARGUMENTS_FRAGMENT_LENGTH) {
+                if (signal?.aborted) {
+                    return;
+                }
+                await new Promise(resolve => setImmediate(resolve));
+                yield { type: 'toolCall', index, argumentsDelta: toolArguments.slice(start, start + ARGUMENTS_FRAGMENT_LENGTH) };
+            }
+        }
+
+        yield { type: 'finish', reason: toolCalls.length > 0 ? 'tool_calls' : 'stop' };
+    }
+}
+
+module.exports = { ScriptedBackend };
@@ -0,0 +1,50 @@
+/**
+ * LLM backends used by LlmService. Every backend implements the same interface:
+ *
+ * - streamChat({ messages, tools, toolChoice, signal }): Async generator of normalised stream events
+ *   ({ type: 'text' }, { type: 'toolCall' } and { type: 'finish' }). See OpenAIBackend for the event shapes.
+ *
+ * Environment Configuration:
+ * - LLM_BACKEND: Default backend for new sessions ('openai'|'anthropic'|'openai-compatible'|'scripted', default: 'openai')
+ */
+const { OpenAIBackend } = require('./OpenAIBackend');
+const { OpenAICompatibleBackend } = require('./OpenAICompatibleBackend');
+const { AnthropicBackend } = require('./AnthropicBackend');
+const { ScriptedBackend } = require('./ScriptedBackend');
+
+const { LLM_BACKEND = 'openai' } = process.env;
+
+const BACKENDS = {
+    'openai': OpenAIBackend,
+    'openai-compatible': OpenAICompatibleBackend,
+    'anthropic': AnthropicBackend,
+    'scripted': ScriptedBackend,
+};
+
+/**
+ * Creates an LLM backend by name.
+ *
+ * @param {string} [name=LLM_BACKEND] - Backend name
+ * @param {Object} [options={}] - Backend specific options, passed to its constructor
+ * @returns {Object} Backend instance
+ * @throws {Error} If the backend name is unknown
+ */
+function createLlmBackend(name = LLM_BACKEND, options = {}) {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown LLM backend: ${name}. Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+// Names of the available backends
+const LLM_BACKENDS = Object.keys(BACKENDS);
+
+module.exports = {
+    createLlmBackend,
+    LLM_BACKENDS,
+    OpenAIBackend,
+    OpenAICompatibleBackend,
+    AnthropicBackend,
+    ScriptedBackend,
+};
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CallTracker } = require('../services/CallTracker');
+const { SessionStore } = require('../services/SessionStore');
+
+const createTracker = () => {
+    const sessionStore = new SessionStore();
+    sessionStore.set('abc123', { customerData: { customerReference: 'abc123', phoneNumber: '+61400000000' } });
+    const callTracker = new CallTracker(sessionStore);
+    callTracker.recordEvent('abc123', 'CA1', 'dialled');
+    return callTracker;
+};
+
+test('keeps the latest status when status callbacks arrive out of order', () => {
+    const callTracker = createTracker();
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'initiated', SequenceNumber: '0' });
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'in-progress', SequenceNumber: '2' });
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '42', SequenceNumber: '3' });
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'ringing', SequenceNumber: '1' });
+
+    const call = callTracker.getCall('CA1');
+    assert.strictEqual(call.status, 'completed');
+    assert.strictEqual(call.duration, 42);
+    assert.deepStrictEqual(call.timeline.map(item => item.event), ['dialled', 'initiated', 'ringing', 'answered', 'ended']);
+    assert.deepStrictEqual(callTracker.listCalls({ status: 'completed' }).map(summary => summary.callSid), ['CA1']);
+});
+
+test('applies status callbacks without a sequence number in the order they arrive', () => {
+    const callTracker = createTracker();
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'ringing' });
+    callTracker.recordCallStatus('abc123', { CallSid: 'CA1', CallStatus: 'busy' });
+
+    assert.strictEqual(callTracker.getCall('CA1').status, 'busy');
+});
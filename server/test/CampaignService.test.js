@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CampaignService } = require('../services/CampaignService');
+
+const orders = [{ phoneNumber: '+61400000001', customerReference: 'abc123' }];
+
+test('rejects numeric options that are not numbers', () => {
+    const campaignService = new CampaignService(async () => 'CA1');
+    for (const option of ['maxConcurrentCalls', 'pacingSeconds', 'orderTimeoutSeconds']) {
+        for (const value of ['abc', {}, '', NaN, Infinity]) {
+            assert.throws(() => campaignService.createCampaign({ orders, [option]: value }), new RegExp(`${option} must be a number`));
+        }
+    }
+    assert.strictEqual(campaignService.listCampaigns().length, 0);
+});
+
+test('accepts numeric strings and applies the minimums', () => {
+    const campaignService = new CampaignService(async () => 'CA1');
+    const campaign = campaignService.createCampaign({ orders, maxConcurrentCalls: '0', pacingSeconds: -5, orderTimeoutSeconds: '30' });
+    assert.strictEqual(campaign.maxConcurrentCalls, 1);
+    assert.strictEqual(campaign.pacingSeconds, 0);
+    assert.strictEqual(campaign.orderTimeoutSeconds, 30);
+});
+
+test('rejects a customerReference that is pending in another campaign', () => {
+    const campaignService = new CampaignService(async () => 'CA1');
+    campaignService.createCampaign({ orders });
+    assert.throws(() => campaignService.createCampaign({ orders }), (error) => error.statusCode === 409);
+});
+
+test('accepts a customerReference again once its campaign is cancelled', () => {
+    const campaignService = new CampaignService(async () => 'CA1');
+    const campaign = campaignService.createCampaign({ orders });
+    campaignService.cancelCampaign(campaign.id);
+    assert.doesNotThrow(() => campaignService.createCampaign({ orders }));
+});
+
+test('rejects a customerReference with a call in progress', () => {
+    const campaignService = new CampaignService(async () => 'CA1', {
+        isReferenceActive: (customerReference) => customerReference === 'abc123'
+    });
+    assert.throws(() => campaignService.createCampaign({ orders }), (error) => error.statusCode === 409);
+});
@@ -0,0 +1,93 @@
+process.env.TOOL_FILLER_SECONDS = '0';
+// Summarise as soon as there is an older turn, and give up on a summary quickly
+process.env.LLM_CONTEXT_TOKEN_BUDGET = '1';
+process.env.LLM_CONTEXT_KEEP_TURNS = '1';
+process.env.LLM_SUMMARY_TIMEOUT_SECONDS = '0.05';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LlmService } = require('../services/LlmService');
+const { ToolRegistry } = require('../services/ToolRegistry');
+const { ScriptedBackend } = require('../services/backends/ScriptedBackend');
+
+const slowLookup = {
+    name: 'slow-lookup',
+    description: 'Looks up the order, slowly',
+    parameters: { type: 'object', properties: {} },
+    handler: () => new Promise(resolve => setTimeout(() => resolve({ type: 'text', token: 'ready' }), 20))
+};
+
+test('adds the filler spoken while tools run to the context and the final response', async () => {
+    const backend = new ScriptedBackend({
+        turns: [
+            { toolCalls: [{ name: 'slow-lookup', arguments: {} }] },
+            { text: 'Your order is ready.' }
+        ]
+    });
+    const llmService = new LlmService('You are a test', new ToolRegistry([slowLookup]), { backend });
+    const responses = [];
+    llmService.on('llm.response', (response) => responses.push(response));
+
+    await llmService.generateResponse('user', 'Is my order ready?');
+
+    const filler = 'One moment while I check that. ';
+    assert.deepStrictEqual(responses[0], { type: 'text', token: filler, last: false });
+    assert.strictEqual(responses[responses.length - 1].token, `${filler}Your order is ready.`);
+
+    const toolCallMessage = llmService.promptContext.find(message => message.tool_calls);
+    assert.strictEqual(toolCallMessage.content, filler);
+    // The filler is in the context the LLM is given for the next round
+    assert.ok(backend.requests[1].messages.some(message => message.role === 'assistant' && message.content === filler));
+});
+
+/**
+ * Scripted backend whose summary requests never answer, until they are aborted.
+ */
+class HangingSummaryBackend extends ScriptedBackend {
+    async *streamChat(request) {
+        if (!request.messages[0].content.startsWith('You summarise')) {
+            yield* super.streamChat(request);
+            return;
+        }
+        this.summarySignal = request.signal;
+        await new Promise((resolve, reject) => request.signal.addEventListener('abort', () => reject(request.signal.reason)));
+    }
+}
+
+test('abandons a summary that hangs, so the next turn still gets a response', async () => {
+    const backend = new HangingSummaryBackend({ turns: [{ text: 'Hello.' }, { text: 'Sure.' }, { text: 'Thanks.' }] });
+    const llmService = new LlmService('You are a test', new ToolRegistry([slowLookup]), { backend });
+    const responses = [];
+    llmService.on('llm.response', (response) => response.last && responses.push(response.token));
+
+    await llmService.generateResponse('user', 'Hi');
+    await llmService.generateResponse('user', 'Can you check my order?');
+    assert.ok(llmService.summarising, 'the summary is running');
+    await new Promise(resolve => setImmediate(resolve));
+    const { summarySignal } = backend;
+
+    // The timeout of AbortSignal.timeout() does not keep the process running, so keep it running for the test
+    const keepAlive = setTimeout(() => {}, 1000);
+    await llmService.generateResponse('user', 'Thank you');
+    clearTimeout(keepAlive);
+    assert.deepStrictEqual(responses, ['Hello.', 'Sure.', 'Thanks.']);
+    assert.strictEqual(summarySignal.reason.name, 'TimeoutError');
+    assert.ok(!llmService.promptContext.some(message => message.content?.startsWith('Summary of the conversation')));
+    llmService.cleanup();
+});
+
+test('aborts the summary in progress on cleanup', async () => {
+    const backend = new HangingSummaryBackend({ turns: [{ text: 'Hello.' }, { text: 'Sure.' }] });
+    const llmService = new LlmService('You are a test', new ToolRegistry([slowLookup]), { backend });
+
+    await llmService.generateResponse('user', 'Hi');
+    await llmService.generateResponse('user', 'Can you check my order?');
+    const summarising = llmService.summarising;
+    await new Promise(resolve => setImmediate(resolve));
+
+    llmService.cleanup();
+    assert.strictEqual(backend.summarySignal.aborted, true);
+    assert.strictEqual(backend.summarySignal.reason.name, 'AbortError');
+    await summarising;
+    assert.strictEqual(llmService.summarising, null);
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OutcomeService } = require('../services/OutcomeService');
+
+const createOutcomeService = () => new OutcomeService({
+    filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outcomes-')), 'outcomes.json')
+});
+
+test('prefixes cells that would be read as formulas', () => {
+    const outcomeService = createOutcomeService();
+    const csv = outcomeService.toCsv([
+        { timestamp: '2025-01-01T00:00:00.000Z', customerReference: '=HYPERLINK("http://example.com")', phoneNumber: '+61400000000', callSid: '@SUM(A1)', status: 'ready', summary: '-2+3' },
+        { timestamp: '2025-01-01T00:00:00.000Z', customerReference: 'abc123', phoneNumber: '\t=1', callSid: 'CA1', status: 'ready', summary: 'Ready at 5pm, = fine' }
+    ]);
+    const [header, first, second] = csv.trim().split('\r\n');
+    assert.strictEqual(header, 'timestamp,customerReference,phoneNumber,callSid,status,summary');
+    assert.strictEqual(first, `2025-01-01T00:00:00.000Z,"'=HYPERLINK(""http://example.com"")",'+61400000000,'@SUM(A1),ready,'-2+3`);
+    assert.strictEqual(second, `2025-01-01T00:00:00.000Z,abc123,'\t=1,CA1,ready,"Ready at 5pm, = fine"`);
+});
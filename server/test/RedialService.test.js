@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RedialService } = require('../services/RedialService');
+const { SessionStore } = require('../services/SessionStore');
+
+/**
+ * Creates a session that has reached relayConnected for its first call, as the server does for an answered call.
+ */
+const connectedSession = (sessionStore, redialService, retryPolicy) => {
+    const session = sessionStore.set('abc123', {
+        customerData: { customerReference: 'abc123' },
+        retry: redialService.createRetryState(retryPolicy)
+    });
+    session.retry.currentCallSid = 'CA1';
+    for (const state of ['interactionCreated', 'reservationAccepted', 'relayConnected']) {
+        sessionStore.transition('abc123', state);
+    }
+    sessionStore.update('abc123', { setupData: { callSid: 'CA1' } });
+    return session;
+};
+
+test('redials a call answered by a machine and reconnects the relay to the same session', async () => {
+    const sessionStore = new SessionStore();
+    const redialled = [];
+    const redialService = new RedialService(async (customerReference) => {
+        redialled.push(customerReference);
+        return 'CA2';
+    });
+    const { retry } = connectedSession(sessionStore, redialService, { backoffSeconds: 0 });
+
+    redialService.recordAnsweredBy('abc123', retry, 'CA1', 'machine_end_beep');
+    // The voicemail was left and the relay closed. The session is kept, as the final call status decides what follows
+    assert.strictEqual(redialService.isRedialPending(retry, 'CA1'), true);
+
+    redialService.handleCallStatus('abc123', retry, 'CA1', 'completed');
+    assert.strictEqual(retry.status, 'scheduled');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepStrictEqual(redialled, ['abc123']);
+    assert.strictEqual(retry.attempt, 2);
+    assert.strictEqual(retry.currentCallSid, 'CA2');
+    assert.strictEqual(retry.answeredBy, null);
+
+    // The redial's relay setup waits for the session, which is still connected
+    const session = await sessionStore.waitForState('abc123', 'reservationAccepted', 100);
+    assert.strictEqual(session.state, 'relayConnected');
+    assert.strictEqual(session.endedAt, undefined);
+
+    // A person answered the redial, so the session ends with its relay
+    assert.strictEqual(redialService.isRedialPending(retry, 'CA2'), false);
+    redialService.clearTimer('abc123');
+});
+
+test('leaves a voicemail that is not redialled to the redial.final handler', () => {
+    const sessionStore = new SessionStore();
+    const redialService = new RedialService(async () => assert.fail('The voicemail should not be redialled'));
+    const { retry } = connectedSession(sessionStore, redialService, { retryOn: ['busy'] });
+    const finals = [];
+    redialService.on('redial.final', (customerReference, retryState) => finals.push(retryState.status));
+
+    redialService.recordAnsweredBy('abc123', retry, 'CA1', 'machine_start');
+    assert.strictEqual(redialService.isRedialPending(retry, 'CA1'), true);
+    redialService.handleCallStatus('abc123', retry, 'CA1', 'completed');
+
+    assert.deepStrictEqual(finals, ['voicemail']);
+});
+
+test('does not keep the session of a call answered by a person', () => {
+    const redialService = new RedialService(async () => 'CA2');
+    const retry = redialService.createRetryState();
+    retry.currentCallSid = 'CA1';
+
+    redialService.recordAnsweredBy('abc123', retry, 'CA1', 'human');
+    assert.strictEqual(redialService.isRedialPending(retry, 'CA1'), false);
+    assert.strictEqual(redialService.isRedialPending(undefined, 'CA1'), false);
+});
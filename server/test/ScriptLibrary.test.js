@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScriptLibrary } = require('../services/ScriptLibrary');
+const { ToolRegistry } = require('../services/ToolRegistry');
+
+const toolRegistry = ToolRegistry.fromDirectory(path.join(__dirname, '..', 'tools'));
+
+/**
+ * Creates a scripts directory holding a default script with the given script.json settings.
+ */
+const createScripts = (settings) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scripts-'));
+    fs.mkdirSync(path.join(directory, 'chemist2u'));
+    fs.writeFileSync(path.join(directory, 'chemist2u', 'context.md'), 'You are Dave.');
+    fs.writeFileSync(path.join(directory, 'chemist2u', 'script.json'), JSON.stringify({ tools: ['end-call'], voice: { language: 'en-AU' }, ...settings }));
+    return directory;
+};
+
+test('takes the Flex message authors from the script', () => {
+    const scriptLibrary = new ScriptLibrary({ directory: createScripts({ flexAuthors: { ai: 'Chemtrails', callee: 'Pharmacy' } }), toolRegistry });
+    assert.deepStrictEqual(scriptLibrary.get().flexAuthors, { ai: 'Chemtrails', callee: 'Pharmacy' });
+});
+
+test('uses the transcript speaker labels for Flex authors the script does not name', () => {
+    const scriptLibrary = new ScriptLibrary({ directory: createScripts({ flexAuthors: { ai: 'Dave' } }), toolRegistry });
+    assert.deepStrictEqual(scriptLibrary.get().flexAuthors, { ai: 'Dave', callee: 'Callee' });
+});
+
+test('rejects invalid Flex authors', () => {
+    assert.throws(
+        () => new ScriptLibrary({ directory: createScripts({ flexAuthors: { ai: '', agent: 'Agent' } }), toolRegistry }),
+        /Script chemist2u has invalid flexAuthors/
+    );
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SilenceHandler } = require('../services/SilenceHandler');
+
+const policy = {
+    attempts: [],
+    hangupAfterSeconds: 20,
+    unresponsiveMessage: {
+        en: ['Sorry we could not reach you. Goodbye.'],
+        es: ['No pudimos hablar con usted. Adiós.']
+    }
+};
+
+test("passes the script's unresponsive message in the end message, in the session's language", () => {
+    const handoffData = JSON.parse(new SilenceHandler(policy, 'es-MX').createEndCallMessage().handoffData);
+    assert.deepStrictEqual(handoffData, {
+        reasonCode: 'unresponsive',
+        reason: 'The caller was not speaking',
+        message: 'No pudimos hablar con usted. Adiós.',
+        language: 'es-MX'
+    });
+});
+
+test('ends the call without a message when the policy has none', () => {
+    const handoffData = JSON.parse(new SilenceHandler({ ...policy, unresponsiveMessage: undefined }).createEndCallMessage().handoffData);
+    assert.deepStrictEqual(handoffData, { reasonCode: 'unresponsive', reason: 'The caller was not speaking' });
+});
+
+/**
+ * Waits until a condition holds, checking every 50ms.
+ */
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
+
+test('keeps the call going when the callee speaks during the goodbye', async () => {
+    // Silence is checked every second, so the policy is short enough for the goodbye to come at the first check
+    const silenceHandler = new SilenceHandler({
+        attempts: [],
+        hangupAfterSeconds: 0.5,
+        goodbye: { en: ['Goodbye.'] },
+        goodbyeDelaySeconds: 0.5
+    });
+    const messages = [];
+    silenceHandler.startMonitoring((message) => messages.push(message.type === 'end' ? 'end' : message.token));
+
+    await waitFor(() => messages.length === 1);
+    assert.deepStrictEqual(messages, ['Goodbye.']);
+    // The callee answers the goodbye before the call is ended
+    silenceHandler.resetTimer();
+    await new Promise(resolve => setTimeout(resolve, 700));
+    assert.deepStrictEqual(messages, ['Goodbye.'], 'the call is not ended');
+    assert.notStrictEqual(silenceHandler.silenceTimer, null, 'silence is monitored again');
+
+    // Silence after that ends the call as before
+    await waitFor(() => messages.includes('end'));
+    assert.deepStrictEqual(messages, ['Goodbye.', 'Goodbye.', 'end']);
+    silenceHandler.cleanup();
+});
@@ -0,0 +1,66 @@
+process.env.TOOL_CIRCUIT_FAILURE_THRESHOLD = '1';
+process.env.TOOL_CIRCUIT_RESET_SECONDS = '0';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ToolRegistry } = require('../services/ToolRegistry');
+
+// Status codes the endpoint answers with, in order. A null status never answers
+const statuses = [];
+let server;
+let url;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const status = statuses.shift();
+        if (status === null) {
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status }));
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/lookup`;
+});
+
+after(() => server.close());
+
+const createRegistry = () => new ToolRegistry([{
+    name: 'lookup',
+    description: 'Looks something up',
+    parameters: { type: 'object', properties: {} },
+    remote: { url }
+}]);
+
+test('closes a half-open breaker when the trial request is rejected with a 4xx', async () => {
+    const toolRegistry = createRegistry();
+    const lookup = toolRegistry.get('lookup').handler;
+
+    statuses.push(500, 400, 200);
+    assert.strictEqual((await lookup({})).type, 'error');
+    assert.strictEqual(toolRegistry.getCircuitBreaker(url).state, 'open');
+
+    assert.strictEqual((await lookup({})).type, 'error');
+    assert.strictEqual(toolRegistry.getCircuitBreaker(url).state, 'closed');
+    assert.strictEqual((await lookup({})).type, 'text');
+});
+
+test('lets the next request be the trial when the half-open trial is cancelled', async () => {
+    const toolRegistry = createRegistry();
+    const lookup = toolRegistry.get('lookup').handler;
+
+    statuses.push(500, null, 200);
+    assert.strictEqual((await lookup({})).type, 'error');
+
+    const controller = new AbortController();
+    const trial = lookup({}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(trial);
+    assert.strictEqual(toolRegistry.getCircuitBreaker(url).state, 'half-open');
+
+    assert.strictEqual((await lookup({})).type, 'text');
+    assert.strictEqual(toolRegistry.getCircuitBreaker(url).state, 'closed');
+    assert.strictEqual(toolRegistry.getToolMetrics('lookup').shortCircuits, 0);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptStore } = require('../services/TranscriptStore');
+const { TranscriptRecorder } = require('../services/TranscriptRecorder');
+
+const createStore = (options = {}) => new TranscriptStore({
+    directory: fs.mkdtempSync(path.join(os.tmpdir(), 'transcripts-')),
+    flushMs: 10,
+    ...options
+});
+
+test('appends batched entries and keeps the latest version of a changed entry', async () => {
+    const transcriptStore = createStore();
+    const transcriptRecorder = new TranscriptRecorder('CA1', {
+        redactors: [],
+        onEntry: (entry, index) => transcriptStore.append('CA1', index, entry)
+    });
+    transcriptStore.start(transcriptRecorder.transcript);
+
+    const speech = transcriptRecorder.record('ai', 'speech', 'Hi, this is Dave calling about an order');
+    transcriptRecorder.record('callee', 'speech', 'Hello?');
+    assert.strictEqual(fs.existsSync(transcriptStore.getFilePath('CA1')), false, 'entries are batched');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const lines = fs.readFileSync(transcriptStore.getFilePath('CA1'), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+
+    speech.interrupted = true;
+    transcriptStore.append('CA1', 0, speech);
+    const transcript = await transcriptStore.get('CA1');
+
+    const appended = fs.readFileSync(transcriptStore.getFilePath('CA1'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(appended.slice(0, 3), lines, 'earlier lines are not rewritten');
+    assert.strictEqual(transcript.callSid, 'CA1');
+    assert.strictEqual(transcript.startedAt, transcriptRecorder.transcript.startedAt);
+    assert.deepStrictEqual(transcript.entries, transcriptRecorder.transcript.entries);
+    assert.strictEqual(transcript.entries[0].interrupted, true);
+});
+
+test('returns null for unknown and invalid call SIDs', async () => {
+    const transcriptStore = createStore();
+    assert.strictEqual(await transcriptStore.get('CA404'), null);
+    assert.strictEqual(await transcriptStore.get('../sessions'), null);
+});
+
+test('deletes transcripts older than the retention', async () => {
+    const transcriptStore = createStore({ ttlDays: 1 });
+    transcriptStore.start({ callSid: 'CAold', startedAt: new Date().toISOString() });
+    transcriptStore.start({ callSid: 'CAnew', startedAt: new Date().toISOString() });
+    await transcriptStore.flush();
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(transcriptStore.getFilePath('CAold'), twoDaysAgo, twoDaysAgo);
+
+    assert.strictEqual(await transcriptStore.prune(), 1);
+    assert.strictEqual(await transcriptStore.get('CAold'), null);
+    assert.notStrictEqual(await transcriptStore.get('CAnew'), null);
+});
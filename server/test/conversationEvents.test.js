@@ -0,0 +1,46 @@
+process.env.ACCOUNT_SID = 'AC00000000000000000000000000000000';
+process.env.AUTH_TOKEN = 'test-auth-token';
+process.env.SERVER_BASE_URL = 'server.example.ngrok.dev';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const twilio = require('twilio');
+const { app } = require('../server');
+
+// A message this server wrote itself, which the endpoint acknowledges without acting on it
+const params = { EventType: 'onMessageAdded', ConversationSid: 'CH00000000000000000000000000000000', Author: 'Chemtrails', Body: 'Hello', Source: 'API' };
+const signedUrl = `https://${process.env.SERVER_BASE_URL}/conversationEvents`;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const postEvent = (headers = {}) => fetch(`${baseUrl}/conversationEvents`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+});
+
+test('rejects an unsigned request', async () => {
+    const response = await postEvent();
+    assert.strictEqual(response.status, 400);
+});
+
+test('rejects a request with an invalid signature', async () => {
+    const signature = twilio.getExpectedTwilioSignature('wrong-auth-token', signedUrl, params);
+    const response = await postEvent({ 'X-Twilio-Signature': signature });
+    assert.strictEqual(response.status, 403);
+});
+
+test('accepts a request signed with the auth token', async () => {
+    const signature = twilio.getExpectedTwilioSignature(process.env.AUTH_TOKEN, signedUrl, params);
+    const response = await postEvent({ 'X-Twilio-Signature': signature });
+    assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,39 @@
+process.env.ACCOUNT_SID = 'AC00000000000000000000000000000000';
+process.env.AUTH_TOKEN = 'test-auth-token';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { formatTranscript } = require('../utils/transcriptFormats');
+const { app } = require('../server');
+
+const transcript = {
+    callSid: 'CA1',
+    startedAt: '2026-01-01T00:00:00.000Z',
+    entries: [{ speaker: 'callee', type: 'speech', text: 'Hello?', timestamp: '2026-01-01T00:00:01.000Z' }]
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('rejects formats inherited from Object', () => {
+    for (const format of ['toString', 'constructor', '__proto__']) {
+        assert.throws(() => formatTranscript(transcript, format), /Unknown transcript format/);
+    }
+    assert.match(formatTranscript(transcript, 'text'), /Hello\?/);
+});
+
+test('answers 400 for a format inherited from Object', async () => {
+    for (const format of ['toString', 'constructor']) {
+        const response = await fetch(`${baseUrl}/calls/CA1/transcript?format=${format}`);
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), { error: `Unsupported format: ${format}` });
+    }
+});
@@ -0,0 +1,39 @@
+/**
+ * collect-dtmf tool
+ * @description Waits for the callee to enter digits on their keypad for a DTMF step declared in the call script,
+ * such as entering a PIN or confirming stock with 1 or 2. Handled in the server, as the digits arrive over the
+ * Conversation Relay WebSocket. The entry is given to the LLM as the callee's next message.
+ */
+module.exports = {
+    name: 'collect-dtmf',
+    description: 'Waits for the person on the call to press keys on their keypad for one of the DTMF steps in your instructions. ' +
+        'Ask them what to press in the same response. What they press is given to you as their next message',
+    parameters: {
+        type: 'object',
+        properties: {
+            step: {
+                type: 'string',
+                description: 'The name of the DTMF step to collect'
+            }
+        },
+        required: [
+            'step'
+        ]
+    },
+    emits: 'llm.collectDtmf',
+    handler: (toolArguments, { dtmfSteps = {} } = {}) => {
+        const step = dtmfSteps[toolArguments.step];
+        if (!step) {
+            const stepNames = Object.keys(dtmfSteps);
+            return {
+                type: "error",
+                token: `Unknown DTMF step: ${toolArguments.step}. ${stepNames.length > 0 ? `Must be one of: ${stepNames.join(', ')}` : 'This call has no DTMF steps'}`,
+                last: true
+            };
+        }
+        return {
+            type: "collectDtmf",
+            step: { name: toolArguments.step, ...step }
+        };
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * end-call tool
+ * @description Ends the call and hangs up. Handled in the server, as the end message is sent over the
+ * Conversation Relay WebSocket.
+ */
+const { logOut } = require('../utils/logger');
+
+module.exports = {
+    name: 'end-call',
+    description: 'End the call and hang up',
+    parameters: {
+        type: 'object',
+        properties: {
+            summary: {
+                type: 'string',
+                description: 'a short summary of the call. Less that 100 words'
+            }
+        },
+        required: [
+            'summary'
+        ]
+    },
+    emits: 'llm.end',
+    handler: (toolArguments, { callSid } = {}) => {
+        const endResponseContent = {
+            type: "end",
+            handoffData: JSON.stringify({   // Conversation Relay expects handoffData as a string
+                reasonCode: "end-call",
+                reason: "Ending the call",
+                conversationSummary: toolArguments.summary,
+                // The call is not up to the LLM, so it comes from the tool context
+                callSid
+            })
+        };
+        logOut('Tools', `Ending the call with endResponseContent: ${JSON.stringify(endResponseContent, null, 4)}`);
+        return endResponseContent;
+    }
+};
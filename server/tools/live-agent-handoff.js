@@ -0,0 +1,45 @@
+/**
+ * live-agent-handoff tool
+ * @description Transfers the call to a human agent. Handled in the server, as the end message with the handoff
+ * data is sent over the Conversation Relay WebSocket. The complete-crelay function then enqueues the call to Flex,
+ * using the summary, reason, callSid, customerReference and Flex conversationSid in the handoff data.
+ */
+const { logOut } = require('../utils/logger');
+
+module.exports = {
+    name: 'live-agent-handoff',
+    description: 'Transfers the call to a human agent',
+    parameters: {
+        type: 'object',
+        properties: {
+            summary: {
+                type: 'string',
+                description: 'a short summary of the call. Less that 100 words'
+            },
+            reason: {
+                type: 'string',
+                description: 'Why the call needs a human agent, e.g. "The pharmacist asked to speak to a person"'
+            }
+        },
+        required: [
+            'summary'
+        ]
+    },
+    emits: 'llm.handoff',
+    handler: (toolArguments, { callSid, customerReference, conversationSid } = {}) => {
+        const handoffResponseContent = {
+            type: "end",
+            handoffData: JSON.stringify({   // Conversation Relay expects handoffData as a string
+                reasonCode: "live-agent-handoff",
+                reason: toolArguments.reason || "Transfer to a live agent requested",
+                summary: toolArguments.summary,
+                // The session details are not up to the LLM, so they come from the tool context
+                callSid,
+                customerReference,
+                conversationSid
+            })
+        };
+        logOut('Tools', `Transfer to agent response: ${JSON.stringify(handoffResponseContent, null, 4)}`);
+        return handoffResponseContent;
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * send-dtmf tool
+ * @description Sends a DTMF digit to the call, for navigating IVRs. Handled in the server, as the digit is sent
+ * over the Conversation Relay WebSocket.
+ */
+module.exports = {
+    name: 'send-dtmf',
+    description: 'sends a dtmf digit to the call. This is useful for navigating IVRs',
+    parameters: {
+        type: 'object',
+        properties: {
+            dtmfDigit: {
+                type: 'string',
+                description: 'This is the dtmf digit to send. Digits 0-9, * and #, with w for a half second pause',
+                pattern: '^[0-9*#w]+$'
+            }
+        },
+        required: [
+            'dtmfDigit'
+        ]
+    },
+    emits: 'llm.dtmf',
+    handler: (toolArguments) => ({
+        type: "sendDigits",
+        digits: toolArguments.dtmfDigit
+    })
+};
@@ -0,0 +1,35 @@
+/**
+ * status-update tool
+ * @description Reports the order status given by the pharmacy. Run by the status-update Twilio Function,
+ * which checks the status against the allowed set.
+ */
+module.exports = {
+    name: 'status-update',
+    description: 'Updates the status of a session, providing the outcome response off the order status for the particular order number',
+    parameters: {
+        type: 'object',
+        properties: {
+            customerReference: {
+                type: 'string',
+                description: 'The customerReference used for this session'
+            },
+            status: {
+                type: 'string',
+                description: 'The status of the order',
+                enum: [
+                    'ready',
+                    'in progress',
+                    'delayed',
+                    'unable to complete'
+                ]
+            }
+        },
+        required: [
+            'customerReference',
+            'status'
+        ]
+    },
+    remote: { path: '/tools/status-update' },
+    // Setting the same status twice has the same effect, so failed calls can be retried
+    idempotent: true
+};
@@ -0,0 +1,26 @@
+/**
+ * verify-code tool
+ * @description Checks a verification code sent by verify-send. Run by the verify-code Twilio Function.
+ */
+module.exports = {
+    name: 'verify-code',
+    description: 'Verifies a provided code against the calling number',
+    parameters: {
+        type: 'object',
+        properties: {
+            code: {
+                type: 'string',
+                description: 'The verification code to check'
+            },
+            from: {
+                type: 'string',
+                description: 'The calling number to verify against'
+            }
+        },
+        required: [
+            'code',
+            'from'
+        ]
+    },
+    remote: { path: '/tools/verify-code' }
+};
@@ -0,0 +1,21 @@
+/**
+ * verify-send tool
+ * @description Sends a verification code by SMS. Run by the verify-send Twilio Function.
+ */
+module.exports = {
+    name: 'verify-send',
+    description: 'Generates and sends a verification code via SMS to the phone number provided',
+    parameters: {
+        type: 'object',
+        properties: {
+            from: {
+                type: 'string',
+                description: 'The calling phone number to send the verification code to. This is the number the call came in from.'
+            }
+        },
+        required: [
+            'from'
+        ]
+    },
+    remote: { path: '/tools/verify-send' }
+};
@@ -0,0 +1,24 @@
+/**
+ * wait-on-hold tool
+ * @description Puts the call into the hold state while the callee fetches someone or transfers the call. Handled in
+ * the server, as hold music and recorded messages are ignored and silence handling suspended until a person speaks.
+ */
+module.exports = {
+    name: 'wait-on-hold',
+    description: 'Waits quietly while you are on hold, for example after being asked to hold on while they get the pharmacist or transfer you. ' +
+        'Hold music and recorded messages are ignored, and you will hear the next thing a person says',
+    parameters: {
+        type: 'object',
+        properties: {
+            reason: {
+                type: 'string',
+                description: 'Why you are on hold, e.g. "getting the pharmacist"'
+            }
+        }
+    },
+    emits: 'llm.hold',
+    handler: (toolArguments) => ({
+        type: "hold",
+        reason: toolArguments.reason || null
+    })
+};
@@ -0,0 +1,49 @@
+/**
+ * Recognises transcripts of hold music and recorded hold messages, so they can be ignored while a call is on hold.
+ *
+ * Speech recognition turns hold music into music markers, stray syllables or nothing at all, and queue systems
+ * repeat a small set of recorded phrases. Anything else is treated as a person speaking.
+ *
+ * @example
+ * isHoldAudio('Your call is important to us. Please continue to hold.');  // true
+ * isHoldAudio('Hi, this is the pharmacist speaking');                     // false
+ */
+
+// Markers speech recognition uses for music and other non-speech sounds
+const MUSIC_PATTERN = /[♪♫]|\[(music|instrumental|applause|noise)[^\]]*\]|\((music|instrumental|noise)[^)]*\)/i;
+
+// Stray syllables transcribed from singing or humming
+const FILLER_PATTERN = /^(?:(?:la|na|da|oh|ooh|ah|mm+|hmm+|uh|um)[\s,.!-]*)+$/i;
+
+// Phrases used by recorded hold and queue messages
+const RECORDED_PHRASES = [
+    /your call is important/i,
+    /(please|continue to) hold/i,
+    /(remain|stay) on the line/i,
+    /all (of )?our (staff|operators|team members|consultants) are/i,
+    /you are (now )?(number \w+|caller number|in a queue|in the queue)/i,
+    /thank you for (your patience|waiting|holding)/i,
+    /calls? (may|will) be recorded/i,
+    /(will|shall) be with you (shortly|soon|as soon as)/i,
+    /(estimated )?wait(ing)? time is/i
+];
+
+/**
+ * Checks whether a transcript is hold music or a recorded hold message rather than a person speaking.
+ *
+ * @param {string} text - Transcript of what was heard
+ * @returns {boolean} True if it is hold audio
+ */
+const isHoldAudio = (text) => {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        return true;
+    }
+    return MUSIC_PATTERN.test(trimmed)
+        || FILLER_PATTERN.test(trimmed)
+        || RECORDED_PHRASES.some(phrase => phrase.test(trimmed));
+};
+
+module.exports = {
+    isHoldAudio
+};
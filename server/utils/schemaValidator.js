@@ -0,0 +1,119 @@
+/**
+ * Minimal JSON schema validator for tool arguments.
+ *
+ * Supports the keywords used in tool schemas: type, required, enum, pattern, properties, additionalProperties
+ * (false only), items, minLength, maxLength, minimum and maximum. Unknown keywords are ignored.
+ *
+ * @example
+ * const errors = validateSchema(tool.parameters, { dtmfDigit: 'two' });
+ * // [{ path: 'dtmfDigit', message: 'must match pattern ^[0-9*#w]+$' }]
+ */
+
+/**
+ * Returns the JSON schema type of a value.
+ *
+ * @param {*} value - Value to check
+ * @returns {string} JSON schema type name
+ */
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+/**
+ * Checks whether a value matches a JSON schema type. Integers are also numbers.
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type name
+ * @returns {boolean} True if the value matches
+ */
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against a JSON schema.
+ *
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {string} [path=''] - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if the value is valid
+ */
+const validateSchema = (schema, value, path = '') => {
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at || '(root)', message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+            // The remaining keywords assume the right type
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+        fail(`must be one of: ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const childPath = (key) => path ? `${path}.${key}` : key;
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                fail('is required', childPath(key));
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(propertySchema, value[key], childPath(key)));
+            }
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties?.[key]) {
+                    fail('is not an allowed property', childPath(key));
+                }
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    return errors;
+};
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,199 @@
+/**
+ * Minimal template renderer for the call script contexts.
+ *
+ * Supports:
+ * - Variables: {{customerData.customerReference}}, looked up by dotted path
+ * - Filters: {{now | date}}, chained left to right, with an optional argument {{customerData.notes | default:'none'}}
+ * - Conditionals: {{#if customerData.notes}}...{{else}}...{{/if}}
+ * - Loops: {{#each customerData.items}}{{@index}}: {{this.name}}{{/each}}
+ *
+ * Rendering a variable that is not defined throws, so a prompt is never sent with a gap in it. Use #if or the
+ * default filter for optional values. Templates are parsed once, and syntax errors include the line number.
+ *
+ * @example
+ * const template = parseTemplate('Order {{customerData.customerReference | spell}} on {{now | date}}');
+ * const text = renderTemplate(template, { customerData, now: new Date() }, { locale: 'en-AU' });
+ */
+
+const TAG_PATTERN = /{{\s*([\s\S]*?)\s*}}/g;
+
+/**
+ * Filters available to templates. Each takes the value, the filter argument and the render options.
+ */
+const FILTERS = {
+    date: (value, format, { locale, timeZone }) => new Date(value).toLocaleDateString(locale, { dateStyle: format || 'full', timeZone }),
+    time: (value, format, { locale, timeZone }) => new Date(value).toLocaleTimeString(locale, { timeStyle: format || 'short', timeZone }),
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    // Separates each character so text to speech reads references one letter or digit at a time
+    spell: (value) => String(value).split('').filter(character => character.trim()).join(', '),
+    json: (value) => JSON.stringify(value),
+    default: (value, fallback) => (value === undefined || value === null || value === '') ? (fallback ?? '') : value
+};
+
+/**
+ * Returns the line number of a position in the template, for error messages.
+ *
+ * @param {string} source - Template source
+ * @param {number} position - Character position
+ * @returns {number} Line number, starting at 1
+ */
+const lineOf = (source, position) => source.slice(0, position).split('\n').length;
+
+/**
+ * Parses a variable expression with optional filters, e.g. "customerData.notes | default:'none' | upper".
+ *
+ * @param {string} expression - Expression inside the tag
+ * @param {number} line - Line number of the tag
+ * @returns {{path: string, filters: Array<{name: string, argument: (string|undefined)}>, line: number}} Parsed expression
+ * @throws {Error} If a filter is unknown
+ */
+const parseExpression = (expression, line) => {
+    const [path, ...filterParts] = expression.split('|').map(part => part.trim());
+    if (!path) {
+        throw new Error(`Template error on line ${line}: Empty expression`);
+    }
+    const filters = filterParts.map(part => {
+        const separatorIndex = part.indexOf(':');
+        const name = separatorIndex === -1 ? part : part.slice(0, separatorIndex).trim();
+        const argument = separatorIndex === -1 ? undefined : part.slice(separatorIndex + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+        if (!FILTERS[name]) {
+            throw new Error(`Template error on line ${line}: Unknown filter ${name}. Must be one of: ${Object.keys(FILTERS).join(', ')}`);
+        }
+        return { name, argument };
+    });
+    return { path, filters, line };
+};
+
+/**
+ * Parses a template into a tree of text, variable, if and each nodes.
+ *
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Parsed template nodes
+ * @throws {Error} If a block is not closed, closed without being opened, or a filter is unknown
+ */
+const parseTemplate = (source) => {
+    // Each open block keeps the branch new nodes are added to, which moves to elseChildren after {{else}}
+    const root = { children: [], branch: 'children' };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        const tag = match[1];
+        const line = lineOf(source, match.index);
+
+        if (match.index > lastIndex) {
+            current[current.branch].push({ type: 'text', text: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        if (tag.startsWith('#if ') || tag.startsWith('#each ')) {
+            const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+            const node = { type: keyword, path: rest.join(' '), line, children: [], elseChildren: [], branch: 'children' };
+            current[current.branch].push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (current.type !== 'if' || current.branch === 'elseChildren') {
+                throw new Error(`Template error on line ${line}: {{else}} outside an {{#if}} block`);
+            }
+            current.branch = 'elseChildren';
+        } else if (tag === '/if' || tag === '/each') {
+            if (current.type !== tag.slice(1)) {
+                throw new Error(`Template error on line ${line}: {{${tag}}} does not close an open {{#${tag.slice(1)}}} block`);
+            }
+            delete current.branch;
+            stack.pop();
+        } else {
+            current[current.branch].push({ type: 'variable', ...parseExpression(tag, line) });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Template error on line ${open.line}: {{#${open.type}}} block is not closed`);
+    }
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', text: source.slice(lastIndex) });
+    }
+    return root.children;
+};
+
+/**
+ * Looks up a dotted path in the render scope. "this" is the current #each item and "@index" its position.
+ *
+ * @param {string} path - Dotted path
+ * @param {Object} scope - Render scope
+ * @returns {*} The value, or undefined if any part of the path does not exist
+ */
+const lookup = (path, scope) => {
+    if (path === '@index') {
+        return scope['@index'];
+    }
+    return path.split('.').reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], scope);
+};
+
+/**
+ * Renders parsed template nodes.
+ *
+ * @param {Array<Object>} nodes - Parsed template nodes
+ * @param {Object} scope - Render scope
+ * @param {Object} options - Render options passed to the filters
+ * @returns {string} Rendered text
+ * @throws {Error} If a variable without a default filter is not defined, or #each is given something other than an array
+ */
+const renderNodes = (nodes, scope, options) => nodes.map(node => {
+    switch (node.type) {
+        case 'text':
+            return node.text;
+        case 'variable': {
+            const value = lookup(node.path, scope);
+            if (value === undefined && !node.filters.some(filter => filter.name === 'default')) {
+                throw new Error(`Template error on line ${node.line}: Variable ${node.path} is not defined`);
+            }
+            const filtered = node.filters.reduce((result, filter) => FILTERS[filter.name](result, filter.argument, options), value);
+            return filtered === undefined || filtered === null ? '' : String(filtered);
+        }
+        case 'if': {
+            const value = lookup(node.path, scope);
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            return renderNodes(truthy ? node.children : node.elseChildren, scope, options);
+        }
+        case 'each': {
+            const items = lookup(node.path, scope);
+            if (items === undefined) {
+                throw new Error(`Template error on line ${node.line}: Variable ${node.path} is not defined`);
+            }
+            if (!Array.isArray(items)) {
+                throw new Error(`Template error on line ${node.line}: {{#each ${node.path}}} needs an array`);
+            }
+            return items
+                .map((item, index) => renderNodes(node.children, { ...scope, this: item, '@index': index }, options))
+                .join('');
+        }
+    }
+}).join('');
+
+/**
+ * Renders a template with the given variables.
+ *
+ * @param {string|Array<Object>} template - Template source, or nodes from parseTemplate
+ * @param {Object} variables - Variables available to the template
+ * @param {Object} [options={}] - Render options
+ * @param {string} [options.locale] - Locale for the date and time filters
+ * @param {string} [options.timeZone] - Time zone for the date and time filters
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is invalid or uses a variable that is not defined
+ */
+const renderTemplate = (template, variables, options = {}) => {
+    const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+    return renderNodes(nodes, variables, options);
+};
+
+module.exports = {
+    parseTemplate,
+    renderTemplate,
+    FILTERS
+};
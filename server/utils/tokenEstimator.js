@@ -0,0 +1,42 @@
+/**
+ * Approximate token counting for the LLM context.
+ *
+ * Tokens are estimated at about four characters each, which is close enough for budgeting across providers
+ * without loading a tokenizer for each model. Each message also carries a small fixed overhead for its role
+ * and formatting.
+ *
+ * @example
+ * const tokens = estimateMessageTokens({ role: 'user', content: 'Is the order ready?' });
+ */
+
+// Average characters per token for English text
+const CHARS_PER_TOKEN = 4;
+// Tokens used by each message's role and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimates the tokens in a piece of text.
+ *
+ * @param {string} text - Text to count
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Estimates the tokens in a chat message, including its tool calls.
+ *
+ * @param {Object} message - Message in OpenAI chat format
+ * @returns {number} Estimated tokens
+ */
+const estimateMessageTokens = (message) => {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+    const toolCalls = (message.tool_calls || [])
+        .map(toolCall => `${toolCall.function.name}${toolCall.function.arguments}`)
+        .join('');
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(content) + estimateTokens(toolCalls);
+};
+
+module.exports = {
+    estimateTokens,
+    estimateMessageTokens
+};
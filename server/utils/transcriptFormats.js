@@ -0,0 +1,158 @@
+/**
+ * Formats call transcripts recorded by the TranscriptRecorder for export.
+ *
+ * Supports:
+ * - json: The transcript with each entry's offset from the start time in milliseconds
+ * - text: One line per entry, including tool calls, DTMF and call events
+ * - vtt, srt: WebVTT and SubRip subtitles of what was spoken, to play alongside the call recording
+ *
+ * Times are offsets from the start time, normally when the call was answered so they line up with the recording.
+ * Subtitle cues last until the next one starts, or as long as the words take to say, whichever is sooner.
+ *
+ * @example
+ * const vtt = formatTranscript(transcript, 'vtt', { startTime: call.answeredAt });
+ */
+
+// Content type of each export format
+const TRANSCRIPT_FORMATS = {
+    json: 'application/json',
+    text: 'text/plain',
+    vtt: 'text/vtt',
+    srt: 'application/x-subrip'
+};
+
+// Entry types that were spoken on the call, and so become subtitle cues
+const SPOKEN_TYPES = ['speech', 'silence', 'voicemail'];
+
+const SPEAKER_LABELS = {
+    callee: 'Callee',
+    ai: 'AI',
+    agent: 'Agent',
+    system: 'Call'
+};
+
+// Speaking rate used to estimate how long a subtitle stays on screen, and the shortest time it is shown
+const SPOKEN_WORDS_PER_SECOND = 2.5;
+const MIN_CUE_MS = 1000;
+
+/**
+ * Formats an offset as hours, minutes, seconds and milliseconds, e.g. 00:01:02.345.
+ *
+ * @param {number} offsetMs - Offset in milliseconds
+ * @param {string} [separator='.'] - Separator before the milliseconds: '.' for WebVTT, ',' for SubRip
+ * @returns {string} Formatted time
+ */
+const formatTime = (offsetMs, separator = '.') => {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(offsetMs / 3600000);
+    const minutes = Math.floor(offsetMs / 60000) % 60;
+    const seconds = Math.floor(offsetMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(offsetMs % 1000, 3)}`;
+};
+
+/**
+ * Returns what was said in a spoken entry, cut short where the callee interrupted it.
+ *
+ * @param {Object} entry - Transcript entry
+ * @returns {string} Spoken text
+ */
+const spokenText = (entry) => entry.interrupted
+    ? `${entry.spokenText ?? entry.text} [interrupted]`
+    : entry.text;
+
+/**
+ * Formats a transcript entry as one line of the plain text transcript.
+ *
+ * @param {Object} entry - Transcript entry with its offsetMs
+ * @returns {string} Line of text
+ */
+const formatTextLine = (entry) => {
+    const time = `[${formatTime(entry.offsetMs)}]`;
+    const speaker = SPEAKER_LABELS[entry.speaker] || entry.speaker;
+    switch (entry.type) {
+        case 'interrupt':
+            return `${time} ${speaker} interrupted after: "${entry.text}"`;
+        case 'toolCall':
+            return `${time} ${speaker} used tool ${entry.text} with ${entry.arguments ?? '{}'}: ${entry.result?.type ?? 'no result'} (${entry.durationMs ?? 0} ms)`;
+        case 'dtmf':
+            return `${time} ${speaker} ${entry.speaker === 'callee' ? 'pressed' : 'sent digits'}: ${entry.text}`;
+        case 'hold':
+        case 'takeover':
+            return `${time} -- ${entry.text} --`;
+        case 'end':
+            return `${time} -- Session ended (${entry.reasonCode || 'no reason code'}): ${entry.text} --`;
+        default:
+            return `${time} ${speaker}: ${spokenText(entry)}`;
+    }
+};
+
+/**
+ * Builds the subtitle cues for the spoken entries of a transcript. The callee's speech is transcribed once they stop
+ * speaking, so their cues end at the entry's time and start as long before it as the words take to say.
+ *
+ * @param {Array<Object>} entries - Transcript entries with their offsetMs, in time order
+ * @returns {Array<{startMs: number, endMs: number, speaker: string, text: string}>} Subtitle cues
+ */
+const buildCues = (entries) => {
+    const spoken = entries.filter(entry => SPOKEN_TYPES.includes(entry.type) && entry.text);
+    const cues = [];
+    spoken.forEach((entry, index) => {
+        const text = spokenText(entry);
+        const speakingMs = Math.max(MIN_CUE_MS, Math.round(text.split(/\s+/).length / SPOKEN_WORDS_PER_SECOND * 1000));
+        const previousEndMs = cues[cues.length - 1]?.endMs ?? 0;
+        if (entry.speaker === 'callee') {
+            const startMs = Math.max(entry.offsetMs - speakingMs, previousEndMs);
+            cues.push({ startMs, endMs: Math.max(entry.offsetMs, startMs + 1), speaker: SPEAKER_LABELS.callee, text });
+            return;
+        }
+        const startMs = Math.max(entry.offsetMs, previousEndMs);
+        const nextStartMs = spoken[index + 1]?.offsetMs;
+        const endMs = nextStartMs > startMs ? Math.min(startMs + speakingMs, nextStartMs) : startMs + speakingMs;
+        cues.push({ startMs, endMs, speaker: SPEAKER_LABELS[entry.speaker] || entry.speaker, text });
+    });
+    return cues;
+};
+
+/**
+ * Formats a transcript for export.
+ *
+ * @param {Object} transcript - Transcript from the TranscriptRecorder: callSid, startedAt and entries
+ * @param {string} [format='json'] - 'json', 'text', 'vtt' or 'srt'
+ * @param {Object} [options={}] - Format options
+ * @param {string} [options.startTime] - Time the offsets are measured from (default: the transcript's startedAt)
+ * @returns {Object|string} The transcript object for json, otherwise the formatted text
+ * @throws {Error} If the format is unknown
+ */
+const formatTranscript = (transcript, format = 'json', { startTime } = {}) => {
+    // Own keys only, so a query string like ?format=toString is not taken for a format
+    if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+        throw new Error(`Unknown transcript format: ${format}. Must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+    }
+    const start = Date.parse(startTime || transcript.startedAt);
+    // Entries from before the start, e.g. before the call was answered, are shown at the start
+    const entries = transcript.entries
+        .map(entry => ({ ...entry, offsetMs: Math.max(Date.parse(entry.timestamp) - start, 0) }))
+        .sort((a, b) => a.offsetMs - b.offsetMs);
+
+    switch (format) {
+        case 'json':
+            return { ...transcript, startTime: new Date(start).toISOString(), entries };
+        case 'text':
+            return entries.map(formatTextLine).join('\n') + '\n';
+        case 'vtt':
+            return ['WEBVTT', '', ...buildCues(entries).flatMap(cue => [
+                `${formatTime(cue.startMs)} --> ${formatTime(cue.endMs)}`,
+                `<v ${cue.speaker}>${cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}`,
+                ''
+            ])].join('\n');
+        case 'srt':
+            return buildCues(entries).flatMap((cue, index) => [
+                String(index + 1),
+                `${formatTime(cue.startMs, ',')} --> ${formatTime(cue.endMs, ',')}`,
+                `${cue.speaker}: ${cue.text}`,
+                ''
+            ]).join('\n');
+    }
+};
+
+module.exports = { formatTranscript, TRANSCRIPT_FORMATS };
@@ -4,6 +4,9 @@
  * 
  * @param {String} to - To phone number via event
  * @param {String} customerReference - The customer reference  via event to be passed to the Conversation Relay service
+ * @param {String} [statusCallbackUrl] - Server URL to receive every call status event. Falls back to logging the answered event only
+ * @param {String} [amdStatusCallbackUrl] - Server URL to receive the answering machine detection result. Without it machine detection is off
+ * @param {Object} [voice] - Conversation Relay voice settings of the call script (voice, language, ttsProvider, transcriptionProvider, speechModel)
  * 
  */
 exports.handler = async function (context, event, callback) {
@@ -20,16 +23,39 @@ exports.handler = async function (context, event, callback) {
         // const CRelayURL = `https://${context.DOMAIN_NAME}/tools/connect-crelay?customerReference=${event.customerReference}`
         // const callUrl = `https://functions-des.ngrok.dev`
 
-        // Passing the Functions URL from the server, since it already has it.
-        const CRelayURL = `${event.functionsServerUrl}/tools/connect-crelay?customerReference=${event.customerReference}`
+        // Passing the Functions URL from the server, since it already has it. The script's voice settings are passed on to the Conversation Relay TwiML
+        const CRelayParams = new URLSearchParams({ customerReference: event.customerReference, ...event.voice });
+        const CRelayURL = `${event.functionsServerUrl}/tools/connect-crelay?${CRelayParams}`
+
+        // Send the full call lifecycle to the server when it asks for it, so busy, no-answer and failed calls can be redialled
+        const statusCallback = event.statusCallbackUrl
+            ? {
+                statusCallback: event.statusCallbackUrl,
+                statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
+            }
+            : {
+                statusCallback: `${event.functionsServerUrl}/tools/timestamp-log`,
+                statusCallbackEvent: ["answered"],
+            };
+
+        // Detect answering machines in the background, so a person hears the AI straight away. Waiting for the end of the
+        // greeting means the result arrives after the beep, when the server can leave a voicemail
+        const machineDetection = event.amdStatusCallbackUrl
+            ? {
+                machineDetection: "DetectMessageEnd",
+                asyncAmd: "true",
+                asyncAmdStatusCallback: event.amdStatusCallbackUrl,
+                asyncAmdStatusCallbackMethod: "POST",
+            }
+            : {};
 
         const call = await twilioClient.calls.create({
             to: event.to,
             from: context.SMS_FROM_NUMBER,
             url: CRelayURL,
             record: true,
-            statusCallback: `${event.functionsServerUrl}/tools/timestamp-log`,
-            statusCallbackEvent: ["answered"],
+            ...statusCallback,
+            ...machineDetection,
         });
 
         // const call = await twilioClient.calls.create({
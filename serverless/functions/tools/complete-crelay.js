@@ -1,20 +1,162 @@
 /**
- * Makes an outbound call based on the "to" number passed in the event and connects the original called number. 
- * 
- * @param {String} to - To phone number via event
- * 
+ * Handles the end of a Conversation Relay session, called by the <Connect action> of connect-crelay while the call is still live.
+ * The server ends the session with handoffData describing why, and the reasonCode picks the route for the call:
+ *
+ * - enqueue: Enqueues the call to Flex through TaskRouter, with the AI summary and the Flex chat interaction in the
+ *   task attributes so the agent has the full context
+ * - hangup: Hangs up, after an optional message and a pause so the last words are not cut off
+ * - say: Says a message, then hangs up
+ * - dial: Dials a fallback number, saying a message first if the route has one. Without a number it hangs up instead
+ *
+ * Default routes:
+ * - live-agent-handoff: enqueue
+ * - end-call: hangup after a pause
+ * - unresponsive: say the unresponsive message from the script's silence policy, passed in the handoffData
+ * - voicemail: hangup (the voicemail has already been left)
+ * - error, and sessions that failed without handoffData: dial CRELAY_FALLBACK_NUMBER
+ * - Any other reasonCode: the "default" route, a hangup
+ *
+ * Environment Configuration:
+ * - FLEX_WORKFLOW_SID: TaskRouter workflow that enqueue routes use
+ * - CRELAY_FALLBACK_NUMBER (optional): Number dial routes call when the route has no number of its own
+ * - CRELAY_ROUTES (optional): JSON object of routes by reasonCode, replacing the default route for each reasonCode it
+ *   lists, e.g. {"unresponsive":{"action":"hangup"},"error":{"action":"dial","number":"+61200000000"}}
+ *
+ * @param {String} customerReference - The customer reference of the call, passed in the action URL
+ * @param {String} CallSid - The Twilio Call SID
+ * @param {String} [HandoffData] - JSON string from the server's end message: reasonCode, reason, and for a handoff
+ *   summary, customerReference and conversationSid. A message and its language, if present, replace the message of a say route
+ * @param {String} [SessionStatus] - How the Conversation Relay session ended (ended, completed or failed)
  */
+
+// Route for each reasonCode, unless replaced by CRELAY_ROUTES. Each has an action, and optionally a message,
+// pauseSeconds, number, and the voice and language of the message. The unresponsive message comes from the call script.
+const DEFAULT_ROUTES = {
+    'live-agent-handoff': { action: 'enqueue' },
+    'end-call': { action: 'hangup', pauseSeconds: 1 },
+    'unresponsive': { action: 'say' },
+    'voicemail': { action: 'hangup' },
+    'error': {
+        action: 'dial',
+        message: 'Sorry, something went wrong. Please hold while we connect you to our team.'
+    },
+    'default': { action: 'hangup' }
+};
+
+const ROUTE_ACTIONS = ['enqueue', 'hangup', 'say', 'dial'];
+
+/**
+ * Builds the routing table from the defaults and the CRELAY_ROUTES overrides.
+ *
+ * @param {Object} context - Function context with the environment variables
+ * @returns {Object} Routes by reasonCode
+ * @throws {Error} If CRELAY_ROUTES is not valid JSON or uses an unknown action
+ */
+const getRoutes = (context) => {
+    const overrides = context.CRELAY_ROUTES ? JSON.parse(context.CRELAY_ROUTES) : {};
+    Object.entries(overrides).forEach(([reasonCode, route]) => {
+        if (!ROUTE_ACTIONS.includes(route?.action)) {
+            throw new Error(`Unknown action for ${reasonCode} in CRELAY_ROUTES: ${route?.action}. Must be one of: ${ROUTE_ACTIONS.join(', ')}`);
+        }
+    });
+    return { ...DEFAULT_ROUTES, ...overrides };
+};
+
+/**
+ * Says a route's message, if it has one.
+ *
+ * @param {Object} voiceResponse - TwiML voice response
+ * @param {Object} route - Route for the reasonCode
+ */
+const sayMessage = (voiceResponse, route) => {
+    if (route.message) {
+        voiceResponse.say({ voice: route.voice, language: route.language }, route.message);
+    }
+};
+
 exports.handler = async function (context, event, callback) {
+    // Twilio Functions way of requiring a local utility file. See: https://www.twilio.com/docs/serverless/functions-assets/client#include-code-from-a-function
+    const loggerUtil = Runtime.getFunctions()['utils/logger'].path;
+    const { logOut, logError } = require(loggerUtil);
 
     const voiceResponse = new Twilio.twiml.VoiceResponse();
-    console.log(`[Complete CRelay] Event: ${JSON.stringify(event)}`);
+    logOut('Complete-CRelay', `Session ${event.SessionStatus} for call: ${event.CallSid} with handoffData: ${event.HandoffData}`);
 
     try {
+        let handoffData = {};
+        try {
+            handoffData = event.HandoffData ? JSON.parse(event.HandoffData) : {};
+        } catch (error) {
+            logError('Complete-CRelay', `Invalid handoffData: ${event.HandoffData}`);
+        }
+        // A session that failed without saying why is treated as an error
+        const reasonCode = handoffData.reasonCode || (event.SessionStatus === 'failed' ? 'error' : 'default');
 
+        // A mistake in CRELAY_ROUTES should not leave callers with an application error, so the defaults are used instead
+        let routes = DEFAULT_ROUTES;
+        try {
+            routes = getRoutes(context);
+        } catch (error) {
+            logError('Complete-CRelay', `Invalid CRELAY_ROUTES, using the default routes: ${error.message}`);
+        }
+        const route = routes[reasonCode] || routes.default;
+        logOut('Complete-CRelay', `Routing call ${event.CallSid} with reasonCode ${reasonCode} to ${route.action}`);
 
-        return callback(null, `${call.sid}`);
+        switch (route.action) {
+            case 'enqueue': {
+                // The task attributes link the voice task to the chat interaction the AI wrote the conversation to
+                const taskAttributes = {
+                    type: 'live-agent-handoff',
+                    name: handoffData.customerReference || event.customerReference,
+                    direction: 'outbound',
+                    from: event.From,
+                    to: event.To,
+                    callSid: event.CallSid,
+                    customerReference: handoffData.customerReference || event.customerReference,
+                    conversationSid: handoffData.conversationSid,
+                    handoffReason: handoffData.reason,
+                    aiSummary: handoffData.summary,
+                    conversations: {
+                        conversation_id: handoffData.conversationSid
+                    }
+                };
+
+                logOut('Complete-CRelay', `Enqueueing call ${event.CallSid} to Flex with attributes: ${JSON.stringify(taskAttributes)}`);
+                sayMessage(voiceResponse, route);
+                const enqueue = voiceResponse.enqueue({ workflowSid: context.FLEX_WORKFLOW_SID });
+                enqueue.task({}, JSON.stringify(taskAttributes));
+                break;
+            }
+            case 'dial': {
+                const number = route.number || context.CRELAY_FALLBACK_NUMBER;
+                if (!number) {
+                    logError('Complete-CRelay', `No fallback number for call ${event.CallSid}. Hanging up`);
+                    voiceResponse.hangup();
+                    break;
+                }
+                sayMessage(voiceResponse, route);
+                voiceResponse.dial(number);
+                break;
+            }
+            case 'say': {
+                // A message passed by the server comes from the call script, e.g. the unresponsive message, and is said instead
+                const scriptMessage = handoffData.message ? { message: handoffData.message, language: handoffData.language || route.language } : {};
+                sayMessage(voiceResponse, { ...route, ...scriptMessage });
+                voiceResponse.hangup();
+                break;
+            }
+            case 'hangup':
+            default:
+                sayMessage(voiceResponse, route);
+                if (route.pauseSeconds) {
+                    voiceResponse.pause({ length: route.pauseSeconds });
+                }
+                voiceResponse.hangup();
+        }
+
+        return callback(null, voiceResponse);
     } catch (error) {
-        return callback(`[CallOut] Error: ${error}`);
+        logError('Complete-CRelay', `Error: ${error}`);
+        return callback(error);
     }
 }
-
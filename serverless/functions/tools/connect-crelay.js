@@ -1,7 +1,25 @@
 /**
  * Connects call to Conversation Relay and passes call specific body parameters along.
- * Requires the server URL (domain and path) to be sent
+ * Requires the server URL (domain and path) to be sent. When the session ends, complete-crelay decides what happens
+ * to the still-live call, e.g. enqueueing it to a Flex agent.
+ *
+ * @param {String} customerReference - The customer reference passed on to the Conversation Relay service
+ * @param {String} [voice] - Text to speech voice of the call script (default: en-AU-Journey-D)
+ * @param {String} [language] - Language of the call script
+ * @param {String} [ttsProvider] - Text to speech provider
+ * @param {String} [transcriptionProvider] - Speech to text provider
+ * @param {String} [speechModel] - Speech to text model
  */
+
+// Voice settings a call script can set on the ConversationRelay noun
+const VOICE_ATTRIBUTES = ['language', 'ttsProvider', 'transcriptionProvider', 'speechModel'];
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
 exports.handler = async function (context, event, callback) {
     // Twilio Functions way of requiring a local utility file. See: https://www.twilio.com/docs/serverless/functions-assets/client#include-code-from-a-function
     const loggerUtil = Runtime.getFunctions()['utils/logger'].path;
@@ -9,19 +27,26 @@ exports.handler = async function (context, event, callback) {
 
     logOut('Connect-CRelay', `Event Called${JSON.stringify(event.Called, null, 4)}`);
 
-    // <Connect action="https://${context.SERVERLESS_BASE_URL}/complete-crelay}">
-
     try {
+        const voiceAttributes = VOICE_ATTRIBUTES
+            .filter(attribute => event[attribute])
+            .map(attribute => `
+                        ${attribute}="${escapeXml(event[attribute])}"`)
+            .join('');
+
+        // The action URL is relative to this function, so it works wherever the functions are deployed
+        const actionUrl = `complete-crelay?${new URLSearchParams({ customerReference: event.customerReference })}`;
+
         const callbackTwiml = `<?xml version="1.0" encoding="UTF-8"?>
             <Response>
-                <Connect>
+                <Connect action="${escapeXml(actionUrl)}">
                     <ConversationRelay 
                         url="wss://${context.SERVER_BASE_URL}/conversation-relay" 
-                        voice="en-AU-Journey-D" 
+                        voice="${escapeXml(event.voice || 'en-AU-Journey-D')}"${voiceAttributes}
                         dtmfDetection="true" 
                         interruptByDtmf="true" 
                         debug="true">
-                        <Parameter name="customerReference" value="${event.customerReference}"/>
+                        <Parameter name="customerReference" value="${escapeXml(event.customerReference)}"/>
                     </ConversationRelay>
                 </Connect>
             </Response>`;
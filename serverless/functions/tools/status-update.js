@@ -1,3 +1,6 @@
+// The order statuses the AI is allowed to report. Must match the server's OutcomeService and context.md.
+const ALLOWED_STATUSES = ["ready", "in progress", "delayed", "unable to complete"];
+
 exports.handler = async function (context, event, callback) {
   // Twilio Functions way of requiring a local utility file. See: https://www.twilio.com/docs/serverless/functions-assets/client#include-code-from-a-function
   const loggerUtil = Runtime.getFunctions()['utils/logger'].path;
@@ -5,9 +8,22 @@ exports.handler = async function (context, event, callback) {
 
   try {
     logOut('StatusUpdate: Event', `${JSON.stringify(event, null, 4)}`);
+
+    // Reject anything outside the allowed set, so the AI can correct the status and try again
+    const status = typeof event.status === 'string' ? event.status.trim().toLowerCase() : '';
+    if (!ALLOWED_STATUSES.includes(status)) {
+      const response = {
+        "Customer Reference": event.customerReference,
+        "error": `Invalid status "${event.status}". The status must be one of: ${ALLOWED_STATUSES.join(', ')}`,
+        "Allowed Statuses": ALLOWED_STATUSES
+      };
+      logOut('StatusUpdate: Invalid', `${JSON.stringify(response, null, 4)}`);
+      return callback(null, response);
+    }
+
     const response = {
       "Customer Reference": event.customerReference,
-      "Status": event.status
+      "Status": status
     };
     logOut('StatusUpdate: Response', `${JSON.stringify(response, null, 4)}`);
     return callback(null, response);